@@ -26,10 +26,10 @@ module.exports = {
       form: 17,
       wizard: 12,
       'form-button': 7,
-      'checkbox-group': 20,
+      'checkbox-group': 27,
       checkbox: 19,
       'date-input': 21,
-      'drop-down': 20,
+      'drop-down': 27,
       email: 22,
       'file-input': 20,
       'form-fragment': 16,
@@ -37,7 +37,7 @@ module.exports = {
       'multiline-input': 23,
       'number-input': 22,
       panel: 17,
-      'radio-group': 20,
+      'radio-group': 27,
       'form-reset-button': 7,
       'form-submit-button': 7,
       'telephone-input': 20,
@@ -47,7 +47,10 @@ module.exports = {
       rating: 18,
       password: 20,
       tnc: 12,
-      range: 19
+      range: 19,
+      signature: 14,
+      'masked-input': 22,
+      combobox: 29,
     }],
     'xwalk/no-orphan-collapsible-fields': 'off', // Disable until enhancement is done for Forms properties
   },
@@ -0,0 +1,101 @@
+import { sampleRUM } from '../../scripts/aem.js';
+import { getFormController } from './controller.js';
+
+/**
+ * The RUM checkpoints of the form. The source of a checkpoint is the id of the form, followed by
+ * the name of the field for the checkpoints of a field, e.g. enrolment/email. The values of the
+ * fields are never sent.
+ */
+export const CHECKPOINTS = {
+  // time from the rendering of the form to the first interaction, in ms
+  interact: 'form-interact',
+  // time spent in a field, from focus to blur, in ms
+  dwell: 'form-dwell',
+  // a field that showed a validation error, once per field
+  invalid: 'form-invalid',
+  // index of the wizard step that was reached
+  step: 'form-step',
+  // the last field touched before the page was left without submitting the form
+  abandon: 'form-abandon',
+  // success, error or queued
+  submit: 'form-submit',
+};
+
+function getFieldName(element) {
+  return element?.name || element?.closest?.('.field-wrapper')?.dataset.id;
+}
+
+/**
+ * Sends the interactions with the form as RUM checkpoints, to report the funnel of the form.
+ * Enabled by the analytics option of the Form block or the fd:analytics property of the form.
+ * @param {HTMLFormElement} form
+ * @param {string} formId identifies the form in the checkpoints, e.g. the id or path of the form
+ */
+export default function enableAnalytics(form, formId) {
+  const renderedAt = performance.now();
+  const reported = new Set();
+  let interacted = false;
+  let submitted = false;
+  let lastField;
+  let focus;
+  let step;
+
+  const checkpoint = (name, field, target) => {
+    sampleRUM(name, { source: field ? `${formId}/${field}` : formId, target });
+  };
+
+  const interact = (field) => {
+    if (!interacted) {
+      interacted = true;
+      checkpoint(CHECKPOINTS.interact, undefined, Math.round(performance.now() - renderedAt));
+    }
+    lastField = field || lastField;
+  };
+
+  form.addEventListener('focusin', (e) => {
+    const field = getFieldName(e.target);
+    if (field) {
+      interact(field);
+      focus = { field, at: performance.now() };
+    }
+  });
+
+  form.addEventListener('focusout', (e) => {
+    const field = getFieldName(e.target);
+    if (focus && focus.field === field) {
+      checkpoint(CHECKPOINTS.dwell, field, Math.round(performance.now() - focus.at));
+      focus = undefined;
+    }
+  });
+
+  form.addEventListener('change', (e) => interact(getFieldName(e.target)));
+
+  // not bubbling, see wizard.js
+  form.addEventListener('wizard:navigate', (e) => {
+    step = e.detail.currStep.index;
+    checkpoint(CHECKPOINTS.step, undefined, step);
+  }, { capture: true });
+
+  const controller = getFormController(form);
+  controller.on('invalid', ({ name }) => {
+    if (name && !reported.has(name)) {
+      reported.add(name);
+      checkpoint(CHECKPOINTS.invalid, name);
+    }
+  });
+  controller.on('submitSuccess', () => {
+    submitted = true;
+    checkpoint(CHECKPOINTS.submit, undefined, 'success');
+  });
+  controller.on('submitQueued', () => {
+    submitted = true;
+    checkpoint(CHECKPOINTS.submit, undefined, 'queued');
+  });
+  controller.on('submitFailure', () => checkpoint(CHECKPOINTS.submit, undefined, 'error'));
+
+  window.addEventListener('pagehide', () => {
+    if (interacted && !submitted) {
+      checkpoint(CHECKPOINTS.abandon, lastField, step);
+    }
+  }, { once: true });
+}
@@ -0,0 +1,353 @@
+// delay in ms between the last key typed and the search of the options
+const SEARCH_DELAY = 300;
+
+// updates the combobox of a select, once its options or its value are changed
+const comboboxes = new WeakMap();
+
+const normalize = (text) => String(text ?? '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+
+// options of the select, without its placeholder
+function getOptions(select) {
+  return [...select.options]
+    .filter((option) => !(option.value === '' && option.disabled))
+    .map((option) => ({
+      value: option.value,
+      label: option.textContent,
+      group: option.parentElement.tagName === 'OPTGROUP' ? option.parentElement.label : '',
+      disabled: option.disabled,
+    }));
+}
+
+/**
+ * Searches the options with the search endpoint of the field, a path of the site that is called
+ * with the text as the q parameter and returns the rows of a sheet, or an array of rows, with an
+ * Option, a Value and optionally a Group.
+ */
+async function searchOptions(searchUrl, query, signal) {
+  if (!searchUrl.startsWith('/') || searchUrl.startsWith('//')) {
+    throw new Error(`The search URL of a combobox must be a path of the site: ${searchUrl}`);
+  }
+  const separator = searchUrl.includes('?') ? '&' : '?';
+  const url = `${searchUrl}${separator}q=${encodeURIComponent(query)}`;
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Options can not be searched with ${url}: ${response.status}`);
+  }
+  const json = await response.json();
+  const rows = Array.isArray(json) ? json : json?.data || [];
+  return rows.map((row) => ({
+    value: String(row.Value ?? row.Option),
+    label: String(row.Option ?? row.Value),
+    group: row.Group || '',
+    disabled: false,
+  }));
+}
+
+function createElement(tagName, className, attributes = {}) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * Updates the combobox of a select after its options or its value were changed by the rules.
+ * @param {HTMLSelectElement} select
+ */
+export function updateCombobox(select) {
+  comboboxes.get(select)?.();
+}
+
+/**
+ * Searchable combobox for drop-downs, following the ARIA 1.2 combobox pattern. The select stays
+ * in the form, visually hidden, and holds the options and the value of the field, so that the
+ * rule engines, the validation and the submission keep working on it. The options are filtered as
+ * the user types, or searched with properties.searchUrl, and a select with multiple values shows
+ * the selected options as chips.
+ * @param {HTMLElement} fieldDiv the wrapper of the select
+ * @param {Object} field the field definition
+ */
+export default function decorate(fieldDiv, field) {
+  const select = fieldDiv.querySelector('select');
+  if (!select) {
+    return fieldDiv;
+  }
+  const { searchUrl } = field?.properties || {};
+  const { id, multiple } = select;
+  const listboxId = `${id}-listbox`;
+  let options = [];
+  let visibleOptions = [];
+  let activeIndex = -1;
+  let searchTimer;
+  let searchController;
+
+  fieldDiv.classList.add('combobox');
+  select.classList.add('combobox-select');
+  select.tabIndex = -1;
+  select.setAttribute('aria-hidden', 'true');
+
+  const label = fieldDiv.querySelector(`:scope > label[for="${id}"]`);
+  if (label) {
+    label.id = label.id || `${id}-label`;
+  }
+  const control = createElement('div', 'combobox-control');
+  const chips = createElement('ul', 'combobox-chips');
+  const input = createElement('input', 'combobox-input', {
+    type: 'text',
+    role: 'combobox',
+    autocomplete: 'off',
+    'aria-autocomplete': 'list',
+    'aria-expanded': 'false',
+    'aria-controls': listboxId,
+    ...(label && { 'aria-labelledby': label.id }),
+    ...(select.getAttribute('aria-describedby') && { 'aria-describedby': select.getAttribute('aria-describedby') }),
+  });
+  const listbox = createElement('div', 'combobox-listbox', {
+    id: listboxId,
+    role: 'listbox',
+    ...(label && { 'aria-labelledby': label.id }),
+    ...(multiple && { 'aria-multiselectable': 'true' }),
+  });
+  listbox.hidden = true;
+  const status = createElement('div', 'combobox-status', { role: 'status', 'aria-live': 'polite' });
+  control.append(chips, input);
+  select.after(control, listbox, status);
+
+  const isOpen = () => !listbox.hidden;
+  const getSelected = () => options.filter((option) => [...select.selectedOptions]
+    .some((selected) => selected.value === option.value));
+
+  function setActive(index) {
+    const items = listbox.querySelectorAll('[role="option"]');
+    items.forEach((item, i) => item.classList.toggle('active', i === index));
+    activeIndex = index;
+    if (items[index]) {
+      input.setAttribute('aria-activedescendant', items[index].id);
+      items[index].scrollIntoView?.({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function renderListbox(list, message) {
+    visibleOptions = list.filter((option) => !option.disabled);
+    const selected = getSelected().map((option) => option.value);
+    const groups = new Map();
+    listbox.replaceChildren();
+    visibleOptions.forEach((option, index) => {
+      const item = createElement('div', 'combobox-option', {
+        id: `${id}-option-${index}`,
+        role: 'option',
+        'aria-selected': String(selected.includes(option.value)),
+      });
+      item.textContent = option.label;
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      // eslint-disable-next-line no-use-before-define
+      item.addEventListener('click', () => choose(option));
+      if (option.group) {
+        if (!groups.has(option.group)) {
+          const group = createElement('div', 'combobox-group', {
+            role: 'group',
+            'aria-labelledby': `${id}-group-${groups.size}`,
+          });
+          const groupLabel = createElement('div', 'combobox-group-label', {
+            id: `${id}-group-${groups.size}`,
+            role: 'presentation',
+          });
+          groupLabel.textContent = option.group;
+          group.append(groupLabel);
+          listbox.append(group);
+          groups.set(option.group, group);
+        }
+        groups.get(option.group).append(item);
+      } else {
+        listbox.append(item);
+      }
+    });
+    status.textContent = message ?? (visibleOptions.length
+      ? `${visibleOptions.length} option${visibleOptions.length > 1 ? 's' : ''} available`
+      : 'No options found');
+    listbox.classList.remove('loading');
+    listbox.removeAttribute('aria-busy');
+    setActive(-1);
+  }
+
+  function open() {
+    if (!isOpen() && !input.disabled && !input.readOnly) {
+      listbox.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+    }
+  }
+
+  function close() {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  function filter(query) {
+    clearTimeout(searchTimer);
+    searchController?.abort();
+    if (searchUrl && query) {
+      listbox.classList.add('loading');
+      listbox.setAttribute('aria-busy', 'true');
+      status.textContent = 'Loading options';
+      searchTimer = setTimeout(async () => {
+        searchController = new AbortController();
+        try {
+          renderListbox(await searchOptions(searchUrl, query, searchController.signal));
+        } catch (e) {
+          if (e.name !== 'AbortError') {
+            renderListbox([], 'The options could not be loaded');
+          }
+        }
+      }, SEARCH_DELAY);
+      return;
+    }
+    // the options loaded from a sheet are added to the select once it is rendered
+    options = getOptions(select);
+    const text = normalize(query);
+    renderListbox(options.filter((option) => normalize(option.label).includes(text)));
+  }
+
+  // shows the value of the select
+  function render() {
+    options = getOptions(select);
+    const selected = getSelected();
+    const placeholder = select.querySelector('option[disabled][value=""]')?.textContent;
+    input.placeholder = placeholder || '';
+    input.disabled = select.disabled;
+    input.readOnly = select.readOnly || field?.readOnly === true;
+    input.setAttribute('aria-required', String(select.required));
+    chips.replaceChildren(...(multiple ? selected : []).map((option) => {
+      const chip = createElement('li', 'combobox-chip');
+      const text = createElement('span', 'combobox-chip-label');
+      text.textContent = option.label;
+      const remove = createElement('button', 'combobox-chip-remove', {
+        type: 'button',
+        'aria-label': `Remove ${option.label}`,
+      });
+      remove.textContent = '×';
+      remove.disabled = input.disabled || input.readOnly;
+      // eslint-disable-next-line no-use-before-define
+      remove.addEventListener('click', () => { choose(option); input.focus(); });
+      chip.append(text, remove);
+      return chip;
+    }));
+    if (document.activeElement !== input) {
+      input.value = multiple ? '' : selected[0]?.label ?? '';
+    }
+    if (isOpen()) {
+      filter(multiple ? input.value : '');
+    }
+  }
+
+  function choose(option) {
+    let selectOption = [...select.options].find((o) => o.value === option.value);
+    if (!selectOption) {
+      // an option returned by the search
+      selectOption = document.createElement('option');
+      selectOption.textContent = option.label;
+      selectOption.value = option.value;
+      select.append(selectOption);
+    }
+    if (multiple) {
+      selectOption.selected = !selectOption.selected;
+      input.value = '';
+    } else {
+      selectOption.selected = true;
+      input.value = option.label;
+      close();
+    }
+    // the rule engines and the validation listen to the select, which renders the combobox
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function move(step) {
+    if (!isOpen()) {
+      open();
+      filter(multiple ? input.value : '');
+    }
+    const count = visibleOptions.length;
+    if (count) {
+      const start = activeIndex === -1 && step < 0 ? count : activeIndex;
+      setActive((start + step + count) % count);
+    }
+  }
+
+  input.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (e.altKey) {
+          open();
+          filter(multiple ? input.value : '');
+        } else {
+          move(1);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        move(-1);
+        break;
+      case 'Enter':
+        if (isOpen()) {
+          // does not submit the form
+          e.preventDefault();
+          if (visibleOptions[activeIndex]) {
+            choose(visibleOptions[activeIndex]);
+          }
+        }
+        break;
+      case 'Escape':
+        if (isOpen()) {
+          e.preventDefault();
+          close();
+        } else if (!multiple) {
+          input.value = getSelected()[0]?.label ?? '';
+        }
+        break;
+      case 'Backspace':
+        if (multiple && !input.value && getSelected().length) {
+          choose(getSelected().pop());
+        }
+        break;
+      case 'Tab':
+        close();
+        break;
+      default:
+        break;
+    }
+  });
+  input.addEventListener('input', (e) => {
+    // the text is the search of the combobox, not a value of the form
+    e.stopPropagation();
+    open();
+    filter(input.value);
+  });
+  input.addEventListener('change', (e) => e.stopPropagation());
+  input.addEventListener('click', () => {
+    open();
+    filter(multiple ? input.value : '');
+  });
+  control.addEventListener('click', (e) => {
+    if (e.target === control || e.target === chips) {
+      input.focus();
+    }
+  });
+  fieldDiv.addEventListener('focusout', (e) => {
+    if (!fieldDiv.contains(e.relatedTarget)) {
+      close();
+      if (!multiple) {
+        input.value = getSelected()[0]?.label ?? '';
+      }
+    }
+  });
+  // the label, the error summary and the invalid event move the focus to the select
+  select.addEventListener('focus', () => input.focus());
+  select.addEventListener('change', render);
+  comboboxes.set(select, render);
+
+  render();
+  return fieldDiv;
+}
@@ -3,6 +3,10 @@ import { fileAttachmentText, dragDropText, defaultErrorMessages } from '../../co
 
 const fileSizeRegex = /^(\d*\.?\d+)(\\?(?=[KMGT])([KMGT])(?:i?B)?|B?)$/i;
 
+export const DEFAULT_MAX_FILE_SIZE = '2MB';
+
+const attachedFiles = new WeakMap();
+
 /**
  * converts a string of the form "10MB" to bytes. If the string is malformed 0 is returned
  * @param {*} str
@@ -46,7 +50,7 @@ function matchMediaType(mediaType, accepts) {
  * @param {File[]} files array of File objects
  * @returns false if any file is larger than the maxFileSize
  */
-function checkMaxFileSize(maxFileSize, files) {
+export function checkMaxFileSize(maxFileSize, files) {
   const sizeLimit = typeof maxFileSize === 'string' ? getSizeInBytes(maxFileSize) : maxFileSize;
   return Array.from(files).find((file) => file.size > sizeLimit) === undefined;
 }
@@ -57,7 +61,7 @@ function checkMaxFileSize(maxFileSize, files) {
  * @param {File[]} files
  * @returns false if the mediaType of any file is not accepted
  */
-function checkAccept(acceptedMediaTypes, files) {
+export function checkAccept(acceptedMediaTypes, files) {
   if (!acceptedMediaTypes || acceptedMediaTypes.length === 0 || !files.length) {
     return true;
   }
@@ -76,7 +80,7 @@ function fileValidation(input, files) {
   const acceptedFile = (input.getAttribute('accept') || '').split(',');
   const minItems = (parseInt(input.dataset.minItems, 10) || 1);
   const maxItems = (parseInt(input.dataset.maxItems, 10) || -1);
-  const fileSize = `${input.dataset.maxFileSize || '2MB'}`;
+  const fileSize = `${input.dataset.maxFileSize || DEFAULT_MAX_FILE_SIZE}`;
   let constraint = '';
   let errorMessage = '';
   const wrapper = input.closest('.field-wrapper');
@@ -218,6 +222,25 @@ function createFileHandler(allFiles, input) {
   };
 }
 
+/**
+ * returns the files attached to the file input, which may have been added in multiple
+ * selections or by drag & drop
+ * @param {HTMLInputElement} input
+ * @returns {File[]}
+ */
+export function getAttachedFiles(input) {
+  return attachedFiles.get(input) || Array.from(input.files || []);
+}
+
+/**
+ * sets the files attached to the file input, e.g. by a component that creates the file
+ * @param {HTMLInputElement} input
+ * @param {File[]} files
+ */
+export function setAttachedFiles(input, files) {
+  attachedFiles.set(input, files);
+}
+
 // eslint-disable-next-line no-unused-vars
 export default async function decorate(fieldDiv, field, htmlForm) {
   const allFiles = [];
@@ -229,6 +252,7 @@ export default async function decorate(fieldDiv, field, htmlForm) {
   const attachButton = dragArea.querySelector('.file-attachButton');
   attachButton.addEventListener('click', () => input.click());
   const fileHandler = createFileHandler(allFiles, input);
+  attachedFiles.set(input, allFiles);
   input.addEventListener('change', (event) => {
     if (!event?.detail?.deletion) {
       event.stopPropagation();
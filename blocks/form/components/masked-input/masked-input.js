@@ -0,0 +1,120 @@
+import { defaultErrorMessages } from '../../constant.js';
+
+// characters of a mask that are typed by the user, any other character is added as typed
+const TOKENS = {
+  9: /\d/,
+  A: /[a-z]/i,
+  '*': /[a-z\d]/i,
+};
+
+const isToken = (char) => Object.hasOwn(TOKENS, char);
+
+/**
+ * Formats a value with a mask, e.g. 5551234567 with (999) 999-9999 is (555) 123-4567. The
+ * characters that do not fit the mask are dropped, and the literals of the mask are added once
+ * the next character is typed, so that they can be deleted.
+ * @param {string} value the raw or masked value
+ * @param {string} mask
+ * @returns {string} the masked value
+ */
+export function applyMask(value, mask) {
+  const chars = [...String(value ?? '')];
+  let masked = '';
+  let literals = '';
+  let index = 0;
+  for (let i = 0; i < mask.length && index < chars.length; i += 1) {
+    const token = mask[i];
+    if (isToken(token)) {
+      while (index < chars.length && !TOKENS[token].test(chars[index])) {
+        index += 1;
+      }
+      if (index < chars.length) {
+        masked += `${literals}${chars[index]}`;
+        literals = '';
+        index += 1;
+      }
+    } else {
+      literals += token;
+      if (chars[index] === token) {
+        index += 1;
+      }
+    }
+  }
+  return masked;
+}
+
+/**
+ * Returns the characters of a masked value that were typed, without the literals of the mask.
+ * @param {string} masked a value returned by applyMask
+ * @param {string} mask
+ * @returns {string}
+ */
+export function unmask(masked, mask) {
+  return [...masked].filter((char, i) => isToken(mask[i])).join('');
+}
+
+// position in a masked value after the given number of typed characters
+function getCaretPosition(masked, mask, count) {
+  if (!count) {
+    return 0;
+  }
+  let typed = 0;
+  const position = [...masked].findIndex((char, i) => {
+    typed += isToken(mask[i]) ? 1 : 0;
+    return typed === count;
+  });
+  return position === -1 ? masked.length : position + 1;
+}
+
+/**
+ * Sets the value of a masked input. The input shows the masked value, and the submitted value,
+ * masked or raw depending on data-mask-value, is its edit-value, like fields with a display
+ * format, see inputDecorator in form.js.
+ * @param {HTMLInputElement} input
+ * @param {string} value the raw or masked value
+ */
+export function setMaskedValue(input, value) {
+  const { mask, maskValue } = input.dataset;
+  const masked = applyMask(value, mask);
+  const raw = unmask(masked, mask);
+  input.value = masked;
+  input.setAttribute('display-value', masked);
+  input.setAttribute('edit-value', maskValue === 'raw' ? raw : masked);
+
+  const incomplete = raw && raw.length < [...mask].filter(isToken).length;
+  const wrapper = input.closest('.field-wrapper');
+  const message = wrapper?.dataset.patternErrorMessage
+    || defaultErrorMessages.pattern.replace(/\$0/, mask);
+  input.setCustomValidity(incomplete ? message : '');
+}
+
+/**
+ * Applies the mask of the field, properties.mask, to a text input as the user types or pastes.
+ * @param {HTMLElement} fieldDiv the wrapper of the text input
+ * @param {Object} field the field definition
+ */
+export default function decorate(fieldDiv, field) {
+  const input = fieldDiv.querySelector('input');
+  const { mask, maskValue = 'masked' } = field?.properties || {};
+  if (!input || !mask) {
+    return fieldDiv;
+  }
+  input.dataset.mask = mask;
+  input.dataset.maskValue = maskValue;
+  if (!/[A*]/.test(mask)) {
+    input.inputMode = 'numeric';
+  }
+
+  input.addEventListener('input', () => {
+    // the caret stays after the same typed character once the value is masked
+    const caret = input.selectionStart ?? input.value.length;
+    const typed = unmask(applyMask(input.value.slice(0, caret), mask), mask).length;
+    setMaskedValue(input, input.value);
+    const position = getCaretPosition(input.value, mask, typed);
+    if (document.activeElement === input) {
+      input.setSelectionRange(position, position);
+    }
+  });
+  setMaskedValue(input, input.value);
+  return fieldDiv;
+}
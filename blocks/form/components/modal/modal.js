@@ -53,6 +53,8 @@ export class Modal {
       dialog.remove();
       if (this.fieldModel) {
         this.fieldModel.visible = false;
+      } else {
+        this.panel.dataset.visible = 'false';
       }
     });
     return dialog;
@@ -67,7 +69,7 @@ export class Modal {
       }
     }
 
-    if (this.dialog.isConnected) {
+    if (this.dialog.isConnected && !this.dialog.open) {
       this.dialog.showModal();
       document.body.classList.add('modal-open');
       setTimeout(() => {
@@ -92,6 +94,12 @@ export class Modal {
     this.panel = panel;
     this.dialog = this.createDialog(panel);
     this.wrapDialog(panel);
+    // document based forms have no field model, their rules only set data-visible
+    new window.MutationObserver(() => {
+      if (panel.dataset.visible === 'true') {
+        this.showModal();
+      }
+    }).observe(panel, { attributes: true, attributeFilter: ['data-visible'] });
   }
 }
 
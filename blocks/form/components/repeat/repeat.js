@@ -1,4 +1,4 @@
-import { getId } from '../../util.js';
+import { getId, getIdScope } from '../../util.js';
 
 function update(fieldset, index, labelTemplate) {
   const legend = fieldset.querySelector(':scope>.field-label')?.firstChild;
@@ -15,7 +15,7 @@ function update(fieldset, index, labelTemplate) {
       const [label, input, description] = ['label', 'input,select,button,textarea', 'description']
         .map((x) => f.querySelector(x));
       if (input) {
-        input.id = getId(input.name);
+        input.id = getId(input.name, getIdScope(input.id));
       }
       if (label) {
         label.htmlFor = input.id;
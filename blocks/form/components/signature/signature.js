@@ -0,0 +1,172 @@
+import { setAttachedFiles } from '../file/file.js';
+import { defaultErrorMessages } from '../../constant.js';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+
+function createButton(label, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  return button;
+}
+
+function toPath(stroke) {
+  return stroke.map(({ x, y }, index) => `${index ? 'L' : 'M'}${Math.round(x)} ${Math.round(y)}`).join(' ');
+}
+
+function escapeXML(text) {
+  return text.replace(/[<>&"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Returns the signature as an SVG image, with a path per stroke, or the typed name.
+ */
+function toSVG(strokes, name) {
+  const content = name
+    ? `<text x="20" y="${HEIGHT / 2}" font-family="cursive" font-size="48">${escapeXML(name)}</text>`
+    : strokes.map((stroke) => `<path d="${toPath(stroke)}"/>`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" fill="none" stroke="#000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${content}</svg>`;
+}
+
+/**
+ * Signature pad for a file input. The signature is drawn with a pointer on a canvas, or typed
+ * for those who can not draw it, and is attached to the input as an SVG file, which is submitted
+ * like any attachment.
+ * @param {HTMLElement} fieldDiv the wrapper of the file input
+ * @param {Object} field the field definition
+ */
+export default function decorate(fieldDiv, field) {
+  const input = fieldDiv.querySelector('input[type="file"]');
+  const disabled = field?.enabled === false || field?.readOnly === true;
+  const strokes = [];
+  let stroke;
+
+  fieldDiv.classList.add('signature');
+  // the signature is not in the files of the input, its required constraint is checked below
+  if (input.required) {
+    fieldDiv.dataset.required = '';
+    input.required = false;
+  }
+  input.hidden = true;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  canvas.className = 'signature-pad';
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute('aria-label', 'Signature pad, sign with the mouse, a pen or a finger, or type your name below');
+
+  const typed = document.createElement('input');
+  typed.type = 'text';
+  typed.className = 'signature-typed';
+  typed.placeholder = 'Or type your name';
+  typed.setAttribute('aria-label', `${field?.label?.value || 'Signature'}, type your name`);
+  typed.autocomplete = 'name';
+
+  const undo = createButton('Undo', 'signature-undo');
+  const clear = createButton('Clear', 'signature-clear');
+  const actions = document.createElement('div');
+  actions.className = 'signature-actions';
+  actions.append(undo, clear);
+  [typed, undo, clear].forEach((element) => { element.disabled = disabled; });
+
+  const context = canvas.getContext?.('2d');
+  function draw() {
+    if (!context) {
+      return;
+    }
+    context.clearRect(0, 0, WIDTH, HEIGHT);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    strokes.forEach((points) => {
+      context.beginPath();
+      points.forEach(({ x, y }, index) => (index ? context.lineTo(x, y) : context.moveTo(x, y)));
+      context.stroke();
+    });
+    if (!strokes.length && typed.value) {
+      context.font = '48px cursive';
+      context.fillText(typed.value, 20, HEIGHT / 2);
+    }
+  }
+
+  function validate() {
+    const empty = !strokes.length && !typed.value.trim();
+    const message = empty && fieldDiv.hasAttribute('data-required')
+      ? fieldDiv.dataset.requiredErrorMessage || defaultErrorMessages.required : '';
+    input.setCustomValidity(message);
+  }
+
+  function update() {
+    draw();
+    const name = strokes.length ? '' : typed.value.trim();
+    const files = strokes.length || name
+      ? [new File([toSVG(strokes, name)], `${field?.name || 'signature'}.svg`, { type: 'image/svg+xml' })]
+      : [];
+    setAttachedFiles(input, files);
+    validate();
+    fieldDiv.classList.toggle('signed', files.length > 0);
+    input.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { files } }));
+  }
+
+  function getPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (WIDTH / (rect.width || WIDTH)),
+      y: (e.clientY - rect.top) * (HEIGHT / (rect.height || HEIGHT)),
+    };
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (disabled) {
+      return;
+    }
+    e.preventDefault();
+    canvas.setPointerCapture?.(e.pointerId);
+    // a drawn signature replaces the typed name
+    typed.value = '';
+    stroke = [getPoint(e)];
+    strokes.push(stroke);
+  });
+  canvas.addEventListener('pointermove', (e) => {
+    if (stroke) {
+      stroke.push(getPoint(e));
+      draw();
+    }
+  });
+  const endStroke = () => {
+    if (stroke) {
+      stroke = undefined;
+      update();
+    }
+  };
+  canvas.addEventListener('pointerup', endStroke);
+  canvas.addEventListener('pointercancel', endStroke);
+
+  typed.addEventListener('input', (e) => {
+    // not a field of the form
+    e.stopPropagation();
+    strokes.splice(0, strokes.length);
+    update();
+  });
+  typed.addEventListener('change', (e) => e.stopPropagation());
+  undo.addEventListener('click', () => {
+    strokes.pop();
+    update();
+  });
+  clear.addEventListener('click', () => {
+    strokes.splice(0, strokes.length);
+    typed.value = '';
+    update();
+  });
+
+  input.after(canvas, typed, actions);
+  validate();
+  const helpText = fieldDiv.querySelector('.field-description');
+  if (helpText) {
+    fieldDiv.append(helpText);
+  }
+  return fieldDiv;
+}
@@ -55,32 +55,48 @@ export class WizardLayout {
     return isValid;
   }
 
+  /**
+   * Makes the step the current step of the wizard.
+   * @param {HTMLElement} panel wizard
+   * @param {HTMLFieldSetElement} step
+   */
+  static goToStep(panel, step) {
+    const current = panel.querySelector('.current-wizard-step');
+    if (!step || current === step) {
+      return;
+    }
+    current.classList.remove('current-wizard-step');
+    step.classList.add('current-wizard-step');
+    // add/remove active class from menu item
+    const navigateToMenuItem = panel.querySelector(`li[data-index="${step.dataset.index}"]`);
+    panel.querySelector('.wizard-menu-active-item')?.classList.remove('wizard-menu-active-item');
+    navigateToMenuItem?.classList.add('wizard-menu-active-item');
+    const event = new CustomEvent('wizard:navigate', {
+      detail: {
+        prevStep: { id: current.id, index: +current.dataset.index },
+        currStep: { id: step.id, index: +step.dataset.index },
+      },
+      bubbles: false,
+    });
+    panel.dispatchEvent(event);
+  }
+
   navigate(panel, forward = true) {
     const current = panel.querySelector('.current-wizard-step');
-    const currentMenuItem = panel.querySelector('.wizard-menu-active-item');
 
     let valid = true;
     if (forward) {
       valid = this.validateContainer(current);
     }
-    const navigateTo = valid ? this.getEligibleSibling(current, forward) : current;
-
-    if (navigateTo && current !== navigateTo) {
-      current.classList.remove('current-wizard-step');
-      navigateTo.classList.add('current-wizard-step');
-      // add/remove active class from menu item
-      const navigateToMenuItem = panel.querySelector(`li[data-index="${navigateTo.dataset.index}"]`);
-      currentMenuItem.classList.remove('wizard-menu-active-item');
-      navigateToMenuItem.classList.add('wizard-menu-active-item');
-      const event = new CustomEvent('wizard:navigate', {
-        detail: {
-          prevStep: { id: current.id, index: +current.dataset.index },
-          currStep: { id: navigateTo.id, index: +navigateTo.dataset.index },
-        },
-        bubbles: false,
-      });
-      panel.dispatchEvent(event);
+    if (!valid) {
+      // lets the form show the errors of the step
+      panel.dispatchEvent(new CustomEvent('wizard:invalid', {
+        detail: { step: { id: current.id, index: +current.dataset.index } },
+        bubbles: true,
+      }));
+      return;
     }
+    WizardLayout.goToStep(panel, this.getEligibleSibling(current, forward));
   }
 
   static handleMutation(panel, mutationsList) {
@@ -184,3 +200,4 @@ export default function wizardLayout(panel) {
 
 export const navigate = layout.navigate.bind(layout);
 export const validateContainer = layout.validateContainer.bind(layout);
+export const { goToStep } = WizardLayout;
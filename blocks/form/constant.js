@@ -2,11 +2,35 @@ export const fileAttachmentText = 'Attach';
 export const dragDropText = 'Drag and Drop To Upload';
 
 export const DEFAULT_THANK_YOU_MESSAGE = 'Thank you for your submission.';
+export const ERROR_SUMMARY_TITLE = 'Please correct the following errors:';
+export const DIAGNOSTICS_TITLE = 'This form has problems in its spreadsheet';
+export const DRAFT_RESTORE_MESSAGE = 'You have an unsaved draft of this form from $0.';
+export const DRAFT_RESTORE_LABEL = 'Restore';
+export const DRAFT_DISCARD_LABEL = 'Discard';
+export const DEFAULT_QUEUED_MESSAGE = 'You are offline. Your submission has been saved and will be sent when you are back online.';
+export const QUEUED_SUBMISSION_ERROR_MESSAGE = 'Your saved submission could not be sent. Please submit the form again.';
 
 // Logging Configuration
 // To set log level, modify this constant:
 export const LOG_LEVEL = 'error'; // Available options: 'off', 'debug', 'info', 'warn', 'error'
 
+// Problems in the spreadsheet of document based forms are shown above the form on these hosts
+export const DIAGNOSTICS_HOSTS = ['localhost', '.aem.page', '.hlx.page'];
+
+// Offline submissions
+// Submissions that fail because of a network error are stored and sent when the page is
+// online again. Set to true for all the forms of the site, or use the offline option of the
+// Form block for a form. To retry the submissions in the background, after the page is closed,
+// enable the outbox service worker.
+export const ENABLE_OFFLINE_SUBMISSIONS = false;
+export const ENABLE_OUTBOX_SERVICE_WORKER = false;
+
+// Options loaded from a URL, see options.js
+// Options can be loaded from the origin of the page and from these hosts, e.g. 'api.example.com'
+// or '.example.com' for its subdomains.
+export const OPTIONS_SOURCE_HOSTS = [];
+export const OPTIONS_ERROR_MESSAGE = 'The options could not be loaded. Please try again later.';
+
 export const defaultErrorMessages = {
   accept: 'The specified file type not supported.',
   maxFileSize: 'File too large. Reduce size and try again.',
@@ -18,6 +42,7 @@ export const defaultErrorMessages = {
   maximum: 'Value must be less than or equal to $0.',
   minimum: 'Value must be greater than or equal to $0.',
   required: 'Please fill in this field.',
+  validation: 'Please enter a valid value.',
 };
 
 // eslint-disable-next-line no-useless-escape
@@ -0,0 +1,185 @@
+/**
+ * The API of a rendered form for the scripts of the page, e.g. to prefill it, read its data or
+ * listen to its submission. It works the same for adaptive forms, whose rules run in a worker or
+ * on the main thread, and for document based forms.
+ *
+ * The events of the form are also dispatched on the form element, as bubbling CustomEvents,
+ * see FORM_EVENTS.
+ *
+ * @example
+ * const controller = await getFormController('contact').ready;
+ * controller.setData({ email: 'jane@example.com' });
+ * controller.on('submitSuccess', () => { ... });
+ * document.addEventListener('form:submit-success', (e) => { ... });
+ */
+
+/**
+ * The DOM events dispatched on the form for the events of the controller, in the order of the
+ * lifecycle of the form.
+ */
+export const FORM_EVENTS = {
+  rendered: 'form:rendered',
+  prefilled: 'form:prefilled',
+  ready: 'form:ready',
+  change: 'form:field-change',
+  invalid: 'form:field-invalid',
+  submitStart: 'form:submit-start',
+  submitSuccess: 'form:submit-success',
+  submitFailure: 'form:submit-error',
+  submitQueued: 'form:submit-queued',
+  reset: 'form:reset',
+};
+
+/**
+ * A field of the form. Setting its value runs the rules that depend on it.
+ * @typedef {{name: string, value: *, visible: boolean, enabled: boolean, required: boolean}}
+ * FormField
+ */
+
+/**
+ * A problem found by the validation of the form.
+ * @typedef {{name: string, message: string}} ValidationError
+ */
+
+/**
+ * The operations of a rule engine on its form, see rules/index.js and rules-doc/index.js.
+ * @typedef {Object} FormEngine
+ * @property {() => Object} getData
+ * @property {(data: Object) => void} setData
+ * @property {() => Promise<Array<ValidationError>>} validate
+ * @property {() => void} reset
+ * @property {() => Promise<void>|void} submit
+ * @property {(name: string) => FormField|undefined} getField
+ */
+
+const controllers = new WeakMap();
+
+function findForm(formElementOrId) {
+  if (typeof formElementOrId === 'string') {
+    return [...document.querySelectorAll('form[data-id]')]
+      .find((form) => form.dataset.id === formElementOrId) || null;
+  }
+  if (formElementOrId?.tagName === 'FORM') {
+    return formElementOrId;
+  }
+  return formElementOrId?.querySelector?.('form') || null;
+}
+
+function createController(form) {
+  let engine;
+  let setReady;
+  const listeners = new Map();
+  const getEngine = () => {
+    if (!engine) {
+      throw new Error('The rule engine of the form is not ready, wait for controller.ready');
+    }
+    return engine;
+  };
+
+  // events of the form before it is added to the page, see rendered
+  let pending = [];
+  const dispatch = (event, detail) => {
+    if (FORM_EVENTS[event]) {
+      form.dispatchEvent(new CustomEvent(FORM_EVENTS[event], { detail, bubbles: true }));
+    }
+  };
+
+  function emit(event, detail) {
+    if (!form.isConnected && event !== 'rendered') {
+      pending.push([event, detail]);
+    } else {
+      dispatch(event, detail);
+      if (event === 'rendered') {
+        pending.forEach((args) => dispatch(...args));
+        pending = [];
+      }
+    }
+    (listeners.get(event) || []).forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.error(`error in the ${event} listener of the form`, e);
+      }
+    });
+  }
+
+  const controller = {
+    form,
+    /** resolves with the controller once the rule engine of the form is ready */
+    ready: new Promise((resolve) => { setReady = resolve; }),
+    getData: () => getEngine().getData(),
+    setData: (data) => getEngine().setData(data),
+    validate: async () => getEngine().validate(),
+    reset: () => {
+      getEngine().reset();
+      emit('reset', {});
+    },
+    submit: async () => getEngine().submit(),
+    getField: (name) => getEngine().getField(name),
+    /**
+     * Adds a listener for an event of the form, see FORM_EVENTS, e.g. change or submitSuccess.
+     * @returns {Function} removes the listener
+     */
+    on(event, callback) {
+      listeners.set(event, [...(listeners.get(event) || []), callback]);
+      return () => controller.off(event, callback);
+    },
+    /** Removes a listener, or all the listeners of the event if no callback is given. */
+    off(event, callback) {
+      listeners.set(event, callback
+        ? (listeners.get(event) || []).filter((listener) => listener !== callback) : []);
+    },
+  };
+
+  return {
+    controller,
+    bind(formEngine) {
+      engine = formEngine;
+      setReady(controller);
+    },
+    emit,
+  };
+}
+
+function getEntry(form) {
+  if (!controllers.has(form)) {
+    controllers.set(form, createController(form));
+  }
+  return controllers.get(form);
+}
+
+/**
+ * Returns the controller of a form.
+ * @param {HTMLFormElement|HTMLElement|string} formElementOrId the form, the form block, or the
+ * id of the form
+ * @returns {Object|null} null if the form is not rendered
+ */
+export function getFormController(formElementOrId) {
+  const form = findForm(formElementOrId);
+  return form ? getEntry(form).controller : null;
+}
+
+/**
+ * Notifies the listeners of the controller of the form and dispatches the DOM event. The events
+ * of a form that is not yet on the page are dispatched once it is rendered.
+ * @param {HTMLFormElement} form
+ * @param {string} event a key of FORM_EVENTS, e.g. change or submitSuccess
+ * @param {Object} detail e.g. the name and value of the changed field
+ */
+export function emitFormEvent(form, event, detail) {
+  if (form) {
+    getEntry(form).emit(event, detail);
+  }
+}
+
+/**
+ * Connects the rule engine of the form to its controller, which is then ready.
+ * @param {HTMLFormElement} form
+ * @param {FormEngine} engine
+ */
+export function bindFormEngine(form, engine) {
+  const entry = getEntry(form);
+  entry.bind(engine);
+  entry.emit('ready', { controller: entry.controller });
+}
@@ -0,0 +1,81 @@
+import { DIAGNOSTICS_HOSTS, DIAGNOSTICS_TITLE } from './constant.js';
+
+/**
+ * Problems in the spreadsheet of a document based form, found by the transform and the rule
+ * compiler, e.g. unknown types, duplicate names or formulas that can't be parsed.
+ * @typedef {{code: string, severity: 'error'|'warning', message: string, row?: number,
+ * column?: string, name?: string, position?: number, sheet?: string}} Diagnostic
+ */
+
+const diagnostics = new WeakMap();
+
+/**
+ * Returns the problems found in the spreadsheet of the form.
+ * @param {HTMLFormElement} form
+ * @returns {Array<Diagnostic>}
+ */
+export function getDiagnostics(form) {
+  return [...(diagnostics.get(form) || [])];
+}
+
+/**
+ * Whether the page is shown to authors, e.g. on preview, where the overlay is shown.
+ * @param {string} hostname
+ */
+export function isAuthorHost(hostname = window.location?.hostname || '') {
+  return DIAGNOSTICS_HOSTS.some((host) => hostname === host || hostname.endsWith(host));
+}
+
+function formatLocation({ sheet, row, column }) {
+  return [sheet && `Sheet ${sheet}`, row && `Row ${row}`, column].filter((part) => part).join(', ');
+}
+
+function renderOverlay(form) {
+  let overlay = form.previousElementSibling;
+  if (!overlay?.classList.contains('form-diagnostics')) {
+    if (form.dataset.diagnosticsDismissed === 'true') {
+      return;
+    }
+    overlay = document.createElement('div');
+    overlay.className = 'form-diagnostics';
+    overlay.setAttribute('role', 'region');
+    overlay.setAttribute('aria-label', DIAGNOSTICS_TITLE);
+    const title = document.createElement('p');
+    title.textContent = DIAGNOSTICS_TITLE;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'form-diagnostics-close';
+    close.setAttribute('aria-label', 'Dismiss');
+    close.textContent = '×';
+    close.addEventListener('click', () => {
+      form.dataset.diagnosticsDismissed = 'true';
+      overlay.remove();
+    });
+    overlay.append(title, close, document.createElement('ul'));
+    form.before(overlay);
+  }
+  overlay.querySelector('ul').replaceChildren(...getDiagnostics(form).map((diagnostic) => {
+    const li = document.createElement('li');
+    li.className = diagnostic.severity;
+    const location = formatLocation(diagnostic);
+    li.textContent = location ? `${location}: ${diagnostic.message}` : diagnostic.message;
+    return li;
+  }));
+}
+
+/**
+ * Adds problems found in the spreadsheet of the form. On author hosts they are listed in a
+ * dismissible overlay above the form.
+ * @param {HTMLFormElement} form
+ * @param {Array<Diagnostic>} list
+ * @param {{overlay?: boolean}} options overlay shows the overlay, by default on author hosts
+ */
+export function addDiagnostics(form, list = [], { overlay } = {}) {
+  if (!form || !list.length) {
+    return;
+  }
+  diagnostics.set(form, [...getDiagnostics(form), ...list]);
+  if ((overlay ?? isAuthorHost()) && form.parentElement) {
+    renderOverlay(form);
+  }
+}
@@ -1,10 +1,21 @@
 import { createOptimizedPicture } from '../../scripts/aem.js';
 import transferRepeatableDOM, { insertAddButton, insertRemoveButton } from './components/repeat/repeat.js';
-import { emailPattern, getSubmitBaseUrl, SUBMISSION_SERVICE } from './constant.js';
-import GoogleReCaptcha from './integrations/recaptcha.js';
+import {
+  emailPattern,
+  ENABLE_OFFLINE_SUBMISSIONS,
+  ENABLE_OUTBOX_SERVICE_WORKER,
+  getSubmitBaseUrl,
+  SUBMISSION_SERVICE,
+} from './constant.js';
+import enableAnalytics from './analytics.js';
+import { emitFormEvent, getFormController } from './controller.js';
+import { addDiagnostics } from './diagnostics.js';
+import { createCaptcha } from './integrations/index.js';
 import componentDecorator from './mappings.js';
+import { initOutbox } from './outbox.js';
 import { handleSubmit } from './submit.js';
 import DocBasedFormToAF from './transform.js';
+import { enableErrorSummary } from './validation.js';
 import {
   checkValidation,
   createButton,
@@ -14,18 +25,23 @@ import {
   createLabel,
   createRadioOrCheckboxUsingEnum,
   extractIdFromUrl,
+  getFormInstanceId,
   getHTMLRenderType,
+  getIdScope,
   getSitePageName,
+  scopeFieldIds,
   setConstraints,
   setPlaceholder,
   stripTags,
   createRadioOrCheckbox,
   createInput,
+  updateOrCreateInvalidMsg,
 } from './util.js';
 
+export { getFormController } from './controller.js';
+export { getDiagnostics } from './diagnostics.js';
+
 export const DELAY_MS = 0;
-let captchaField;
-let afModule;
 
 const withFieldWrapper = (element) => (fd) => {
   const wrapper = createFieldWrapper(fd);
@@ -122,9 +138,18 @@ function createPlainText(fd) {
 function createImage(fd) {
   const field = createFieldWrapper(fd);
   field.id = fd?.id;
-  const imagePath = fd.value || fd.properties['fd:repoPath'] || '';
+  const imagePath = fd.value || fd.properties?.['fd:repoPath'];
   const altText = fd.altText || fd.name;
-  field.append(createOptimizedPicture(imagePath, altText));
+  if (imagePath) {
+    field.append(createOptimizedPicture(imagePath, altText));
+  } else {
+    // without a source, the picture holds the alt text until a rule sets the value of the image
+    const picture = document.createElement('picture');
+    const img = document.createElement('img');
+    img.alt = altText;
+    picture.append(img);
+    field.append(picture);
+  }
   return field;
 }
 
@@ -142,6 +167,53 @@ const fieldRenderers = {
   heading: createHeading,
 };
 
+const registeredRenderers = {};
+
+/**
+ * Registers a renderer for the given field type. Registered renderers are consulted before
+ * the built-in ones, highest priority first. Each renderer receives the field definition and
+ * the renderer it overrides, so it can wrap the default rendition instead of replacing it.
+ * @param {string} fieldType fieldType of the field, e.g. text-input, drop-down, panel
+ * @param {(fd: Object, defaultRenderer: Function) => HTMLElement} renderer
+ * @param {{priority?: number}} options
+ * @returns {Function} function to unregister the renderer
+ */
+export function registerFieldRenderer(fieldType, renderer, { priority = 0 } = {}) {
+  if (typeof renderer !== 'function') {
+    throw new Error(`Renderer for ${fieldType} must be a function`);
+  }
+  const type = getHTMLRenderType({ fieldType });
+  const entry = { renderer, priority };
+  const entries = [...(registeredRenderers[type] || []), entry];
+  // stable sort, renderers registered later win among equal priorities
+  registeredRenderers[type] = entries.sort((a, b) => a.priority - b.priority);
+  return () => {
+    registeredRenderers[type] = registeredRenderers[type].filter((e) => e !== entry);
+  };
+}
+
+function defaultRenderer(fd) {
+  const renderer = fieldRenderers[getHTMLRenderType(fd)];
+  if (typeof renderer === 'function') {
+    return renderer(fd);
+  }
+  const field = createFieldWrapper(fd);
+  field.append(createInput(fd));
+  return field;
+}
+
+/**
+ * Returns the renderer used for the given field type, with all the registered
+ * renderers applied on top of the built-in one.
+ * @param {string} fieldType
+ * @returns {(fd: Object) => HTMLElement}
+ */
+export function getFieldRenderer(fieldType) {
+  const type = getHTMLRenderType({ fieldType });
+  return (registeredRenderers[type] || [])
+    .reduce((next, { renderer }) => (fd) => renderer(fd, next), defaultRenderer);
+}
+
 function colSpanDecorator(field, element) {
   const colSpan = field['Column Span'] || field.properties?.colspan;
   if (colSpan && element) {
@@ -272,15 +344,7 @@ function decoratePanelContainer(panelDefinition, panelContainer) {
 }
 
 function renderField(fd) {
-  const fieldType = fd?.fieldType?.replace('-input', '') ?? 'text';
-  const renderer = fieldRenderers[fieldType];
-  let field;
-  if (typeof renderer === 'function') {
-    field = renderer(fd);
-  } else {
-    field = createFieldWrapper(fd);
-    field.append(createInput(fd));
-  }
+  const field = getFieldRenderer(fd?.fieldType)(fd);
   if (fd.description) {
     field.append(createHelpText(fd));
     field.dataset.description = fd.description; // In case overriden by error message
@@ -297,7 +361,6 @@ export async function generateFormRendition(panel, container, formId, getItems =
     field.value = field.value ?? '';
     const { fieldType } = field;
     if (fieldType === 'captcha') {
-      captchaField = field;
       const element = createFieldWrapper(field);
       element.textContent = 'CAPTCHA';
       return element;
@@ -329,7 +392,12 @@ function enableValidation(form) {
   });
 
   form.addEventListener('change', (event) => {
-    checkValidation(event.target);
+    // the fields of a form that is reset are valid until they are changed again
+    if (event.detail?.reset) {
+      updateOrCreateInvalidMsg(event.target, '');
+    } else {
+      checkValidation(event.target);
+    }
   });
 }
 
@@ -344,7 +412,20 @@ async function createFormForAuthoring(formDef) {
   return form;
 }
 
-export async function createForm(formDef, data) {
+function getCaptchaField(panel) {
+  return (panel?.items || []).reduce((captchaField, field) => captchaField
+    || (field?.fieldType === 'captcha' ? field : getCaptchaField(field)), null);
+}
+
+/**
+ * Renders the form. All the state of a form (captcha, rule engine, id) is scoped to the
+ * returned form, so that multiple forms can be rendered on the same page.
+ * @param {Object} formDef form definition
+ * @param {Object} data prefill data
+ * @param {{ruleEngine?: Object, formId?: string}} options rule engine module to load
+ * once the form is rendered and the id of the form instance, see getFormInstanceId.
+ */
+export async function createForm(formDef, data, { ruleEngine, formId } = {}) {
   const { action: formPath } = formDef;
   const form = document.createElement('form');
   form.dataset.action = formPath;
@@ -352,38 +433,32 @@ export async function createForm(formDef, data) {
   if (formDef.appliedCssClassNames) {
     form.className = formDef.appliedCssClassNames;
   }
-  const formId = extractIdFromUrl(formPath); // formDef.id returns $form after getState()
-  await generateFormRendition(formDef, form, formId);
+  // formDef.id returns $form after getState()
+  const instanceId = formId ?? getFormInstanceId(extractIdFromUrl(formPath));
+  await generateFormRendition(formDef, form, instanceId);
 
   let captcha;
+  const captchaField = getCaptchaField(formDef);
   if (captchaField) {
-    let config = captchaField?.properties?.['fd:captcha']?.config;
-    if (!config) {
-      config = {
-        siteKey: captchaField?.value,
-        uri: captchaField?.uri,
-        version: captchaField?.version,
-      };
-    }
     const pageName = getSitePageName(captchaField?.properties?.['fd:path']);
-    captcha = new GoogleReCaptcha(config, captchaField.id, captchaField.name, pageName);
+    captcha = createCaptcha(captchaField, pageName);
     captcha.loadCaptcha(form);
   }
 
   enableValidation(form);
+  enableErrorSummary(form);
   transferRepeatableDOM(form);
 
-  if (afModule && typeof Worker === 'undefined') {
+  if (ruleEngine && typeof Worker === 'undefined') {
     window.setTimeout(async () => {
-      afModule.loadRuleEngine(formDef, form, captcha, generateFormRendition, data);
+      ruleEngine.loadRuleEngine(formDef, form, captcha, generateFormRendition, data, instanceId);
     }, DELAY_MS);
   }
 
-  form.addEventListener('reset', async () => {
-    const response = await createForm(formDef);
-    if (response?.form) {
-      document.querySelector(`[data-action="${form?.dataset?.action}"]`)?.replaceWith(response?.form);
-    }
+  form.addEventListener('reset', (e) => {
+    // the rule engine resets the fields, so that the form keeps its rules and its controller
+    e.preventDefault();
+    getFormController(form).ready.then((controller) => controller.reset());
   });
 
   form.addEventListener('submit', (e) => {
@@ -395,11 +470,13 @@ export async function createForm(formDef, data) {
     captcha,
     generateFormRendition,
     data,
+    formId: instanceId,
   };
 }
 
 function isDocumentBasedForm(formDef) {
-  return formDef?.[':type'] === 'sheet' && formDef?.data;
+  return (formDef?.[':type'] === 'sheet' && formDef?.data)
+    || (formDef?.[':type'] === 'multi-sheet' && formDef?.[':names']);
 }
 
 function cleanUp(content) {
@@ -521,6 +598,7 @@ export default async function decorate(block) {
   let source = 'aem';
   let rules = true;
   let form;
+  let diagnostics = [];
   if (formDef) {
     const submitProps = formDef?.properties?.['fd:submit'];
     const actionType = submitProps?.actionName || formDef?.properties?.actionType;
@@ -535,20 +613,28 @@ export default async function decorate(block) {
     } else {
       formDef.action = getSubmitBaseUrl() + (formDef.action || '');
     }
+    // the fields of the later instances of a form get ids of their own, see getIdScope
+    const formId = getFormInstanceId(formDef.id || extractIdFromUrl(formDef.action));
+    const idScope = getIdScope(formId);
     if (isDocumentBasedForm(formDef)) {
       const transform = new DocBasedFormToAF();
-      formDef = transform.transform(formDef);
+      formDef = transform.transform(formDef, { idScope });
+      diagnostics = transform.errors;
       source = 'sheet';
-      const response = await createForm(formDef);
+      const response = await createForm(formDef, undefined, { formId });
       form = response?.form;
       const docRuleEngine = await import('./rules-doc/index.js');
-      docRuleEngine.default(formDef, form);
+      docRuleEngine.default(formDef, form, pathname);
       rules = false;
     } else {
-      afModule = await import('./rules/index.js');
+      const afModule = await import('./rules/index.js');
       addRequestContextToForm(formDef);
       if (afModule && afModule.initAdaptiveForm && !block.classList.contains('edit-mode')) {
-        form = await afModule.initAdaptiveForm(formDef, createForm);
+        form = await afModule.initAdaptiveForm(
+          scopeFieldIds(formDef, idScope),
+          (def, data) => createForm(def, data, { ruleEngine: afModule, formId }),
+          idScope,
+        );
       } else {
         form = await createFormForAuthoring(formDef);
       }
@@ -557,11 +643,35 @@ export default async function decorate(block) {
     form.dataset.thankYouMsg = formDef.thankYouMsg || '';
     form.dataset.action = formDef.action || pathname?.split('.json')[0];
     form.dataset.source = source;
+    // legacy payload of document based forms, with comma joined values of repeatable panels
+    if (block.classList.contains('flat-payload') || formDef.properties?.['fd:payloadFormat'] === 'flat') {
+      form.dataset.payloadFormat = 'flat';
+    }
+    // files of document based forms are sent as data urls, unless multipart is configured
+    if (block.classList.contains('multipart') || formDef.properties?.['fd:fileEncoding'] === 'multipart') {
+      form.dataset.fileEncoding = 'multipart';
+    }
+    // submissions that fail without network are queued, see outbox.js
+    if (ENABLE_OFFLINE_SUBMISSIONS || block.classList.contains('offline') || formDef.properties?.['fd:offline']) {
+      form.dataset.offline = 'true';
+    }
     form.dataset.rules = rules;
-    form.dataset.id = formDef.id;
+    form.dataset.id = formId;
     if (source === 'aem' && formDef.properties && formDef.properties['fd:path']) {
       form.dataset.formpath = formDef.properties['fd:path'];
     }
     container.replaceWith(form);
+    // funnel of the form as RUM checkpoints
+    if (block.classList.contains('analytics') || formDef.properties?.['fd:analytics']) {
+      enableAnalytics(form, formDef.id || pathname?.split('.json')[0] || 'form');
+    }
+    emitFormEvent(form, 'rendered', { id: formId, source });
+    addDiagnostics(form, diagnostics);
+    if (form.dataset.offline === 'true') {
+      initOutbox({
+        serviceWorkerUrl: ENABLE_OUTBOX_SERVICE_WORKER
+          ? `${window.hlx?.codeBasePath || ''}/blocks/form/outbox-sw.js` : undefined,
+      });
+    }
   }
 }
@@ -0,0 +1,219 @@
+/**
+ * Adds the script of a captcha provider to the page.
+ * @param {string} url
+ * @param {string} globalName e.g. grecaptcha
+ * @returns {Promise<Object>} the global of the provider, once the script is loaded
+ */
+function loadScript(url, globalName) {
+  return new Promise((resolve, reject) => {
+    const head = document.head || document.querySelector('head');
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+    script.onload = () => resolve(window[globalName]);
+    script.onerror = () => reject(new Error(`Failed to load script ${url}`));
+    head.append(script);
+    // the provider is already on the page, e.g. loaded by another form
+    if (window[globalName]) {
+      resolve(window[globalName]);
+    }
+  });
+}
+
+/**
+ * The interface of the captcha providers, see recaptcha.js, turnstile.js and hcaptcha.js. The
+ * script of the provider is loaded when the captcha, or the submit button for an invisible
+ * captcha, is scrolled into view.
+ */
+export default class Captcha {
+  id;
+
+  name;
+
+  config;
+
+  formName;
+
+  loadPromise;
+
+  renderPromise;
+
+  // the field of the captcha, where the widget is rendered
+  container;
+
+  // the global of the provider, e.g. window.turnstile, and the id of its widget
+  provider;
+
+  widgetId;
+
+  // name of the token in the payload of document based forms
+  responseField = 'g-recaptcha-response';
+
+  #token;
+
+  #pending = [];
+
+  /**
+   * @param {{siteKey: string, size?: 'normal'|'invisible'}} config
+   * @param {string} id id of the captcha field
+   * @param {string} name name of the captcha field
+   * @param {string} formName
+   */
+  constructor(config, id, name, formName) {
+    this.config = config;
+    this.name = name;
+    this.id = id;
+    this.formName = formName;
+  }
+
+  get invisible() {
+    return this.config.size === 'invisible';
+  }
+
+  loadScript(url, globalName) {
+    if (!this.loadPromise) {
+      this.loadPromise = loadScript(url, globalName);
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Loads the script of the provider.
+   * @returns {Promise<Object>} the global of the provider
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async load() {
+    return null;
+  }
+
+  /**
+   * Loads the provider and renders its widget in the container, once.
+   * @param {HTMLElement} container
+   * @returns {Promise<Object>} the global of the provider
+   */
+  render(container) {
+    if (!this.renderPromise) {
+      this.container = container;
+      this.renderPromise = this.load().then((provider) => {
+        this.provider = provider;
+        this.widgetId = this.renderWidget(provider, container);
+        return provider;
+      });
+    }
+    return this.renderPromise;
+  }
+
+  /**
+   * Renders the widget of the provider, if it has one.
+   * @returns {string|undefined} the id of the widget
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  renderWidget(provider, container) {
+    return undefined;
+  }
+
+  /**
+   * Replaces the placeholder of the captcha field with the element of the widget, and shows the
+   * field, which is hidden for the captchas without a widget.
+   * @param {HTMLElement} container
+   * @returns {HTMLElement}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createWidgetElement(container) {
+    const element = document.createElement('div');
+    element.className = 'captcha-widget';
+    container.classList.add('captcha-visible');
+    container.replaceChildren(element);
+    return element;
+  }
+
+  /**
+   * Returns the token to send with the submission. It runs the challenge of an invisible
+   * captcha, and waits for the visitor to solve the challenge of an interactive one.
+   * @returns {Promise<string|null>} null if the captcha is not configured
+   */
+  async getToken() {
+    if (!this.config.siteKey) {
+      return null;
+    }
+    const provider = await this.render(this.container);
+    const pending = this.waitForToken();
+    if (this.invisible) {
+      provider.execute(this.widgetId);
+    }
+    const token = await pending;
+    // a token can be verified once, the next submission needs a new challenge
+    this.reset();
+    return token;
+  }
+
+  /**
+   * Resets the widget, e.g. after the form was submitted.
+   */
+  reset() {
+    this.#token = undefined;
+    if (this.widgetId !== undefined) {
+      this.provider?.reset(this.widgetId);
+    }
+  }
+
+  // callbacks of the widget of the provider
+  onToken(token) {
+    this.#token = token;
+    this.#pending.forEach(({ resolve }) => resolve(token));
+    this.#pending = [];
+  }
+
+  onExpired() {
+    this.#token = undefined;
+  }
+
+  onError(error) {
+    this.#pending.forEach(({ reject }) => reject(error));
+    this.#pending = [];
+  }
+
+  /**
+   * Returns the token of the widget, once the challenge is solved.
+   */
+  waitForToken() {
+    if (this.#token) {
+      return Promise.resolve(this.#token);
+    }
+    return new Promise((resolve, reject) => {
+      this.#pending.push({ resolve, reject });
+    });
+  }
+
+  loadCaptcha(form) {
+    if (form && this.config.siteKey) {
+      const submit = form.querySelector('button[type="submit"]');
+      const container = [...form.querySelectorAll('.field-wrapper')]
+        .find((wrapper) => wrapper.dataset.id === this.id);
+      // the widget of an interactive captcha is loaded when it is shown
+      const target = this.invisible || !container ? submit : container;
+      this.container = container || form;
+      const obs = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            this.render(this.container);
+            obs.disconnect();
+          }
+        });
+      });
+      if (target == null) {
+        // eslint-disable-next-line no-console
+        console.warn('Captcha can not be loaded. Submit button is missing.');
+        // eslint-disable-next-line no-alert
+        alert('Captcha can not be loaded. Add Submit button.');
+      } else {
+        obs.observe(target);
+      }
+    } else {
+      // eslint-disable-next-line no-console
+      console.warn('Captcha configuration in missing.');
+      // eslint-disable-next-line no-alert
+      alert('Captcha can not be loaded. Captcha configuration in missing.');
+    }
+  }
+}
@@ -0,0 +1,24 @@
+import Captcha from './captcha.js';
+
+/**
+ * hCaptcha. The widget is a checkbox, or invisible when the size of the config is invisible, in
+ * which case the challenge runs on submit and is only shown if needed.
+ */
+export default class HCaptcha extends Captcha {
+  responseField = 'h-captcha-response';
+
+  async load() {
+    return this.loadScript('https://js.hcaptcha.com/1/api.js?render=explicit', 'hcaptcha');
+  }
+
+  renderWidget(hcaptcha, container) {
+    return hcaptcha.render(this.createWidgetElement(container), {
+      sitekey: this.config.siteKey,
+      size: this.invisible ? 'invisible' : 'normal',
+      callback: (token) => this.onToken(token),
+      'error-callback': (error) => this.onError(new Error(`hCaptcha error ${error}`)),
+      'expired-callback': () => this.onExpired(),
+      'close-callback': () => this.onError(new Error('hCaptcha challenge was closed')),
+    });
+  }
+}
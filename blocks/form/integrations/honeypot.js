@@ -0,0 +1,113 @@
+import Captcha from './captcha.js';
+
+const DEFAULT_MIN_TIME = 3000;
+const DEFAULT_DIFFICULTY = 3;
+
+// the reason is not shown, so that it does not help to work around the checks
+function spamError(reason) {
+  const error = new Error('The form could not be submitted, please try again.');
+  error.reason = reason;
+  return error;
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Finds the nonce whose SHA-256 hash of challenge:nonce starts with difficulty zeros, which the
+ * server can verify with a single hash.
+ */
+async function proofOfWork(challenge, difficulty) {
+  const prefix = '0'.repeat(difficulty);
+  let nonce = 0;
+  // eslint-disable-next-line no-await-in-loop
+  while (!(await sha256(`${challenge}:${nonce}`)).startsWith(prefix)) {
+    nonce += 1;
+  }
+  return nonce;
+}
+
+/**
+ * Spam protection without a third-party provider, for the markets that can not load the scripts
+ * of captcha providers. It adds a hidden honeypot field, which people do not fill, and records
+ * the time from rendering to submission, the interactions with the form and a proof of work.
+ * Obviously automated submissions are blocked, the others send the signals in the submit
+ * metadata, for the server to decide.
+ */
+export default class Honeypot extends Captcha {
+  // the signals are sent in the submit metadata, not in the data of the form
+  responseField = undefined;
+
+  renderedAt;
+
+  interactions = { pointer: 0, keys: 0, focus: 0 };
+
+  honeypot;
+
+  // eslint-disable-next-line class-methods-use-this
+  get invisible() {
+    return true;
+  }
+
+  get minTime() {
+    return Number(this.config.minTime ?? DEFAULT_MIN_TIME);
+  }
+
+  get difficulty() {
+    return Number(this.config.difficulty ?? DEFAULT_DIFFICULTY);
+  }
+
+  loadCaptcha(form) {
+    this.renderedAt = Date.now();
+    this.container = [...form.querySelectorAll('.field-wrapper')]
+      .find((wrapper) => wrapper.dataset.id === this.id);
+    form.addEventListener('pointerdown', () => { this.interactions.pointer += 1; });
+    form.addEventListener('keydown', () => { this.interactions.keys += 1; });
+    form.addEventListener('focusin', () => { this.interactions.focus += 1; });
+    if (!this.container) {
+      // the fields of the form are not replaced, the other signals are still sent
+      // eslint-disable-next-line no-console
+      console.warn(`Honeypot can not be loaded. Field ${this.name} is missing.`);
+      return;
+    }
+    this.honeypot = document.createElement('input');
+    this.honeypot.type = 'text';
+    this.honeypot.name = this.config.honeypotName || 'website';
+    this.honeypot.tabIndex = -1;
+    this.honeypot.autocomplete = 'off';
+    this.honeypot.setAttribute('aria-hidden', 'true');
+    // the honeypot is not a field of the form, e.g. for the rules
+    this.honeypot.addEventListener('change', (e) => e.stopPropagation());
+    this.container.replaceChildren(this.honeypot);
+  }
+
+  /**
+   * Returns the signals of the submission as its token: whether the honeypot is filled, the time
+   * from rendering in ms, the number of interactions and the proof of work.
+   * @throws {Error} if the submission is automated, with the reason of the check
+   */
+  async getToken() {
+    const elapsed = Date.now() - this.renderedAt;
+    const { pointer, keys } = this.interactions;
+    if (this.honeypot?.value) {
+      throw spamError('honeypot');
+    }
+    if (elapsed < this.minTime) {
+      throw spamError('time');
+    }
+    if (pointer + keys === 0) {
+      throw spamError('interaction');
+    }
+    const challenge = `${this.formName}:${this.renderedAt}`;
+    return JSON.stringify({
+      honeypot: false,
+      elapsed,
+      interactions: { ...this.interactions },
+      challenge,
+      nonce: await proofOfWork(challenge, this.difficulty),
+      difficulty: this.difficulty,
+    });
+  }
+}
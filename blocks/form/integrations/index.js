@@ -0,0 +1,66 @@
+import GoogleReCaptcha from './recaptcha.js';
+import Turnstile from './turnstile.js';
+import HCaptcha from './hcaptcha.js';
+import Honeypot from './honeypot.js';
+
+/**
+ * The captcha providers, by the provider of the fd:captcha property of the captcha field.
+ */
+export const captchaProviders = {
+  recaptcha: GoogleReCaptcha,
+  turnstile: Turnstile,
+  hcaptcha: HCaptcha,
+  honeypot: Honeypot,
+};
+
+// captchas of the rendered forms, by the id of their field, see fetchCaptchaToken
+const captchas = new Map();
+
+function getConfig(field) {
+  const config = field.properties?.['fd:captcha']?.config || {
+    siteKey: field.value,
+    uri: field.uri,
+    version: field.version,
+  };
+  const invisible = config.widgetType === 'invisible' || field.properties?.variant === 'invisible';
+  return invisible && !config.size ? { ...config, size: 'invisible' } : config;
+}
+
+/**
+ * Creates the captcha of a captcha field, for the provider of the fd:captcha property of the
+ * field or its captchaProvider, reCAPTCHA by default.
+ * @param {Object} field the captcha field
+ * @param {string} formName name of the form, used in the reCAPTCHA Enterprise action
+ * @returns {import('./captcha.js').default}
+ */
+export function createCaptcha(field, formName) {
+  const provider = field.properties?.['fd:captcha']?.provider || field.captchaProvider;
+  const Provider = captchaProviders[provider] || GoogleReCaptcha;
+  const captcha = new Provider(getConfig(field), field.id, field.name, formName);
+  captchas.set(field.id, captcha);
+  return captcha;
+}
+
+/**
+ * Returns the captcha of a rendered form.
+ * @param {string} id id of the captcha field
+ */
+export function getCaptcha(id) {
+  return captchas.get(id);
+}
+
+/**
+ * Fetches the captcha token for the form from the captcha provider of the form, e.g.
+ * reCAPTCHA, Turnstile or hCaptcha. Overrides fetchCaptchaToken of functions.js, see
+ * functionRegistration.js.
+ * @param {object} globals - An object containing read-only form instance, read-only target
+ * field instance and methods for form modifications.
+ * @returns {Promise<string>} - The captcha token.
+ */
+export async function fetchCaptchaToken(globals) {
+  const captcha = getCaptcha(globals.form.$captcha?.$id);
+  if (!captcha) {
+    throw new Error(`Captcha ${globals.form.$captcha?.$name} is not loaded`);
+  }
+  return captcha.getToken();
+}
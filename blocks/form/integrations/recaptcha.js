@@ -1,66 +1,23 @@
-export default class GoogleReCaptcha {
-  id;
+import Captcha from './captcha.js';
 
-  name;
+/**
+ * Google reCAPTCHA v3 or Enterprise, which are invisible and score based.
+ */
+export default class GoogleReCaptcha extends Captcha {
+  responseField = 'g-recaptcha-response';
 
-  config;
-
-  formName;
-
-  loadPromise;
-
-  constructor(config, id, name, formName) {
-    this.config = config;
-    this.name = name;
-    this.id = id;
-    this.formName = formName;
+  // eslint-disable-next-line class-methods-use-this
+  get invisible() {
+    return true;
   }
 
-  #loadScript(url) {
-    if (!this.loadPromise) {
-      this.loadPromise = new Promise((resolve, reject) => {
-        const head = document.head || document.querySelector('head');
-        const script = document.createElement('script');
-        script.src = url;
-        script.async = true;
-        script.onload = () => resolve(window.grecaptcha);
-        script.onerror = () => reject(new Error(`Failed to load script ${url}`));
-        head.append(script);
-      });
-    }
-  }
-
-  loadCaptcha(form) {
-    if (form && this.config.siteKey) {
-      const submit = form.querySelector('button[type="submit"]');
-      const obs = new IntersectionObserver((entries) => {
-        entries.forEach((entry) => {
-          if (entry.isIntersecting) {
-            const { siteKey } = this.config;
-            const url = this.config.uri;
-            if (this.config.version === 'enterprise') {
-              this.#loadScript(`${url}?render=${siteKey}`);
-            } else {
-              this.#loadScript(`https://www.google.com/recaptcha/api.js?render=${siteKey}`);
-            }
-            obs.disconnect();
-          }
-        });
-      });
-      if (submit == null) {
-        // eslint-disable-next-line no-console
-        console.warn('Captcha can not be loaded. Submit button is missing.');
-        // eslint-disable-next-line no-alert
-        alert('Captcha can not be loaded. Add Submit button.');
-      } else {
-        obs.observe(submit);
-      }
-    } else {
-      // eslint-disable-next-line no-console
-      console.warn('Captcha configuration in missing.');
-      // eslint-disable-next-line no-alert
-      alert('Captcha can not be loaded. Captcha configuration in missing.');
+  async load() {
+    const { siteKey } = this.config;
+    const url = this.config.uri;
+    if (this.config.version === 'enterprise') {
+      return this.loadScript(`${url}?render=${siteKey}`, 'grecaptcha');
     }
+    return this.loadScript(`https://www.google.com/recaptcha/api.js?render=${siteKey}`, 'grecaptcha');
   }
 
   async getToken() {
@@ -0,0 +1,24 @@
+import Captcha from './captcha.js';
+
+/**
+ * Cloudflare Turnstile. The widget is interactive, or invisible when the size of the config is
+ * invisible, in which case the challenge runs on submit and is only shown if needed.
+ */
+export default class Turnstile extends Captcha {
+  responseField = 'cf-turnstile-response';
+
+  async load() {
+    return this.loadScript('https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit', 'turnstile');
+  }
+
+  renderWidget(turnstile, container) {
+    return turnstile.render(this.createWidgetElement(container), {
+      sitekey: this.config.siteKey,
+      execution: this.invisible ? 'execute' : 'render',
+      appearance: this.invisible ? 'interaction-only' : 'always',
+      callback: (token) => this.onToken(token),
+      'error-callback': (error) => this.onError(new Error(`Turnstile error ${error}`)),
+      'expired-callback': () => this.onExpired(),
+    });
+  }
+}
@@ -1,7 +1,7 @@
 import { loadCSS } from '../../scripts/aem.js';
 
 let customComponents = ['range'];
-const OOTBComponentDecorators = ['accordion', 'file', 'modal', 'password', 'rating', 'repeat', 'tnc', 'toggleable-link', 'wizard'];
+const OOTBComponentDecorators = ['accordion', 'combobox', 'file', 'masked-input', 'modal', 'password', 'rating', 'repeat', 'signature', 'tnc', 'toggleable-link', 'wizard'];
 
 export function setCustomComponents(components) {
   customComponents = components;
@@ -63,7 +63,8 @@ async function loadComponent(componentName, element, fd, container, formId) {
  * */
 export default async function componentDecorator(element, fd, container, formId) {
   const { ':type': type = '', fieldType } = fd;
-  if (fieldType === 'file-input') {
+  // the signature is a file input, decorated by its own component
+  if (fieldType === 'file-input' && type !== 'signature') {
     await loadComponent('file', element, fd, container, formId);
   }
 
@@ -0,0 +1,203 @@
+import { OPTIONS_ERROR_MESSAGE, OPTIONS_SOURCE_HOSTS } from './constant.js';
+import { isSheetUrl } from './util.js';
+
+// JSON of the URLs, the options of a URL are loaded once per page
+const cache = new Map();
+
+const matchesHost = (hostname, hosts) => hosts
+  .some((host) => (host.startsWith('.') ? hostname.endsWith(host) : hostname === host));
+
+const getPath = (object, path) => (path ? `${path}`.split('.')
+  .reduce((value, key) => value?.[key], object) : object);
+
+/**
+ * Returns the options source of a drop-down, radio group or checkbox group, from its properties:
+ * - optionsUrl, the URL of the JSON, a path of the site or a URL of an allowed host
+ * - optionsItemsPath, the path of the options in the JSON, data or the JSON itself by default
+ * - optionsLabelPath and optionsValuePath, the path of the label and of the value of an option,
+ *   Option and Value by default, like the columns of a sheet
+ * - optionsGroupPath, the path of the group of an option, see properties.optionGroups, Group
+ *   by default for the URL of a sheet of the site
+ * - optionsFilterField and optionsFilterPath, the name of the field whose value the options are
+ *   filtered by, and the path of the value of an option that must match it, the name of the
+ *   field by default
+ * A field with an optionsFilterField and no optionsUrl is the child of that field in a cascade,
+ * e.g. country, state and city: its options are the optionsItemsPath of the selected options of
+ * the parent, which is loaded from hierarchical JSON, e.g. the states of each country.
+ * Drop-downs whose only option is the URL of a sheet of the site load its Option and Value.
+ * @param {Object} field the field definition or its state
+ * @returns {Object|null}
+ */
+export function getOptionsSource(field) {
+  const {
+    optionsUrl, optionsItemsPath, optionsLabelPath, optionsValuePath, optionsGroupPath,
+    optionsFilterField, optionsFilterPath,
+  } = field?.properties || {};
+  const url = optionsUrl || (field?.fieldType === 'drop-down' && field.enum?.length === 1
+    && isSheetUrl(field.enum[0]) ? field.enum[0] : '');
+  if (!(url || optionsFilterField)
+    || !['drop-down', 'radio-group', 'checkbox-group'].includes(field.fieldType)) {
+    return null;
+  }
+  return {
+    url,
+    itemsPath: optionsItemsPath,
+    labelPath: optionsLabelPath || 'Option',
+    valuePath: optionsValuePath || 'Value',
+    // the Group column of a sheet, like its Option and Value columns
+    groupPath: optionsGroupPath || (isSheetUrl(url) ? 'Group' : undefined),
+    filterField: optionsFilterField,
+    filterPath: optionsFilterPath || optionsFilterField,
+  };
+}
+
+function resolveUrl(value) {
+  if (value.startsWith('/') && !value.startsWith('//')) {
+    return value;
+  }
+  const url = new URL(value);
+  // the sheets of the site are loaded from the origin of the page
+  if (isSheetUrl(value)) {
+    return `${url.pathname}${url.search}`;
+  }
+  if (url.origin === window.location.origin
+    || (url.protocol === 'https:' && matchesHost(url.hostname, OPTIONS_SOURCE_HOSTS))) {
+    return url.href;
+  }
+  throw new Error(`Options can not be loaded from ${url.origin}, see OPTIONS_SOURCE_HOSTS`);
+}
+
+/**
+ * Returns the parent of a field in a cascade, see getOptionsSource, with the value of the field
+ * that filters its own options, and its own parent.
+ * @param {Object} source the options source of the child
+ * @param {Object[]} fields the fields of the form
+ * @param {Function} getValue returns the value of a field by name
+ * @returns {Object|undefined}
+ */
+export function getCascadeParent(source, fields, getValue, visited = []) {
+  const field = !source.url && fields.find(({ name }) => name === source.filterField);
+  const parent = field && !visited.includes(field) && getOptionsSource(field);
+  if (!parent) {
+    return undefined;
+  }
+  return {
+    source: parent,
+    filterValue: parent.filterField && getValue(parent.filterField),
+    parent: getCascadeParent(parent, fields, getValue, [...visited, field]),
+  };
+}
+
+const REPEATABLE = '[data-repeatable="true"]';
+
+/**
+ * Returns the wrapper of the field of a name that is nearest to an element of the form: in the
+ * same instance of a repeatable panel, or of the panels it is in, or else in the form. e.g. the
+ * country of the address of a state in a repeatable panel of addresses.
+ * @param {HTMLElement} element
+ * @param {string} name name of the field
+ * @returns {HTMLElement|null}
+ */
+export function findNearestField(element, name) {
+  let match;
+  for (let instance = element.closest(REPEATABLE); instance && !match;
+    instance = instance.parentElement?.closest(REPEATABLE)) {
+    match = instance.querySelector(`[name="${name}"]`);
+  }
+  match = match || element.closest('form')?.querySelector(`[name="${name}"]`);
+  return match?.closest('.field-wrapper') || null;
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Options can not be loaded from ${url}: ${response.status}`);
+  }
+  return response.json();
+}
+
+const matches = (values, value) => values.includes(`${value}`);
+
+// the items of a source, filtered by the value of the field that filters them
+async function loadItems(source, filterValue, parent) {
+  const values = [filterValue ?? []].flat().map((value) => `${value}`);
+  if (!source.url) {
+    // the items of the selected options of the parent
+    const options = parent ? await loadItems(parent.source, parent.filterValue, parent.parent) : [];
+    return options
+      .filter((option) => matches(values, getPath(option, parent.source.valuePath)
+        ?? getPath(option, parent.source.labelPath)))
+      .flatMap((option) => getPath(option, source.itemsPath) || []);
+  }
+  const url = resolveUrl(source.url);
+  if (!cache.has(url)) {
+    cache.set(url, fetchJSON(url));
+  }
+  let json;
+  try {
+    json = await cache.get(url);
+  } catch (e) {
+    // loaded again by the next call
+    cache.delete(url);
+    throw e;
+  }
+  const items = source.itemsPath ? getPath(json, source.itemsPath)
+    : (Array.isArray(json) && json) || json?.data;
+  const options = Array.isArray(items) ? items : [];
+  return source.filterField
+    ? options.filter((option) => matches(values, getPath(option, source.filterPath)))
+    : options;
+}
+
+/**
+ * Loads the options of an options source.
+ * @param {Object} source see getOptionsSource
+ * @param {any} filterValue value of the field that filters the options, if any
+ * @param {Object} [parent] the parent of the field in a cascade, see getCascadeParent
+ * @returns {Promise<{enum: string[], enumNames: string[], optionGroups?: string[]}>}
+ * @throws {Error} if the URL is not allowed or the options can not be loaded
+ */
+export async function loadOptions(source, filterValue, parent) {
+  const options = await loadItems(source, filterValue, parent);
+  // an option can also be a string, e.g. the cities of a state, its label and its value
+  const read = (option, path) => (option !== null && typeof option === 'object'
+    ? getPath(option, path) : option);
+  const label = (option) => read(option, source.labelPath) ?? read(option, source.valuePath);
+  const value = (option) => read(option, source.valuePath) ?? read(option, source.labelPath);
+  return {
+    enum: options.map((option) => `${value(option) ?? ''}`),
+    enumNames: options.map((option) => `${label(option) ?? ''}`),
+    ...(source.groupPath && {
+      optionGroups: options.map((option) => `${getPath(option, source.groupPath) ?? ''}`),
+    }),
+  };
+}
+
+/**
+ * Shows that the options of a field are loading or could not be loaded.
+ * @param {HTMLElement} element the select, or the fieldset of a radio or checkbox group
+ * @param {'loading'|'error'|null} state
+ */
+export function setOptionsState(element, state) {
+  const wrapper = element?.closest('.field-wrapper');
+  if (!wrapper) {
+    return;
+  }
+  wrapper.classList.toggle('options-loading', state === 'loading');
+  wrapper.classList.toggle('options-error', state === 'error');
+  if (state === 'loading') {
+    element.setAttribute('aria-busy', 'true');
+  } else {
+    element.removeAttribute('aria-busy');
+  }
+  let message = wrapper.querySelector(':scope > .options-error-message');
+  if (state === 'error' && !message) {
+    message = document.createElement('div');
+    message.className = 'options-error-message';
+    message.setAttribute('role', 'alert');
+    message.textContent = OPTIONS_ERROR_MESSAGE;
+    wrapper.append(message);
+  } else if (state !== 'error') {
+    message?.remove();
+  }
+}
@@ -0,0 +1,15 @@
+/* eslint-env serviceworker */
+import { flushOutbox, OUTBOX_SYNC_TAG } from './outbox.js';
+
+oninstall = () => skipWaiting();
+
+onsync = (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    // rejecting makes the browser retry the sync later
+    event.waitUntil(flushOutbox({ force: true }).then((remaining) => {
+      if (remaining > 0) {
+        throw new Error(`${remaining} form submissions are still queued`);
+      }
+    }));
+  }
+};
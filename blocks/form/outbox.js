@@ -0,0 +1,289 @@
+/**
+ * Persistent outbox for form submissions that failed because the network was not available.
+ * Queued submissions are stored in IndexedDB and retried with exponential backoff when the
+ * page comes back online. Optionally a service worker retries them in the background.
+ *
+ * This module is also imported by the service worker, so it must not access the window
+ * object at the module level.
+ */
+const DB_NAME = 'aem-forms-outbox';
+const STORE_NAME = 'submissions';
+export const OUTBOX_SYNC_TAG = 'aem-forms-outbox';
+
+const RETRY_BASE_DELAY = 5 * 1000;
+const RETRY_MAX_DELAY = 10 * 60 * 1000;
+// submissions that still fail after this many attempts or this long are dropped
+const MAX_ATTEMPTS = 20;
+const MAX_AGE = 24 * 60 * 60 * 1000;
+// a submission is sent by the page or the service worker that claims it, and by another one
+// only if it was not sent within this time, e.g. because the page was closed
+const CLAIM_TIMEOUT = 5 * 60 * 1000;
+
+let outboxStore;
+let flushPromise;
+let retryTimer;
+let serviceWorker;
+const listeners = new Set();
+const dropListeners = new Set();
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createIndexedDBStore() {
+  let dbPromise;
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    const db = await open();
+    return promisify(fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+  // reads and updates the record in one transaction, so that only one context claims it
+  const claim = async (id, until) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      let claimed = null;
+      store.get(id).onsuccess = ({ target: { result: record } }) => {
+        if (record && !(record.claimedUntil > Date.now())) {
+          claimed = { ...record, claimedUntil: until };
+          store.put(claimed);
+        }
+      };
+      transaction.oncomplete = () => resolve(claimed);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  };
+  return {
+    getAll: () => run('readonly', (store) => store.getAll()),
+    put: (record) => run('readwrite', (store) => store.put(record)),
+    delete: (id) => run('readwrite', (store) => store.delete(id)),
+    claim,
+  };
+}
+
+/**
+ * Sets the store used to persist the queued submissions. The store must implement
+ * getAll(), put(record), delete(id) and claim(id, until), each returning a promise. claim
+ * resolves with the record with its claimedUntil set to until, or null if the record is gone
+ * or its claimedUntil is not over yet, atomically for all the contexts that share the store.
+ * @param {Object} store
+ */
+export function setOutboxStore(store) {
+  outboxStore = store;
+}
+
+function getOutboxStore() {
+  if (!outboxStore && typeof indexedDB !== 'undefined') {
+    outboxStore = createIndexedDBStore();
+  }
+  return outboxStore;
+}
+
+export function isOutboxAvailable() {
+  return !!getOutboxStore();
+}
+
+/**
+ * Registers a listener that is invoked with the record of every queued submission that
+ * was sent successfully.
+ * @param {Function} listener
+ * @returns {Function} function to remove the listener
+ */
+export function onSubmissionSent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Registers a listener that is invoked with the record of every queued submission that
+ * was dropped, because the server rejected it with a client error or because it could
+ * not be sent after MAX_ATTEMPTS attempts or within MAX_AGE. The response is null if the
+ * submission was dropped without a response.
+ * @param {Function} listener
+ * @returns {Function} function to remove the listener
+ */
+export function onSubmissionDropped(listener) {
+  dropListeners.add(listener);
+  return () => dropListeners.delete(listener);
+}
+
+// FormData can not be stored in IndexedDB, hence it is stored as a list of entries.
+// Files are Blobs, which are stored as is.
+export function serializeBody(body) {
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return { type: 'form-data', entries: [...body.entries()] };
+  }
+  return { type: 'text', value: body };
+}
+
+export function deserializeBody(body) {
+  if (body?.type === 'form-data') {
+    const formData = new FormData();
+    body.entries.forEach(([name, value]) => formData.append(name, value));
+    return formData;
+  }
+  return body?.value;
+}
+
+export function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * (2 ** attempts), RETRY_MAX_DELAY);
+}
+
+async function registerBackgroundSync(serviceWorkerUrl) {
+  try {
+    // the service worker is not in the scope of the page, hence wait for its activation
+    // instead of navigator.serviceWorker.ready
+    const registration = await navigator.serviceWorker.register(serviceWorkerUrl, { type: 'module' });
+    const worker = registration.installing || registration.waiting;
+    if (worker) {
+      await new Promise((resolve) => {
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'activated') resolve();
+        });
+      });
+    }
+    await registration.sync.register(OUTBOX_SYNC_TAG);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to register the form outbox service worker', e);
+  }
+}
+
+/**
+ * Stores a submission in the outbox.
+ * @param {{url: string, method?: string, headers?: Object, body: string|FormData}} request
+ * @param {string} formId id of the form instance that made the submission
+ * @returns {Promise<number>} id of the queued submission
+ */
+export async function queueSubmission({
+  url, method = 'POST', headers = {}, body,
+}, formId) {
+  const store = getOutboxStore();
+  if (!store) {
+    throw new Error('Offline submission outbox is not available');
+  }
+  const id = await store.put({
+    url,
+    method,
+    headers,
+    body: serializeBody(body),
+    formId,
+    // sent with every attempt, so that the server can ignore the attempts it already processed
+    key: crypto.randomUUID(),
+    createdAt: Date.now(),
+    attempts: 0,
+    nextAttempt: Date.now(),
+  });
+  if (serviceWorker) {
+    registerBackgroundSync(serviceWorker);
+  }
+  return id;
+}
+
+async function send(queued, store) {
+  // the page and the service worker flush the same outbox
+  const record = await store.claim(queued.id, Date.now() + CLAIM_TIMEOUT);
+  if (!record) {
+    return false;
+  }
+  let response;
+  try {
+    response = await fetch(record.url, {
+      method: record.method,
+      headers: { ...record.headers, 'Idempotency-Key': record.key },
+      body: deserializeBody(record.body),
+    });
+  } catch (e) {
+    response = null;
+  }
+  const attempts = record.attempts + 1;
+  const expired = attempts >= MAX_ATTEMPTS || Date.now() - record.createdAt >= MAX_AGE;
+  // server errors are retried, client errors would fail again and are dropped
+  if ((!response || response.status >= 500) && !expired) {
+    await store.put({
+      ...record, attempts, nextAttempt: Date.now() + getRetryDelay(attempts), claimedUntil: 0,
+    });
+    return false;
+  }
+  await store.delete(record.id);
+  if (response?.ok) {
+    listeners.forEach((listener) => listener(record, response));
+  } else {
+    // eslint-disable-next-line no-console
+    console.error(`Dropping queued submission to ${record.url}: ${response?.status ?? 'network error'}`);
+    dropListeners.forEach((listener) => listener(record, response));
+  }
+  return true;
+}
+
+/**
+ * Sends all queued submissions that are due. Submissions that fail again are rescheduled
+ * with exponential backoff.
+ * @param {{force?: boolean}} options force sends all submissions, ignoring the backoff
+ * @returns {Promise<number>} number of submissions that are still queued
+ */
+export function flushOutbox({ force = false } = {}) {
+  const store = getOutboxStore();
+  if (!store) {
+    return Promise.resolve(0);
+  }
+  if (!flushPromise) {
+    flushPromise = (async () => {
+      const records = await store.getAll();
+      // sequentially, to keep the order of the submissions
+      // eslint-disable-next-line no-restricted-syntax
+      for (const record of records) {
+        if (force || record.nextAttempt <= Date.now()) {
+          // eslint-disable-next-line no-await-in-loop
+          await send(record, store);
+        }
+      }
+      const remaining = await store.getAll();
+      clearTimeout(retryTimer);
+      if (remaining.length) {
+        // the submissions claimed by another context are retried once their claim is over
+        const next = Math.min(...remaining
+          .map((record) => Math.max(record.nextAttempt, record.claimedUntil || 0)));
+        retryTimer = setTimeout(flushOutbox, Math.max(next - Date.now(), 0));
+      }
+      return remaining.length;
+    })().finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+}
+
+let initialized = false;
+
+/**
+ * Starts retrying the queued submissions whenever the page comes back online.
+ * @param {{serviceWorkerUrl?: string}} options url of the service worker that retries
+ * the submissions in the background, if the browser supports Background Sync.
+ */
+export function initOutbox({ serviceWorkerUrl } = {}) {
+  if (initialized || !isOutboxAvailable()) {
+    return;
+  }
+  initialized = true;
+  window.addEventListener('online', () => flushOutbox({ force: true }));
+  if (serviceWorkerUrl && 'serviceWorker' in navigator && 'SyncManager' in window) {
+    serviceWorker = serviceWorkerUrl;
+  }
+  if (navigator.onLine !== false) {
+    flushOutbox();
+  }
+}
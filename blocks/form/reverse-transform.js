@@ -0,0 +1,328 @@
+import DocBasedFormToAF, { rulesMapping } from './transform.js';
+
+// fieldType of AF forms to the Type of the spreadsheet
+const typeMapping = new Map([
+  ['text-input', 'text'],
+  ['number-input', 'number'],
+  ['date-input', 'date'],
+  ['email', 'email'],
+  ['tel', 'tel'],
+  ['file-input', 'file'],
+  ['drop-down', 'select'],
+  ['radio-group', 'radio-group'],
+  ['checkbox-group', 'checkbox-group'],
+  ['plain-text', 'plain-text'],
+  ['checkbox', 'checkbox'],
+  ['radio', 'radio'],
+  ['multiline-input', 'textarea'],
+  ['panel', 'fieldset'],
+  ['button', 'button'],
+  ['image', 'image'],
+  ['heading', 'heading'],
+  ['captcha', 'captcha'],
+  ['hidden', 'hidden'],
+  ['range', 'range'],
+]);
+
+// columns in the order of the spreadsheet, followed by the other columns of the fields
+const COLUMNS = [
+  'Name', 'Type', 'Label', 'Fieldset', 'Mandatory', 'Value', 'Default', 'Placeholder',
+  'Description', 'Options', 'OptionNames', 'Checked', 'Visible', 'ReadOnly', 'Repeatable', 'Min',
+  'Max', 'Step', 'Pattern', 'Accept', 'Max File Size', 'Style', 'Variant', 'Alignment',
+  'Orientation', 'Display Format', 'Alt Text', 'Mask', 'Mask Value', 'Option Groups',
+  'Search URL', 'Options Source', 'Options Items', 'Options Label', 'Options Value',
+  'Options Group', 'Options Filter', 'Options Filter Path', 'Required Error Message',
+  'Pattern Error Message', 'Min Error Message', 'Max Error Message', 'Validation Error Message',
+  ...Object.values(rulesMapping),
+];
+
+// columns that are set from the structure of the form, or by #toRow
+const COMPUTED_COLUMNS = new Set([
+  'Name', 'Field', 'Type', 'Label', 'Fieldset', 'Value', 'Options', 'OptionNames', 'Min', 'Max',
+  'Min Error Message', 'Max Error Message', ...Object.values(rulesMapping),
+]);
+
+const DEFAULT_REQUIRED_MESSAGE = 'Please fill in this field.';
+
+// excel cell references, e.g. F2, $F$2 or personal!F2, but not functions like LOG10(
+const cellPattern = /(?<![\w$.!])(?:([A-Za-z_][\w-]*)!)?(\$?[A-Z]+\$?)(\d+)(?![\w(])/g;
+
+function getItems(panel) {
+  if (Array.isArray(panel?.items)) {
+    return panel.items;
+  }
+  const items = panel?.[':items'] || {};
+  return (panel?.[':itemsOrder'] || Object.keys(items)).map((key) => items[key]).filter((item) => item);
+}
+
+function getProperty(field, path) {
+  return path.split('.').reduce((value, key) => value?.[key], field);
+}
+
+function toText(value) {
+  if (Array.isArray(value)) {
+    return value.map(toText).join(',');
+  }
+  if (value && typeof value === 'object') {
+    return toText(value.value);
+  }
+  return value == null ? '' : String(value);
+}
+
+// the events that every field of AF forms has
+function isDefaultEvent(name, handlers) {
+  return name === 'custom:setProperty' && toText(handlers) === '$event.payload';
+}
+
+// the Value of checkboxes and radio buttons is their enum, see handleCheckboxAndRadio
+function setValue(row, field, formDef) {
+  if (field.fieldType === 'checkbox' || field.fieldType === 'radio') {
+    const [value] = field.enum || [];
+    if (value != null) {
+      row.Value = toText(value);
+    }
+    if (field.Checked === undefined && value != null
+      && toText(field.value ?? field.default) === toText(value)) {
+      row.Checked = 'true';
+    }
+    return;
+  }
+  let value = field.value ?? '';
+  if (row.Type === 'submit' && !value) {
+    value = formDef.redirectUrl || formDef.thankYouMsg || '';
+  }
+  if (toText(value)) {
+    row.Value = toText(value);
+  }
+}
+
+/**
+ * Quotes the value of a CSV cell if it contains a comma, a quote or a line break.
+ */
+function toCSVCell(value) {
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Returns the rows of a spreadsheet as CSV, with a header row.
+ * @param {{columns: string[], data: Array<Object>}} sheet
+ * @returns {string}
+ */
+export function toCSV({ columns, data }) {
+  return [columns, ...data.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(toCSVCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Transforms an adaptive form definition to the rows of a document based form, the inverse of
+ * DocBasedFormToAF. Constructs that the spreadsheet can't represent, like json-formula rules,
+ * are left out and reported in the errors.
+ */
+export default class AFToDocBasedForm {
+  /**
+   * Constructs of the form that are not in the rows of the last transform.
+   * @type {Array<{code: string, severity: string, message: string, name?: string}>}
+   */
+  errors = [];
+
+  #docForm = new DocBasedFormToAF();
+
+  #rows = [];
+
+  /**
+   * @param {Object} formDef adaptive form definition, with items or :items and :itemsOrder
+   * @returns {{total: number, offset: number, limit: number, columns: string[],
+   * data: Array<Object>, ':type': string}} the sheet, as published by a spreadsheet
+   */
+  transform(formDef) {
+    this.errors = [];
+    this.#rows = [];
+    if (!formDef || (!formDef.items && !formDef[':items'])) {
+      throw new Error('Unable to retrieve the form definition from json');
+    }
+    getItems(formDef).forEach((item) => this.#addField(item, undefined, formDef));
+    this.#addRules(formDef.properties?.rules);
+
+    const data = this.#rows.map(({ row }) => row);
+    const used = new Set(data.flatMap((row) => Object.keys(row)));
+    const columns = [
+      ...COLUMNS.filter((column) => used.delete(column)),
+      ...used,
+    ];
+    return {
+      total: data.length,
+      offset: 0,
+      limit: data.length,
+      columns,
+      data: data.map((row) => Object.fromEntries(columns.map((column) => [column, row[column] ?? '']))),
+      ':type': 'sheet',
+    };
+  }
+
+  #addError(code, message, name) {
+    this.errors.push({
+      code, severity: 'warning', message, name,
+    });
+  }
+
+  #addField(field, parent, formDef) {
+    const row = this.#toRow(field, parent, formDef);
+    this.#rows.push({ id: field.id, row });
+    getItems(field).forEach((item) => this.#addField(item, field, formDef));
+  }
+
+  /**
+   * Returns the Type of the field. The :type of the field is used if the spreadsheet renders
+   * it as the same fieldType, e.g. rating, wizard or the Type of document based forms.
+   */
+  #toType(field) {
+    const { fieldType } = field;
+    const buttonType = field.buttonType || field.properties?.['fd:buttonType'];
+    if (fieldType === 'button' && (buttonType === 'submit' || buttonType === 'reset')) {
+      return buttonType;
+    }
+    const viewType = (field.properties?.['fd:viewType'] || field[':type'] || '').split('/').pop();
+    const { fieldMapping, knownTypes } = this.#docForm;
+    if (viewType && (fieldMapping.has(viewType) || knownTypes.has(viewType))
+      && ((fieldMapping.get(viewType) ?? viewType) === fieldType || fieldType === 'panel')) {
+      return viewType;
+    }
+    if (fieldType === 'checkbox' && field.properties?.variant === 'switch') {
+      return 'toggle';
+    }
+    // the captchas of other providers than reCAPTCHA, e.g. turnstile
+    const captchaProvider = field.properties?.['fd:captcha']?.provider || field.captchaProvider;
+    if (fieldType === 'captcha' && captchaProvider !== 'recaptcha'
+      && fieldMapping.get(captchaProvider) === 'captcha') {
+      return captchaProvider;
+    }
+    if (typeMapping.has(fieldType)) {
+      return typeMapping.get(fieldType);
+    }
+    if (knownTypes.has(fieldType)) {
+      return fieldType;
+    }
+    this.#addError('unsupported-type', `Type "${fieldType}" of ${field.name} is not supported`, field.name);
+    return fieldType;
+  }
+
+  #toRow(field, parent, formDef) {
+    const { name } = field;
+    const type = this.#toType(field);
+    // the Fieldset column is always there, like in the template of the spreadsheet
+    const row = { Name: name, Type: type, Fieldset: parent?.name ?? '' };
+    if (field.label?.value) {
+      row.Label = field.label.value;
+      if (field.label.visible === false) {
+        this.#addError('unsupported-property', `Hidden label of ${name}`, name);
+      }
+    }
+
+    // columns that are a property of the field
+    Object.entries(this.#docForm.fieldPropertyMapping)
+      .filter(([column]) => !COMPUTED_COLUMNS.has(column))
+      .forEach(([column, path]) => {
+        const value = getProperty(field, path);
+        if (typeof value === 'boolean') {
+          // fields are visible, and not required, read only or repeatable, by default
+          if (value === (path !== 'visible')) {
+            row[column] = String(value);
+          }
+        } else if (value != null && value !== ''
+          && !(path === 'constraintMessages.required' && value === DEFAULT_REQUIRED_MESSAGE)) {
+          row[column] = toText(value);
+        }
+      });
+    if (type === 'toggle' && row.Variant === 'switch') {
+      delete row.Variant;
+    }
+
+    setValue(row, field, formDef);
+    if (field.enum && field.fieldType !== 'checkbox' && field.fieldType !== 'radio') {
+      row.Options = toText(field.enum);
+      if (field.enumNames) {
+        row.OptionNames = toText(field.enumNames);
+      }
+      if ([...field.enum, ...(field.enumNames || [])].some((option) => toText(option).includes(','))) {
+        this.#addError('unsupported-property', `Options of ${name} contain a comma`, name);
+      }
+    }
+    if (field.fieldType === 'drop-down' && field.type?.endsWith('[]')) {
+      this.#addError('unsupported-property', `Multiple selection of ${name}`, name);
+    }
+
+    const isPanel = field.fieldType === 'panel';
+    const min = field.minimum ?? field.minLength ?? (field.repeatable ? field.minOccur : undefined);
+    const max = field.maximum ?? field.maxLength ?? (field.repeatable ? field.maxOccur : undefined);
+    if (min != null && !(isPanel && !field.repeatable)) {
+      row.Min = toText(min);
+    }
+    if (max != null && !(isPanel && !field.repeatable)) {
+      row.Max = toText(max);
+    }
+    const messages = field.constraintMessages || {};
+    const minMessage = messages.minimum ?? messages.minLength ?? messages.minOccur ?? messages.min;
+    const maxMessage = messages.maximum ?? messages.maxLength ?? messages.maxOccur ?? messages.max;
+    if (minMessage) {
+      row['Min Error Message'] = minMessage;
+    }
+    if (maxMessage) {
+      row['Max Error Message'] = maxMessage;
+    }
+
+    // other columns of document based forms, e.g. Column Span or Checked
+    Object.keys(field)
+      .filter((key) => /^[A-Z]/.test(key) && !COMPUTED_COLUMNS.has(key) && row[key] === undefined)
+      .forEach((key) => {
+        row[key] = toText(field[key]);
+      });
+
+    this.#checkUnsupported(field);
+    return row;
+  }
+
+  #checkUnsupported(field) {
+    const { name } = field;
+    Object.keys(field.rules || {}).forEach((prop) => {
+      this.#addError('unsupported-rule', `Rule of ${name} for ${prop}`, name);
+    });
+    Object.entries(field.events || {})
+      .filter(([event, handlers]) => !isDefaultEvent(event, handlers))
+      .forEach(([event]) => {
+        this.#addError('unsupported-event', `Event ${event} of ${name}`, name);
+      });
+    ['validationExpression', 'displayValueExpression']
+      .filter((key) => field[key])
+      .forEach((key) => {
+        this.#addError('unsupported-rule', `${key} of ${name}`, name);
+      });
+  }
+
+  /**
+   * Sets the expressions of document based forms to the columns of their fields. The rows of
+   * the cells they refer to are updated to the rows of the fields in the new spreadsheet.
+   */
+  #addRules({ fieldIdMap = {}, rules = [] } = {}) {
+    const rowOfField = new Map(this.#rows.map(({ id }, index) => [id, index + 2]));
+    const rowOfCell = (key) => rowOfField.get(fieldIdMap[key]?.id);
+    rules.forEach(([fieldId, fieldRules]) => {
+      const entry = this.#rows.find(({ id }) => id === fieldId);
+      fieldRules.forEach(({ prop, expression, sheet }) => {
+        if (!entry || !rulesMapping[prop]) {
+          return;
+        }
+        // cells in string literals are text, e.g. "F2"
+        const updateCell = (cell, cellSheet, column, row) => {
+          const sheetName = (cellSheet || sheet)?.toLowerCase();
+          const newRow = rowOfCell(sheetName ? `${sheetName}!${row}` : row) ?? rowOfCell(row);
+          return newRow ? `${column}${newRow}` : cell;
+        };
+        entry.row[rulesMapping[prop]] = expression.split(/("[^"]*"|'[^']*')/)
+          .map((part, index) => (index % 2 ? part : part.replace(cellPattern, updateCell)))
+          .join('');
+      });
+    });
+  }
+}
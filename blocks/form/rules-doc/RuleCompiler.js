@@ -19,19 +19,32 @@
  ************************************************************************ */
 const cellNameRegex = /^\$?[A-Z]+\$?(\d+)$/;
 
-function visitor(nameMap, fields, bExcelFormula) {
-  return function visit(n) {
+// arguments of the lookup functions that reference a sheet, e.g. VLOOKUP(F2, "options", 2)
+const sheetArguments = {
+  vlookup: [1],
+  xlookup: [1, 2],
+};
+
+// cells of a multi-sheet workbook are mapped by sheet and row, e.g. personal!2
+function findField(nameMap, row, sheet) {
+  return (sheet && nameMap[`${sheet.toLowerCase()}!${row}`]) || nameMap[row];
+}
+
+function visitor(nameMap, fields, bExcelFormula, sheets, unknownCells, ruleSheet) {
+  return function visit(n, sheet = ruleSheet) {
+    if (bExcelFormula && n.type === 'Field' && /^(TRUE|FALSE)$/i.test(n.name)) {
+      return { type: 'Literal', value: n.name.toUpperCase() === 'TRUE' };
+    }
     if (n.type === 'Field') {
       const name = n?.name;
       let field;
       if (bExcelFormula) {
         const match = cellNameRegex.exec(name);
         if (match?.[1]) {
-          field = nameMap[match[1]];
+          field = findField(nameMap, match[1], sheet);
         }
         if (!field) {
-          // eslint-disable-next-line no-console
-          console.log(`Unknown column used in excel formula ${n.name}`);
+          unknownCells.add(sheet !== ruleSheet ? `${sheet}!${n.name}` : n.name);
         } else {
           n.name = field.name;
           fields.add(field.id);
@@ -41,6 +54,12 @@ function visitor(nameMap, fields, bExcelFormula) {
       }
     } if (n.type === 'Function') {
       n.name = n.name.toLowerCase();
+      sheetArguments[n.name]?.forEach((index) => {
+        const arg = n.children[index];
+        if (arg?.type === 'Literal' && typeof arg.value === 'string') {
+          sheets.add(arg.value.split('!')[0]);
+        }
+      });
     } else if (n.type === 'Subexpression') {
       return visit({
         type: 'Field',
@@ -54,20 +73,68 @@ function visitor(nameMap, fields, bExcelFormula) {
   };
 }
 
-function updateCellNames(ast, rowNumberFieldMap, bExcelFormula = true) {
+function updateCellNames(ast, rowNumberFieldMap, bExcelFormula = true, sheet = undefined) {
   const fields = new Set();
-  const newAst = visitor(rowNumberFieldMap, fields, bExcelFormula)(ast);
-  return [newAst, Array.from(fields)];
+  const sheets = new Set();
+  const unknownCells = new Set();
+  const visit = visitor(rowNumberFieldMap, fields, bExcelFormula, sheets, unknownCells, sheet);
+  const newAst = visit(ast);
+  return [newAst, Array.from(fields), Array.from(sheets), Array.from(unknownCells)];
 }
 
-export default function transformRule({ prop, expression }, fieldToCellMap, formula) {
+/**
+ * Compiles the expression of a rule. Problems of the expression are added to the errors,
+ * with the row and column of the spreadsheet.
+ * Cells refer to the sheet of the rule, or to another sheet of a workbook, e.g. contact!F2.
+ * @param {{prop: string, expression: string, row?: number, column?: string, sheet?: string}} rule
+ * @param {Object} fieldToCellMap row number to field, prefixed by the sheet in a workbook
+ * @param {Formula} formula
+ * @param {Array<Object>} errors
+ * @returns {{prop: string, deps: string[], sheets: string[], ast: Object}|null} the compiled
+ * rule, or null if the expression can't be parsed
+ */
+export default function transformRule({
+  prop, expression, row, column, sheet,
+}, fieldToCellMap, formula, errors = []) {
   const biSExcelFormula = expression.startsWith('=');
   const updatedExpression = biSExcelFormula ? expression.slice(1) : expression;
-  const ast = formula.compile(updatedExpression);
-  const [newAst, deps] = updateCellNames(ast, fieldToCellMap, biSExcelFormula);
+  let ast;
+  try {
+    ast = formula.compile(updatedExpression);
+  } catch (e) {
+    // position in the cell, counting from 1 and including the =
+    const position = e.position >= 0 ? e.position + (biSExcelFormula ? 2 : 1) : undefined;
+    errors.push({
+      code: 'formula-parse',
+      severity: 'error',
+      message: `Unable to parse ${expression}${position ? ` at character ${position}` : ''}: ${e.message}`,
+      row,
+      column,
+      position,
+      ...(sheet && { sheet }),
+    });
+    return null;
+  }
+  const [newAst, deps, sheets, unknownCells] = updateCellNames(
+    ast,
+    fieldToCellMap,
+    biSExcelFormula,
+    sheet,
+  );
+  unknownCells.forEach((cell) => {
+    errors.push({
+      code: 'unknown-cell',
+      severity: 'error',
+      message: `${cell} in ${expression} does not refer to a field`,
+      row,
+      column,
+      ...(sheet && { sheet }),
+    });
+  });
   return {
     prop,
     deps,
+    sheets,
     ast: newAst,
   };
 }
@@ -20,7 +20,19 @@
 /* eslint-disable max-classes-per-file */
 import Formula from './parser/Formula.js';
 import transformRule from './RuleCompiler.js';
+import { FormulaError } from './parser/utils.js';
+import { setDisplayValue } from './displayFormat.js';
+import { setMaskedValue } from '../components/masked-input/masked-input.js';
+import { updateCombobox } from '../components/combobox/combobox.js';
 import * as customFunctions from '../functions.js';
+import { defaultErrorMessages } from '../constant.js';
+import { emitFormEvent } from '../controller.js';
+import {
+  checkValidation, createDropdownUsingEnum, createRadioOrCheckboxUsingEnum,
+} from '../util.js';
+
+// rules of these properties are applied after the value rules of the fields they depend on
+const PROPERTY_RULES = ['visible', 'enabled', 'required', 'label', 'enum', 'validation'];
 
 function stripTags(input, allowd) {
   const allowed = ((`${allowd || ''}`)
@@ -43,17 +55,62 @@ function coerceValue(val) {
   return val;
 }
 
+const toBoolean = (val) => !!coerceValue(val);
+
+const toArray = (val) => {
+  if (Array.isArray(val)) return val;
+  if (val == null || val === '') return [];
+  return String(val).split(',').map((x) => x.trim());
+};
+
 const isFieldset = (e) => e.tagName === 'FIELDSET';
 
 const isRepeatableFieldset = (e) => isFieldset(e) && e.getAttribute('data-repeatable') === 'true';
 
+const isCheckboxGroup = (e) => !!e && isFieldset(e)
+  && e.querySelector('input')?.dataset.fieldType === 'checkbox-group';
+
 const isDataElement = (element) => element.tagName !== 'BUTTON' && !isFieldset(element) && element.name;
 
+/**
+ * Returns the error message of a required checkbox group without a checked checkbox.
+ * @returns {string} the message, empty if the group is not a required checkbox group or
+ * one of its checkboxes is checked
+ */
+function getRequiredMessage(element) {
+  if (!isCheckboxGroup(element) || element.dataset.required !== 'true'
+    || element.querySelector('input:checked')) {
+    return '';
+  }
+  return element.dataset.requiredErrorMessage || defaultErrorMessages.required;
+}
+
+/**
+ * Sets the custom validity of the first checkbox of a checkbox group, from its required rule,
+ * keeping the message of its validation expression.
+ */
+function setRequiredValidity(element) {
+  const input = element.querySelector('input');
+  if (!input) {
+    return;
+  }
+  const message = getRequiredMessage(element);
+  if (message) {
+    input.setCustomValidity(message);
+  } else if (input.validationMessage === (element.dataset.requiredErrorMessage
+    || defaultErrorMessages.required)) {
+    input.setCustomValidity('');
+  }
+}
+
 function getValue(fe) {
   if (fe.type === 'checkbox' || fe.type === 'radio') {
     if (fe.checked) return coerceValue(fe.value);
   } else if (fe.tagName === 'OUTPUT') {
     return fe.dataset.value;
+  } else if (fe.hasAttribute('edit-value')) {
+    // the field shows the formatted value, see displayFormat.js
+    return coerceValue(fe.getAttribute('edit-value'));
   } else if (fe.name) {
     return coerceValue(fe.value);
   }
@@ -69,13 +126,26 @@ function constructData(elements) {
   return payload;
 }
 
+const unique = (list) => list.filter((item, index) => list.lastIndexOf(item) === index);
+
+const getRepeatableFieldset = (element) => element.parentElement?.closest('fieldset[data-repeatable="true"]');
+
+function getRepeatTemplate(form, fieldsetName) {
+  return [...form.querySelectorAll('.repeat-wrapper')]
+    .find((wrapper) => wrapper['#repeat-template']?.name === fieldsetName)?.['#repeat-template'];
+}
+
+/**
+ * Returns the values of the fields of a repeatable fieldset, as an array with a value per
+ * instance. The fields are empty arrays, if all the instances were removed.
+ */
 function getFieldsetPayload(form, fieldsetName) {
-  let fieldsets = form.elements[fieldsetName];
-  if (!(fieldsets instanceof NodeList)) {
-    fieldsets = [fieldsets];
-  }
   const payload = {};
-  fieldsets.forEach((fe, i) => {
+  const template = getRepeatTemplate(form, fieldsetName);
+  [...(template?.elements || [])].filter(isDataElement).forEach((e) => {
+    payload[e.name] = [];
+  });
+  form.querySelectorAll(`fieldset[data-repeatable="true"][name="${fieldsetName}"]`).forEach((fe, i) => {
     [...fe.elements].filter(isDataElement).forEach((e) => {
       payload[e.name] = payload[e.name] || [];
       payload[e.name][i] = getValue(e);
@@ -84,6 +154,24 @@ function getFieldsetPayload(form, fieldsetName) {
   return payload;
 }
 
+/**
+ * Returns the data to evaluate the rules of a field in an instance of a repeatable fieldset.
+ * The fields of the instance, and of the instances that contain it, are single values
+ * while the fields of the other repeatable fieldsets remain arrays.
+ */
+function getInstanceData(data, element) {
+  const instanceData = {};
+  for (let fieldset = getRepeatableFieldset(element); fieldset;
+    fieldset = getRepeatableFieldset(fieldset)) {
+    [...fieldset.elements]
+      .filter((e) => isDataElement(e) && getRepeatableFieldset(e) === fieldset)
+      .forEach((e) => {
+        instanceData[e.name] = instanceData[e.name] ?? getValue(e);
+      });
+  }
+  return { ...data, ...instanceData };
+}
+
 function constructPayload(form) {
   const elements = [...form.elements];
   const payload = constructData(elements);
@@ -127,13 +215,19 @@ export default class RuleEngine {
   constructor(formRules, fieldIdMap, formTag) {
     this.formTag = formTag;
     this.data = constructPayload(formTag);
-    this.formula = new Formula(registerFunctions(customFunctions));
+    this.sheets = {};
+    this.formula = new Formula(registerFunctions(customFunctions), this.sheets);
+    // problems of the expressions, e.g. formulas that can't be parsed
+    this.errors = [];
     const newRules = formRules.map(([fieldId, fieldRules]) => [
       fieldId,
-      fieldRules.map((rule) => transformRule(rule, fieldIdMap, this.formula)),
+      fieldRules.map((rule) => transformRule(rule, fieldIdMap, this.formula, this.errors))
+        .filter((rule) => rule),
     ]);
 
     this.formRules = Object.fromEntries(newRules);
+    this.fieldNames = Object.fromEntries(Object.values(fieldIdMap)
+      .map(({ id, name }) => [id, name]));
     this.dependencyTree = newRules.reduce((fields, [fieldId, rules]) => {
       fields[fieldId] = fields[fieldId] || { deps: {} };
       rules.forEach(({ prop, deps }) => {
@@ -147,6 +241,53 @@ export default class RuleEngine {
     }, {});
   }
 
+  /**
+   * Returns the names of the sheets referenced by the lookup functions of the rules.
+   * @returns {string[]}
+   */
+  getSheetNames() {
+    const names = Object.values(this.formRules)
+      .flatMap((rules) => rules.flatMap(({ sheets }) => sheets || []));
+    return unique(names);
+  }
+
+  /**
+   * Loads the sheets referenced by the lookup functions, e.g. VLOOKUP(F2, "options", 2), from
+   * the workbook of the form. Sheets that can't be loaded are reported as #REF! errors.
+   * @param {string} formPath path of the form spreadsheet, e.g. /forms/contact.json
+   */
+  async loadSheets(formPath) {
+    await Promise.all(this.getSheetNames().map(async (name) => {
+      try {
+        const resp = await fetch(`${formPath}?sheet=${encodeURIComponent(name)}`);
+        const { data = [], columns } = await resp.json();
+        const headers = columns || Object.keys(data[0] || {});
+        this.sheets[name] = {
+          columns: headers,
+          rows: data.map((row) => headers.map((header) => row[header] ?? '')),
+        };
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.log(`unable to load sheet ${name}`, e);
+      }
+    }));
+  }
+
+  /**
+   * Evaluates a rule. Errors of the formula, e.g. #N/A of a VLOOKUP that did not find the
+   * value, result in an empty value.
+   */
+  evaluate(rule, data) {
+    try {
+      return this.formula.evaluate(rule.ast, data);
+    } catch (e) {
+      if (e instanceof FormulaError) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
   listRules(fieldId) {
     const arr = {};
     let index = 0;
@@ -159,13 +300,12 @@ export default class RuleEngine {
         stack.push(...this.dependencyTree[el].deps.value);
       }
       // eslint-disable-next-line no-loop-func
-      ['visible'].forEach((prop) => {
+      PROPERTY_RULES.forEach((prop) => {
         this.dependencyTree[el]?.deps[prop]?.forEach((field) => {
           arr[field] = index;
           index += 1;
         });
       });
-      // @todo add label deps as well.
     } while (stack.length > 0);
     return Object.entries(arr).sort((a, b) => a[1] - b[1]).map((_) => _[0]).slice(1);
   }
@@ -173,16 +313,27 @@ export default class RuleEngine {
   valueUpdate(fieldId, value) {
     const element = this.formTag.querySelector(`#${fieldId}`);
     if (!(element instanceof NodeList)) {
-      this.data[element.name] = coerceValue(value);
       if (element.tagName === 'OUTPUT') {
         element.value = value;
         element.dataset.value = value;
+      } else if (element.dataset.displayFormat) {
+        setDisplayValue(element, value);
+      } else if (element.dataset.mask) {
+        setMaskedValue(element, value);
       } else {
         element.value = value;
+        updateCombobox(element);
+      }
+      const fieldset = getRepeatableFieldset(element);
+      if (fieldset) {
+        this.data = { ...this.data, ...getFieldsetPayload(this.formTag, fieldset.name) };
+      } else {
+        this.data[element.name] = coerceValue(value);
       }
       if (element.type === 'range') {
         element.dispatchEvent(new CustomEvent('input', { bubbles: false }));
       }
+      emitFormEvent(this.formTag, 'change', { name: element.name, value: coerceValue(value) });
     }
   }
 
@@ -196,27 +347,173 @@ export default class RuleEngine {
     wrapper.dataset.visible = value;
   }
 
+  getWrapper(fieldId) {
+    const element = this.formTag.querySelector(`#${fieldId}`);
+    return isFieldset(element) ? element : element.closest('.field-wrapper');
+  }
+
+  enabledUpdate(fieldId, value) {
+    const element = this.formTag.querySelector(`#${fieldId}`);
+    // a disabled fieldset disables all the fields in it
+    element.toggleAttribute('disabled', !toBoolean(value));
+    element.toggleAttribute('aria-readonly', !toBoolean(value));
+  }
+
+  requiredUpdate(fieldId, value) {
+    const element = this.formTag.querySelector(`#${fieldId}`);
+    const wrapper = this.getWrapper(fieldId);
+    wrapper.dataset.required = toBoolean(value);
+    if (isCheckboxGroup(element)) {
+      // one checked checkbox is enough, hence the group is validated instead of its checkboxes
+      element.querySelectorAll('input').forEach((input) => { input.required = false; });
+      setRequiredValidity(element);
+    } else {
+      const inputs = isFieldset(element) ? [...element.querySelectorAll('input')] : [element];
+      inputs.forEach((input) => { input.required = toBoolean(value); });
+    }
+  }
+
+  labelUpdate(fieldId, value) {
+    const label = this.getWrapper(fieldId).querySelector(':scope > label, :scope > legend');
+    // the formula of the label can contain what the user typed
+    if (label) {
+      label.textContent = `${value ?? ''}`;
+    }
+  }
+
+  enumUpdate(fieldId, value) {
+    const element = this.formTag.querySelector(`#${fieldId}`);
+    const options = toArray(value);
+    if (element.tagName === 'SELECT') {
+      createDropdownUsingEnum({
+        enum: options,
+        value: element.multiple
+          ? [...element.selectedOptions].map((option) => option.value) : element.value,
+        placeholder: element.querySelector('option[disabled][value=""]')?.textContent,
+        required: element.required,
+        tooltip: element.title,
+        readOnly: element.readOnly,
+        type: element.multiple ? 'string[]' : 'string',
+      }, element);
+      updateCombobox(element);
+    } else if (isFieldset(element)) {
+      const inputs = [...element.querySelectorAll('input')];
+      const fieldType = inputs[0]?.dataset.fieldType;
+      if (fieldType === 'radio-group' || fieldType === 'checkbox-group') {
+        createRadioOrCheckboxUsingEnum({
+          id: element.id,
+          name: element.name,
+          fieldType,
+          enum: options,
+          value: inputs.filter((input) => input.checked).map((input) => input.value),
+          required: inputs.some((input) => input.required),
+        }, element);
+        setRequiredValidity(element);
+      }
+    }
+  }
+
+  validationUpdate(fieldId, value) {
+    const element = this.#setValidity(fieldId, value);
+    if (element) {
+      checkValidation(element);
+    }
+  }
+
+  /**
+   * Sets the custom validity of the field, from the result of its validation expression.
+   * @returns {HTMLElement} the element that holds the validity of the field
+   */
+  #setValidity(fieldId, value) {
+    const element = this.formTag.querySelector(`#${fieldId}`);
+    const input = isFieldset(element) ? element.querySelector('input') : element;
+    if (input?.setCustomValidity) {
+      const message = this.getWrapper(fieldId).dataset.validationErrorMessage
+        || defaultErrorMessages.validation;
+      input.setCustomValidity(toBoolean(value) ? getRequiredMessage(element) : message);
+      return input;
+    }
+    return null;
+  }
+
+  /**
+   * Evaluates the validation expressions of the fields. The error message is only shown for
+   * the changed field, the others show it when they are changed or the form is submitted.
+   */
+  #validate(fieldIds, changedField) {
+    fieldIds.forEach((fieldId) => {
+      this.formRules[fieldId]?.filter(({ prop }) => prop === 'validation').forEach((rule) => {
+        this.getRuleTargets(fieldId).forEach(({ id, data }) => {
+          const value = this.evaluate(rule, data);
+          if (id === changedField?.id) {
+            this.validationUpdate(id, value);
+          } else {
+            this.#setValidity(id, value);
+          }
+        });
+      });
+    });
+  }
+
   setData(field) {
     const fieldName = field.name;
     if (field.type === 'checkbox') {
       this.data[fieldName] = field.checked ? coerceValue(field.value) : undefined;
     } else {
-      this.data[fieldName] = coerceValue(field.value);
+      this.data[fieldName] = getValue(field);
+    }
+  }
+
+  /**
+   * Returns the elements a rule of the field applies to, with the data to evaluate it. A field
+   * in a repeatable fieldset has an element in each instance, which is evaluated with the
+   * values of that instance.
+   * @param {string} fieldId
+   * @returns {Array<{id: string, data: Object}>}
+   */
+  getRuleTargets(fieldId) {
+    const element = this.formTag.querySelector(`#${fieldId}`);
+    if (element && !getRepeatableFieldset(element)) {
+      return [{ id: fieldId, data: this.data }];
     }
+    const name = this.fieldNames[fieldId];
+    return [...this.formTag.querySelectorAll(`[name="${name}"]`)]
+      .filter((el) => el.id && getRepeatableFieldset(el))
+      .map((el) => ({ id: el.id, data: getInstanceData(this.data, el) }));
+  }
+
+  getFieldId(name) {
+    return Object.keys(this.fieldNames).find((id) => this.fieldNames[id] === name) || name;
   }
 
   applyRules(rules) {
     rules.forEach((fId) => {
       this.formRules[fId]?.forEach((rule) => {
-        const newValue = this.formula.evaluate(rule.ast, this.data);
         const handler = this[`${rule.prop}Update`];
         if (handler instanceof Function) {
-          handler.apply(this, [fId, newValue]);
+          this.getRuleTargets(fId).forEach(({ id, data }) => {
+            const newValue = this.evaluate(rule, data);
+            handler.apply(this, [id, newValue]);
+          });
         }
       });
     });
   }
 
+  /**
+   * Applies the rules of the fields of a repeatable fieldset, and of the fields that depend on
+   * them, after an instance was added or removed.
+   * @param {string} fieldsetName
+   */
+  applyFieldsetRules(fieldsetName) {
+    this.data = { ...this.data, ...getFieldsetPayload(this.formTag, fieldsetName) };
+    const template = getRepeatTemplate(this.formTag, fieldsetName);
+    const fieldIds = [...(template?.elements || [])]
+      .filter(isDataElement)
+      .map((e) => this.getFieldId(e.name));
+    this.applyRules(unique(fieldIds.flatMap((id) => [id, ...this.getRules(id)])));
+  }
+
   getRules(id) {
     if (!this.rulesOrder[id]) {
       this.rulesOrder[id] = this.listRules(id);
@@ -225,22 +522,31 @@ export default class RuleEngine {
   }
 
   enable() {
+    this.#validate(Object.keys(this.formRules));
     this.formTag.addEventListener('change', (e) => {
       const field = e.target;
-      const valid = e.target.checkValidity();
+      let fieldId = field.id;
+      // the instance, not the fieldset of a group or a nested panel in it
+      const fieldset = getRepeatableFieldset(field);
+      if (fieldset) {
+        this.data = {
+          ...this.data,
+          ...getFieldsetPayload(this.formTag, fieldset.name),
+        };
+        fieldId = this.getFieldId(field.name);
+      } else {
+        this.setData(field);
+      }
+      if (isCheckboxGroup(field.closest('fieldset'))) {
+        setRequiredValidity(field.closest('fieldset'));
+      }
+      // the validation expression of the field may depend on its own value
+      this.#validate([fieldId], field);
+      // validity instead of checkValidity, whose invalid event would show the message of the
+      // fields of a form that is reset, see enableValidation in form.js
+      const { valid } = e.target.validity;
       if (valid) {
-        let fieldId = field.id;
         let rules = [];
-        const fieldset = field.closest('fieldset');
-        if (fieldset && fieldset.getAttribute('data-repeatable') === 'true') {
-          this.data = {
-            ...this.data,
-            ...getFieldsetPayload(this.formTag, fieldset.name),
-          };
-          fieldId = field.name;
-        } else {
-          this.setData(field);
-        }
         if (field.type === 'radio') {
           const radios = this.formTag.elements[field.name];
           if (radios instanceof NodeList) {
@@ -255,32 +561,12 @@ export default class RuleEngine {
       }
     });
 
-    // this.formTag.addEventListener('item:add', (e) => {
-    //   const fieldsetName = e.detail.item.name;
-    //   let fieldset = this.formTag.elements[fieldsetName];
-    //   if (fieldset instanceof RadioNodeList) {
-    //     fieldset = fieldset.item(0);
-    //   }
-    //   this.data = {
-    //     ...this.data,
-    //     ...getFieldsetPayload(this.formTag, fieldsetName),
-    //   };
-    //   const rules = [...fieldset.elements].map((fd) => this.getRules(fd.name)).flat();
-    //   this.applyRules(rules);
-    // });
-
-    // this.formTag.addEventListener('item:remove', (e) => {
-    //   const fieldsetName = e.detail.item.name;
-    //   let fieldset = this.formTag.elements[fieldsetName];
-    //   if (fieldset instanceof RadioNodeList) {
-    //     fieldset = fieldset.item(0);
-    //   }
-    //   this.data = {
-    //     ...this.data,
-    //     ...getFieldsetPayload(this.formTag, fieldsetName),
-    //   };
-    //   const rules = [...fieldset.elements].map((fd) => this.getRules(fd.name)).flat();
-    //   this.applyRules(rules);
-    // });
+    this.formTag.addEventListener('item:add', (e) => {
+      this.applyFieldsetRules(e.detail.item.name);
+    });
+
+    this.formTag.addEventListener('item:remove', (e) => {
+      this.applyFieldsetRules(e.detail.item.name);
+    });
   }
 }
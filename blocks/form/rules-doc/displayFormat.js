@@ -0,0 +1,59 @@
+import { format } from '../rules/model/afb-formatters.js';
+
+function formatValue(value, displayFormat) {
+  if (value == null || value === '') {
+    return '';
+  }
+  try {
+    return format(value, document.documentElement.lang || 'en', displayFormat);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Sets the value of a field with a display format. The field shows the formatted value, and the
+ * value while it has the focus, see inputDecorator in form.js.
+ * @param {HTMLInputElement} input
+ * @param {string} value
+ */
+export function setDisplayValue(input, value) {
+  input.setAttribute('edit-value', value ?? '');
+  input.setAttribute('display-value', formatValue(value, input.dataset.displayFormat));
+  if (document.activeElement !== input) {
+    input.value = input.getAttribute('display-value');
+  }
+}
+
+function getFormattedFields(items = []) {
+  return items.flatMap((item) => [
+    ...(item.displayFormat ? [item] : []),
+    ...getFormattedFields(item.items),
+  ]);
+}
+
+/**
+ * Formats the fields of a document based form with a Display Format, e.g. date|dd/MM/yyyy or
+ * num|#,##0.00, when they are rendered and when the value is changed.
+ * @param {Object} formDef
+ * @param {HTMLFormElement} formTag
+ */
+export default function applyDisplayFormats(formDef, formTag) {
+  const fields = getFormattedFields(formDef.items);
+  if (!fields.length) {
+    return;
+  }
+  fields.forEach(({ id, displayFormat }) => {
+    const input = formTag.querySelector(`#${id}`);
+    if (input?.hasAttribute('edit-value')) {
+      input.dataset.displayFormat = displayFormat;
+      setDisplayValue(input, input.getAttribute('edit-value'));
+    }
+  });
+  // registered before the rule engine, which reads the edit-value of the field
+  formTag.addEventListener('change', (e) => {
+    if (e.target.dataset?.displayFormat) {
+      setDisplayValue(e.target, e.target.value);
+    }
+  });
+}
@@ -17,16 +17,177 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
-export default async function applyRuleEngine(form, formTag) {
+import { bindFormEngine, emitFormEvent } from '../controller.js';
+import { addDiagnostics } from '../diagnostics.js';
+import { constructPayload } from '../submit.js';
+import { checkValidation } from '../util.js';
+import { showErrorSummary } from '../validation.js';
+import applyDisplayFormats, { setDisplayValue } from './displayFormat.js';
+import { setMaskedValue } from '../components/masked-input/masked-input.js';
+import applyOptionsSources from './optionsSource.js';
+
+const isDataElement = (el) => el.name && !['BUTTON', 'FIELDSET', 'OUTPUT'].includes(el.tagName);
+
+/**
+ * Sets the value of the elements of a field, and runs the rules that depend on it.
+ * @param {Array<HTMLElement>} elements the input, select or textarea, or the radio buttons or
+ * checkboxes of a group
+ */
+function setElementValue(elements, value) {
+  const [element] = elements;
+  if (['radio', 'checkbox'].includes(element.type)) {
+    const values = (Array.isArray(value) ? value : [value]).map((v) => `${v}`);
+    elements.forEach((el) => { el.checked = values.includes(el.value); });
+  } else if (element.tagName === 'SELECT' && element.multiple) {
+    const values = (Array.isArray(value) ? value : [value]).map((v) => `${v}`);
+    [...element.options].forEach((option) => { option.selected = values.includes(option.value); });
+  } else if (element.dataset.displayFormat) {
+    setDisplayValue(element, value);
+  } else if (element.dataset.mask) {
+    setMaskedValue(element, value);
+  } else {
+    element.value = value ?? '';
+  }
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Returns the value of a field in the payload of the form. The value of a field of a repeatable
+ * fieldset is the list of its values in the instances.
+ * @param {Object} payload see constructPayload
+ * @param {string} name name of the field
+ */
+function getPayloadValue(payload, name) {
+  if (name in payload) {
+    return payload[name];
+  }
+  const values = Object.values(payload)
+    .filter((value) => Array.isArray(value))
+    .flatMap((instances) => instances
+      .filter((instance) => instance !== null && typeof instance === 'object')
+      .map((instance) => getPayloadValue(instance, name)))
+    .filter((value) => value !== undefined);
+  return values.length ? values : undefined;
+}
+
+function createField(formTag, name) {
+  const elements = [...formTag.querySelectorAll(`[name="${name}"]`)]
+    .filter((el) => el.tagName !== 'BUTTON');
+  const [element] = elements;
+  if (!element) {
+    return undefined;
+  }
+  const wrapper = element.tagName === 'FIELDSET' ? element : element.closest('.field-wrapper');
+  return {
+    name,
+    element,
+    get value() {
+      return getPayloadValue(constructPayload(formTag).payload, name);
+    },
+    set value(value) {
+      setElementValue(elements, value);
+    },
+    get visible() {
+      return wrapper?.dataset.visible !== 'false';
+    },
+    set visible(value) {
+      wrapper.dataset.visible = value;
+    },
+    get enabled() {
+      return !element.disabled;
+    },
+    set enabled(value) {
+      elements.forEach((el) => el.toggleAttribute('disabled', !value));
+    },
+    get required() {
+      return element.required === true;
+    },
+    set required(value) {
+      elements.forEach((el) => { el.required = value; });
+      wrapper.dataset.required = value;
+    },
+  };
+}
+
+/**
+ * The operations of the controller of the form, see controller.js. The fields are changed the
+ * way the user does, so that the rules and the validation of the form apply.
+ * @param {HTMLFormElement} formTag
+ */
+function createFormEngine(formTag) {
+  return {
+    getData() {
+      // eslint-disable-next-line no-underscore-dangle
+      const { __id__, ...data } = constructPayload(formTag).payload;
+      return data;
+    },
+    setData(data) {
+      Object.entries(data || {}).forEach(([name, value]) => {
+        const field = createField(formTag, name);
+        if (field && field.element.tagName !== 'FIELDSET') {
+          field.value = value;
+        }
+      });
+    },
+    async validate() {
+      const invalid = [...formTag.elements]
+        .filter((el) => el.willValidate && !el.checkValidity())
+        .filter((el, index, list) => list.findIndex((x) => x.name === el.name) === index);
+      invalid.forEach((el) => checkValidation(el));
+      showErrorSummary(formTag, { focus: invalid.length > 0 });
+      return invalid.map((el) => ({ name: el.name, message: el.validationMessage }));
+    },
+    reset() {
+      // the instances added to the repeatable fieldsets are removed, as with their remove button
+      formTag.querySelectorAll('.repeat-wrapper > [data-repeatable] > .item-remove').forEach((button) => {
+        if (button.isConnected) {
+          button.click();
+        }
+      });
+      const elements = [...formTag.elements].filter(isDataElement);
+      elements.forEach((el) => {
+        if (el.tagName === 'SELECT') {
+          [...el.options].forEach((option) => { option.selected = option.defaultSelected; });
+        } else if (['radio', 'checkbox'].includes(el.type)) {
+          el.checked = el.defaultChecked;
+        } else {
+          el.value = el.type === 'file' ? '' : el.defaultValue;
+        }
+      });
+      // the rules run once all the fields have their default value, which is not validated
+      elements.forEach((el) => el.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { reset: true } })));
+    },
+    submit() {
+      formTag.requestSubmit();
+    },
+    getField: (name) => createField(formTag, name),
+  };
+}
+
+export default async function applyRuleEngine(form, formTag, formPath) {
   try {
+    applyDisplayFormats(form, formTag);
+    applyOptionsSources(form, formTag);
     const { fieldIdMap, rules } = form.properties.rules;
     if (rules.length > 0) {
       const RuleEngine = (await import('./RuleEngine.js')).default;
       const ruleEngine = new RuleEngine(rules, fieldIdMap, formTag);
+      addDiagnostics(formTag, ruleEngine.errors);
+      if (formPath) {
+        await ruleEngine.loadSheets(formPath);
+      }
       ruleEngine.enable();
     }
   } catch (e) {
     // eslint-disable-next-line no-console
     console.log('unable to apply rules ', e);
   }
+  // the values set by the rules are notified by the rule engine
+  formTag.addEventListener('change', ({ target }) => {
+    if (isDataElement(target)) {
+      const value = constructPayload(formTag).payload[target.name];
+      emitFormEvent(formTag, 'change', { name: target.name, value: value ?? target.value });
+    }
+  });
+  bindFormEngine(formTag, createFormEngine(formTag));
 }
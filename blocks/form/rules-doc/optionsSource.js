@@ -0,0 +1,126 @@
+import { createDropdownUsingEnum, createRadioOrCheckboxUsingEnum } from '../util.js';
+import {
+  findNearestField, getCascadeParent, getOptionsSource, loadOptions, setOptionsState,
+} from '../options.js';
+import { updateCombobox } from '../components/combobox/combobox.js';
+
+function getFields(items = []) {
+  return items.flatMap((item) => [item, ...getFields(item.items)]);
+}
+
+const getSelected = (element) => (element.tagName === 'SELECT'
+  ? [...element.selectedOptions].filter((option) => option.value).map((option) => option.value)
+  : [...element.querySelectorAll('input')].filter((input) => input.checked)
+    .map((input) => input.value));
+
+// names of the fields that filter the options of a field, up the cascade, see options.js
+function getFilterFields(source, parent) {
+  return [source.filterField, ...(parent ? getFilterFields(parent.source, parent.parent) : [])]
+    .filter(Boolean);
+}
+
+// renders the options, keeping the selected ones, or the default value before the first load
+function renderOptions(element, field, options) {
+  const fd = {
+    ...field,
+    enum: options.enum,
+    enumNames: options.enumNames,
+    properties: { ...field.properties, optionGroups: options.optionGroups },
+  };
+  const selected = getSelected(element);
+  if (element.tagName === 'SELECT') {
+    const value = element.multiple ? selected : selected[0];
+    createDropdownUsingEnum({ ...fd, value: value?.length ? value : field.value }, element);
+    updateCombobox(element);
+  } else {
+    const value = selected.length ? selected : field.value;
+    createRadioOrCheckboxUsingEnum({ ...fd, value }, element);
+  }
+  // the selection of a child of a cascade that is not one of its options is cleared, which
+  // updates the rules and the options of its own children
+  if (field.properties?.optionsFilterField && selected.length
+    && getSelected(element).join() !== selected.join()) {
+    (element.tagName === 'SELECT' ? element : element.querySelector('input') || element)
+      .dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
+
+// the value of a field, from the elements of its wrapper
+function readValue(wrapper) {
+  const inputs = [...wrapper.querySelectorAll('input,select,textarea')];
+  const [input] = inputs;
+  if (!input) {
+    return undefined;
+  }
+  if (input.tagName === 'SELECT') {
+    const selected = getSelected(input);
+    return input.multiple ? selected : selected[0];
+  }
+  if (['radio', 'checkbox'].includes(input.type)) {
+    const values = inputs.filter((el) => el.checked).map((el) => el.value);
+    return wrapper.tagName === 'FIELDSET' && input.type === 'checkbox' ? values : values[0];
+  }
+  return input.value;
+}
+
+/**
+ * Loads the options of the fields of a document based form with an Options Source, or a sheet
+ * as Options, see options.js, and loads them again when a field that filters them, or their parent
+ * in a cascade, is changed. The fields of the instances of a repeatable fieldset are filtered by
+ * the fields of their own instance, see findNearestField.
+ * @param {Object} formDef
+ * @param {HTMLFormElement} formTag
+ */
+export default function applyOptionsSources(formDef, formTag) {
+  const fields = getFields(formDef.items);
+  fields.filter((field) => getOptionsSource(field)).forEach((field) => {
+    const source = getOptionsSource(field);
+    // the wrappers of the field, one per instance of its repeatable fieldsets
+    const getWrappers = () => [...formTag.querySelectorAll(`.field-wrapper[data-id="${field.id}"]`)];
+    const updates = new WeakMap();
+    const bind = (wrapper) => {
+      const element = wrapper.tagName === 'FIELDSET' ? wrapper : wrapper.querySelector('select');
+      const getValue = (name) => {
+        const nearest = findNearestField(wrapper, name);
+        return nearest ? readValue(nearest) : undefined;
+      };
+      let request = 0;
+      const update = async () => {
+        request += 1;
+        const current = request;
+        setOptionsState(element, 'loading');
+        try {
+          const parent = getCascadeParent(source, fields, getValue);
+          const filterValue = source.filterField && getValue(source.filterField);
+          const options = await loadOptions(source, filterValue, parent);
+          if (current === request) {
+            renderOptions(element, field, options);
+            setOptionsState(element, null);
+          }
+        } catch (e) {
+          if (current === request) {
+            setOptionsState(element, 'error');
+          }
+        }
+      };
+      updates.set(wrapper, update);
+      update();
+    };
+    getWrappers().forEach(bind);
+    // the options of the instances added to a repeatable fieldset, see repeat.js
+    formTag.addEventListener('item:add', () => {
+      getWrappers().filter((wrapper) => !updates.has(wrapper)).forEach(bind);
+    });
+    const filterIds = getFilterFields(source, getCascadeParent(source, fields, () => undefined))
+      .map((name) => fields.find((item) => item.name === name)?.id);
+    if (filterIds.length) {
+      formTag.addEventListener('change', ({ target }) => {
+        const changed = target.name && findNearestField(target, target.name);
+        if (changed && filterIds.includes(changed.dataset.id)) {
+          getWrappers().filter((wrapper) => findNearestField(wrapper, target.name) === changed)
+            .forEach((wrapper) => updates.get(wrapper)?.());
+        }
+      });
+    }
+  });
+}
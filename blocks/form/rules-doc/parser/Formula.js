@@ -3,9 +3,9 @@ import TreeInterpreter from './TreeInterpreter.js';
 import Runtime from './Runtime.js';
 
 export default class Formula {
-  constructor(customFunctions) {
+  constructor(customFunctions, sheets) {
     this.debug = [];
-    this.runtime = new Runtime(this.debug, customFunctions);
+    this.runtime = new Runtime(this.debug, customFunctions, sheets);
   }
 
   compile(stream) {
@@ -141,6 +141,7 @@ export default class Lexer {
       } else {
         const error = new Error(`Unknown character:${stream[this.current]}`);
         error.name = 'LexerError';
+        error.position = this.current;
         throw error;
       }
     }
@@ -61,6 +61,7 @@ export default class Parser {
         `Unexpected token type: ${t.type}, value: ${t.value}`,
       );
       error.name = 'ParserError';
+      error.position = t.start;
       throw error;
     }
     return ast;
@@ -195,6 +196,7 @@ export default class Parser {
       const t = this.lookaheadToken(0);
       const error = new Error(`Expected ${tokenType}, got: ${t.type}`);
       error.name = 'ParserError';
+      error.position = t.start;
       throw error;
     }
   }
@@ -203,6 +205,7 @@ export default class Parser {
   errorToken(token) {
     const error = new Error(`Invalid token (${token.type}): "${token.value}"`);
     error.name = 'ParserError';
+    error.position = token.start;
     throw error;
   }
 
@@ -1,9 +1,11 @@
 import functions from './functions.js';
 
 export default class Runtime {
-  constructor(debug, customFunctions) {
+  constructor(debug, customFunctions, sheets = {}) {
     const funs = functions(debug);
     this.functionTable = { ...funs, ...customFunctions };
+    // sheets of the workbook for the lookup functions, {name: {columns, rows}}
+    this.sheets = sheets;
   }
 
   callFunction(name, resolvedArgs, data, interpreter) {
@@ -1,6 +1,6 @@
 import tokenDefinitions from './Tokens.js';
 import {
-  getToNumber,
+  getToNumber, toText, FormulaError, ERROR_DIV0,
 } from './utils.js';
 
 const {
@@ -69,10 +69,10 @@ export default class TreeInterpreter {
       },
 
       ConcatenateExpression: (node, value) => {
-        let first = this.visit(node.children[0], value);
-        let second = this.visit(node.children[1], value);
-        first = first.toString();
-        second = second.toString();
+        // empty values are empty texts, like empty cells in Excel
+        const text = (val) => (Array.isArray(val) ? val.toString() : toText(val));
+        const first = text(this.visit(node.children[0], value));
+        const second = text(this.visit(node.children[1], value));
         return this.applyOperator(first, second, '&');
       },
 
@@ -104,12 +104,15 @@ export default class TreeInterpreter {
       Number: (node) => node.value,
 
       Function: (node, value) => {
-        // Special case for if()
+        // Special case for lazy functions, e.g. if()
         // we need to make sure the results are called only after the condition is evaluated
         // Otherwise we end up with both results invoked -- which could include side effects
-        // For "if", the last parameter to callFunction is false (bResolved) to indicate there's
+        // For these, the last parameter to callFunction is false (bResolved) to indicate there's
         // no point in validating the argument type.
-        if (node.name === 'if') return this.runtime.callFunction(node.name, node.children, value, this, false);
+        // eslint-disable-next-line no-underscore-dangle
+        if (this.runtime.functionTable[node.name]?._lazy) {
+          return this.runtime.callFunction(node.name, node.children, value, this, false);
+        }
         const resolvedArgs = node.children.map((child) => this.visit(child, value));
         return this.runtime.callFunction(node.name, resolvedArgs, value, this);
       },
@@ -144,7 +147,11 @@ export default class TreeInterpreter {
     }
     if (operator === '-') return this.toNumber(first, this.debug) - this.toNumber(second, this.debug);
     if (operator === '/') {
-      const result = first / second;
+      const divisor = this.toNumber(second, this.debug);
+      if (!divisor) {
+        throw new FormulaError(ERROR_DIV0, `${ERROR_DIV0} division by 0`);
+      }
+      const result = first / divisor;
       return Number.isFinite(result) ? result : null;
     }
     throw new Error(`Unknown operator: ${operator}`);
@@ -1,10 +1,164 @@
 import {
-  getValueOf, getToNumber,
+  getValueOf, getToNumber, FormulaError, ERROR_NA, ERROR_VALUE, ERROR_DIV0, ERROR_NUM, ERROR_REF,
+  isBlank, flatten, toNumberValue, toNumbers, toText, toBooleanValue, toDate, formatDate,
+  daysBetween, compareValues,
 } from './utils.js';
 
+/*
+ * Every function has a _doc with its category, syntax and description, which is used to
+ * generate the function reference (npm run build:formula-docs). Functions with _lazy receive
+ * the unresolved arguments, so that only the arguments they need are evaluated.
+ */
+
+const roundTo = (num, digits, round) => {
+  const precision = 10 ** digits;
+  // toPrecision removes the floating point error, e.g. of 1.005 * 100
+  return (Math.sign(num) * round(parseFloat((Math.abs(num) * precision).toPrecision(15))))
+    / precision;
+};
+
+const isNumeric = (value) => typeof value === 'number'
+  || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(+value));
+
+function wildcardToRegExp(pattern) {
+  const source = toText(pattern).replace(/~([*?~])|([*?])|([.+^${}()|[\]\\])/g, (m, escaped, wildcard, special) => {
+    if (escaped) return `\\${escaped}`;
+    if (wildcard) return wildcard === '*' ? '.*' : '.';
+    return `\\${special}`;
+  });
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Returns a sheet loaded for the lookup functions, by its name.
+ * @returns {{columns: string[], rows: Array<Array>}}
+ */
+function getSheet(interpreter, name) {
+  const sheets = interpreter?.runtime?.sheets || {};
+  const key = Object.keys(sheets).find((sheet) => sheet.toLowerCase() === name.toLowerCase());
+  if (!key) {
+    throw new FormulaError(ERROR_REF, `${ERROR_REF} unknown sheet "${name}"`);
+  }
+  return sheets[key];
+}
+
+function columnToIndex(column) {
+  return [...column.toUpperCase()].reduce((index, ch) => index * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Returns the values of a column of a sheet, referenced as "sheet!Column" with the header
+ * or the letter of the column.
+ */
+function getSheetColumn(interpreter, reference) {
+  const [name, column = 'A'] = reference.split('!');
+  const sheet = getSheet(interpreter, name);
+  let index = sheet.columns.findIndex((header) => header.toLowerCase() === column.toLowerCase());
+  if (index < 0 && /^[A-Z]+$/i.test(column)) {
+    index = columnToIndex(column);
+  }
+  if (index < 0 || index >= sheet.columns.length) {
+    throw new FormulaError(ERROR_REF, `${ERROR_REF} unknown column "${reference}"`);
+  }
+  return sheet.rows.map((row) => row[index]);
+}
+
+function toLookupArray(value, interpreter) {
+  const v = getValueOf(value);
+  if (typeof v === 'string' && v.includes('!')) {
+    return getSheetColumn(interpreter, v);
+  }
+  return Array.isArray(v) ? v : [v];
+}
+
+/**
+ * Returns the index of the lookup value in the array.
+ * @param {number} matchMode 0 exact, -1 exact or next smaller, 1 exact or next larger,
+ * 2 wildcard match
+ */
+function findIndex(value, array, matchMode = 0) {
+  if (matchMode === 2) {
+    const regexp = wildcardToRegExp(value);
+    return array.findIndex((item) => regexp.test(toText(item)));
+  }
+  const exact = array.findIndex((item) => !isBlank(item) && compareValues(item, value) === 0);
+  if (exact >= 0 || matchMode === 0) {
+    return exact;
+  }
+  return array.reduce((best, item, index) => {
+    const diff = isBlank(item) ? NaN : compareValues(item, value);
+    if ((matchMode === -1 && diff < 0) || (matchMode === 1 && diff > 0)) {
+      if (best < 0 || compareValues(item, array[best]) * matchMode < 0) {
+        return index;
+      }
+    }
+    return best;
+  }, -1);
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const day = Math.min(date.getUTCDate(), lastDayOfMonth(year, month));
+  return new Date(Date.UTC(year, month, day));
+}
+
+function monthsBetween(start, end) {
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12
+    + end.getUTCMonth() - start.getUTCMonth();
+  return end.getUTCDate() < start.getUTCDate() ? months - 1 : months;
+}
+
+function dateDifference(start, end, unit) {
+  switch (unit) {
+    case 'D':
+      return daysBetween(start, end);
+    case 'M':
+      return monthsBetween(start, end);
+    case 'Y':
+      return Math.floor(monthsBetween(start, end) / 12);
+    case 'YM':
+      return monthsBetween(start, end) % 12;
+    case 'MD': {
+      if (end.getUTCDate() >= start.getUTCDate()) {
+        return end.getUTCDate() - start.getUTCDate();
+      }
+      const previous = new Date(Date.UTC(
+        end.getUTCFullYear(),
+        end.getUTCMonth() - 1,
+        start.getUTCDate(),
+      ));
+      return daysBetween(previous, end);
+    }
+    case 'YD': {
+      let anniversary = new Date(Date.UTC(
+        end.getUTCFullYear(),
+        start.getUTCMonth(),
+        start.getUTCDate(),
+      ));
+      if (anniversary > end) {
+        anniversary = new Date(Date.UTC(
+          end.getUTCFullYear() - 1,
+          start.getUTCMonth(),
+          start.getUTCDate(),
+        ));
+      }
+      return daysBetween(anniversary, end);
+    }
+    default:
+      throw new FormulaError(ERROR_NUM, `${ERROR_NUM} unknown unit "${unit}"`);
+  }
+}
+
 export default function functions(debug) {
   const toNumber = getToNumber(debug);
   const fnMap = {
+    // logical
+
     and: {
       _func: (resolvedArgs) => {
         let result = !!getValueOf(resolvedArgs[0]);
@@ -13,13 +167,24 @@ export default function functions(debug) {
         });
         return result;
       },
+      _doc: {
+        category: 'Logical',
+        syntax: 'AND(logical1, [logical2], ...)',
+        description: 'TRUE if all the arguments are true.',
+      },
     },
 
     false: {
       _func: () => false,
+      _doc: {
+        category: 'Logical',
+        syntax: 'FALSE()',
+        description: 'The logical value FALSE.',
+      },
     },
 
     if: {
+      _lazy: true,
       _func: (unresolvedArgs, data, interpreter) => {
         const conditionNode = unresolvedArgs[0];
         const leftBranchNode = unresolvedArgs[1];
@@ -30,10 +195,97 @@ export default function functions(debug) {
         }
         return interpreter.visit(rightBranchNode, data);
       },
+      _doc: {
+        category: 'Logical',
+        syntax: 'IF(condition, value_if_true, [value_if_false])',
+        description: 'value_if_true if the condition is true, value_if_false otherwise. Only the returned value is evaluated.',
+      },
+    },
+
+    ifs: {
+      _lazy: true,
+      _func: (unresolvedArgs, data, interpreter) => {
+        for (let i = 0; i + 1 < unresolvedArgs.length; i += 2) {
+          if (toBooleanValue(interpreter.visit(unresolvedArgs[i], data))) {
+            return interpreter.visit(unresolvedArgs[i + 1], data);
+          }
+        }
+        throw new FormulaError(ERROR_NA, `${ERROR_NA} no condition of IFS is true`);
+      },
+      _doc: {
+        category: 'Logical',
+        syntax: 'IFS(condition1, value1, [condition2, value2], ...)',
+        description: 'The value of the first true condition. #N/A if no condition is true, use TRUE as the last condition for a default value.',
+      },
+    },
+
+    switch: {
+      _lazy: true,
+      _func: (unresolvedArgs, data, interpreter) => {
+        const value = getValueOf(interpreter.visit(unresolvedArgs[0], data));
+        const cases = unresolvedArgs.slice(1);
+        for (let i = 0; i + 1 < cases.length; i += 2) {
+          if (compareValues(getValueOf(interpreter.visit(cases[i], data)), value) === 0) {
+            return interpreter.visit(cases[i + 1], data);
+          }
+        }
+        if (cases.length % 2 === 1) {
+          return interpreter.visit(cases[cases.length - 1], data);
+        }
+        throw new FormulaError(ERROR_NA, `${ERROR_NA} no case of SWITCH matches "${value}"`);
+      },
+      _doc: {
+        category: 'Logical',
+        syntax: 'SWITCH(expression, value1, result1, [value2, result2], ..., [default])',
+        description: 'The result of the first value that equals the expression, text is compared ignoring case. The default, or #N/A, if no value matches.',
+      },
+    },
+
+    iferror: {
+      _lazy: true,
+      _func: (unresolvedArgs, data, interpreter) => {
+        try {
+          return interpreter.visit(unresolvedArgs[0], data);
+        } catch (e) {
+          if (e instanceof FormulaError) {
+            return interpreter.visit(unresolvedArgs[1], data);
+          }
+          throw e;
+        }
+      },
+      _doc: {
+        category: 'Logical',
+        syntax: 'IFERROR(value, value_if_error)',
+        description: 'The value, or value_if_error if it is an error like #N/A, #VALUE! or #DIV/0!.',
+      },
+    },
+
+    ifna: {
+      _lazy: true,
+      _func: (unresolvedArgs, data, interpreter) => {
+        try {
+          return interpreter.visit(unresolvedArgs[0], data);
+        } catch (e) {
+          if (e instanceof FormulaError && e.code === ERROR_NA) {
+            return interpreter.visit(unresolvedArgs[1], data);
+          }
+          throw e;
+        }
+      },
+      _doc: {
+        category: 'Logical',
+        syntax: 'IFNA(value, value_if_na)',
+        description: 'The value, or value_if_na if it is #N/A, e.g. a value that VLOOKUP did not find.',
+      },
     },
 
     not: {
       _func: (resolveArgs) => !getValueOf(resolveArgs[0]),
+      _doc: {
+        category: 'Logical',
+        syntax: 'NOT(logical)',
+        description: 'Reverses a logical value.',
+      },
     },
 
     or: {
@@ -44,26 +296,101 @@ export default function functions(debug) {
         });
         return result;
       },
+      _doc: {
+        category: 'Logical',
+        syntax: 'OR(logical1, [logical2], ...)',
+        description: 'TRUE if any of the arguments is true.',
+      },
     },
 
     true: {
       _func: () => true,
+      _doc: {
+        category: 'Logical',
+        syntax: 'TRUE()',
+        description: 'The logical value TRUE.',
+      },
     },
 
-    power: {
+    // information
+
+    isblank: {
+      _func: (args) => isBlank(getValueOf(args[0]))
+        || (Array.isArray(args[0]) && args[0].every((v) => isBlank(getValueOf(v)))),
+      _doc: {
+        category: 'Information',
+        syntax: 'ISBLANK(value)',
+        description: 'TRUE if the value is empty. Unlike Excel, a field with an empty text is blank, because that is the value of an empty field.',
+      },
+    },
+
+    isnumber: {
       _func: (args) => {
-        const base = toNumber(args[0]);
-        const power = toNumber(args[1]);
-        return base ** power;
+        const v = getValueOf(args[0]);
+        return !Array.isArray(v) && isNumeric(v);
+      },
+      _doc: {
+        category: 'Information',
+        syntax: 'ISNUMBER(value)',
+        description: 'TRUE if the value is a number. Unlike Excel, a text that is a number, like the value of a number field, is a number too.',
       },
     },
 
-    round: {
+    istext: {
       _func: (args) => {
-        const num = toNumber(args[0]);
-        const digits = toNumber(args[1]);
-        const precision = 10 ** digits;
-        return Math.round(num * precision) / precision;
+        const v = getValueOf(args[0]);
+        return typeof v === 'string' && v !== '' && !isNumeric(v);
+      },
+      _doc: {
+        category: 'Information',
+        syntax: 'ISTEXT(value)',
+        description: 'TRUE if the value is a text that is not a number.',
+      },
+    },
+
+    iserror: {
+      _lazy: true,
+      _func: (unresolvedArgs, data, interpreter) => {
+        try {
+          interpreter.visit(unresolvedArgs[0], data);
+          return false;
+        } catch (e) {
+          if (e instanceof FormulaError) {
+            return true;
+          }
+          throw e;
+        }
+      },
+      _doc: {
+        category: 'Information',
+        syntax: 'ISERROR(value)',
+        description: 'TRUE if the value is an error like #N/A, #VALUE! or #DIV/0!.',
+      },
+    },
+
+    // math
+
+    abs: {
+      _func: (args) => Math.abs(toNumberValue(args[0])),
+      _doc: {
+        category: 'Math',
+        syntax: 'ABS(number)',
+        description: 'The absolute value of a number.',
+      },
+    },
+
+    average: {
+      _func: (args) => {
+        const numbers = toNumbers(args);
+        if (!numbers.length) {
+          throw new FormulaError(ERROR_DIV0, `${ERROR_DIV0} AVERAGE of no numbers`);
+        }
+        return numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'AVERAGE(number1, [number2], ...)',
+        description: 'The average of the numbers, empty values and text are ignored. #DIV/0! if there are no numbers.',
       },
     },
 
@@ -76,40 +403,558 @@ export default function functions(debug) {
         }
         return Math.ceil(num / significance) * significance;
       },
+      _doc: {
+        category: 'Math',
+        syntax: 'CEILING(number, significance)',
+        description: 'Rounds a number up to the nearest multiple of significance.',
+      },
+    },
+
+    count: {
+      _func: (args) => flatten(args).map(getValueOf).filter(isNumeric).length,
+      _doc: {
+        category: 'Math',
+        syntax: 'COUNT(value1, [value2], ...)',
+        description: 'The number of values that are numbers.',
+      },
+    },
+
+    counta: {
+      _func: (args) => flatten(args).map(getValueOf).filter((v) => !isBlank(v)).length,
+      _doc: {
+        category: 'Math',
+        syntax: 'COUNTA(value1, [value2], ...)',
+        description: 'The number of values that are not empty, e.g. the filled instances of a repeatable field.',
+      },
+    },
+
+    floor: {
+      _func: (args) => {
+        const num = toNumberValue(args[0]);
+        const significance = toNumberValue(args[1]);
+        if (num === 0) {
+          return 0;
+        }
+        if (significance === 0) {
+          throw new FormulaError(ERROR_DIV0, `${ERROR_DIV0} FLOOR with a significance of 0`);
+        }
+        if (num > 0 && significance < 0) {
+          throw new FormulaError(ERROR_NUM, `${ERROR_NUM} FLOOR of a positive number with a negative significance`);
+        }
+        const multiple = Math.floor(parseFloat((num / significance).toPrecision(15)));
+        return parseFloat((multiple * significance).toPrecision(15));
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'FLOOR(number, significance)',
+        description: 'Rounds a number down to the nearest multiple of significance. #DIV/0! if significance is 0.',
+      },
+    },
+
+    int: {
+      _func: (args) => Math.floor(toNumberValue(args[0])),
+      _doc: {
+        category: 'Math',
+        syntax: 'INT(number)',
+        description: 'Rounds a number down to the nearest integer.',
+      },
+    },
+
+    max: {
+      _func: (args) => {
+        const numbers = toNumbers(args);
+        return numbers.length ? Math.max(...numbers) : 0;
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'MAX(number1, [number2], ...)',
+        description: 'The largest number, empty values and text are ignored. 0 if there are no numbers.',
+      },
     },
 
     min: {
       _func: (args) => {
-        // flatten the args into a single array
-        const array = args.reduce((prev, cur) => {
-          if (Array.isArray(cur)) prev.push(...cur);
-          else prev.push(cur);
-          return prev;
-        }, []);
-
-        const first = array.find((r) => r !== null);
-        if (array.length === 0 || first === undefined) return null;
-        // use the first value to determine the comparison type
-        const isNumber = !Number.isNaN(parseInt(first, 10));
-        const compare = isNumber
-          ? (prev, cur) => {
-            const current = toNumber(cur);
-            return prev <= current ? prev : current;
-          }
-          : (prev, cur) => {
-            const current = toString(cur);
-            return prev.localeCompare(current) === 1 ? current : prev;
-          };
+        const numbers = toNumbers(args);
+        return numbers.length ? Math.min(...numbers) : 0;
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'MIN(number1, [number2], ...)',
+        description: 'The smallest number, empty values and text are ignored. 0 if there are no numbers.',
+      },
+    },
+
+    mod: {
+      _func: (args) => {
+        const num = toNumberValue(args[0]);
+        const divisor = toNumberValue(args[1]);
+        if (divisor === 0) {
+          throw new FormulaError(ERROR_DIV0, `${ERROR_DIV0} MOD by 0`);
+        }
+        return num - divisor * Math.floor(num / divisor);
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'MOD(number, divisor)',
+        description: 'The remainder of the division, with the sign of the divisor. #DIV/0! if the divisor is 0.',
+      },
+    },
+
+    power: {
+      _func: (args) => {
+        const base = toNumber(args[0]);
+        const power = toNumber(args[1]);
+        return base ** power;
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'POWER(number, power)',
+        description: 'A number raised to a power.',
+      },
+    },
+
+    product: {
+      _func: (args) => toNumbers(args).reduce((product, n) => product * n, 1),
+      _doc: {
+        category: 'Math',
+        syntax: 'PRODUCT(number1, [number2], ...)',
+        description: 'The product of the numbers, empty values and text are ignored.',
+      },
+    },
+
+    round: {
+      _func: (args) => roundTo(toNumberValue(args[0]), toNumberValue(args[1]), Math.round),
+      _doc: {
+        category: 'Math',
+        syntax: 'ROUND(number, [digits])',
+        description: 'Rounds a number to the number of digits, halves are rounded away from zero.',
+      },
+    },
 
-        return array.reduce(compare, isNumber ? toNumber(first) : toString(first));
+    roundup: {
+      _func: (args) => roundTo(toNumberValue(args[0]), toNumberValue(args[1]), Math.ceil),
+      _doc: {
+        category: 'Math',
+        syntax: 'ROUNDUP(number, [digits])',
+        description: 'Rounds a number away from zero.',
+      },
+    },
+
+    rounddown: {
+      _func: (args) => roundTo(toNumberValue(args[0]), toNumberValue(args[1]), Math.floor),
+      _doc: {
+        category: 'Math',
+        syntax: 'ROUNDDOWN(number, [digits])',
+        description: 'Rounds a number toward zero.',
+      },
+    },
+
+    sqrt: {
+      _func: (args) => {
+        const num = toNumberValue(args[0]);
+        if (num < 0) {
+          throw new FormulaError(ERROR_NUM, `${ERROR_NUM} SQRT of a negative number`);
+        }
+        return Math.sqrt(num);
+      },
+      _doc: {
+        category: 'Math',
+        syntax: 'SQRT(number)',
+        description: 'The square root of a number. #NUM! if the number is negative.',
       },
     },
 
     sum: {
-      _func: (args) => args.reduce((sum, x) => {
-        if (Array.isArray(x)) return sum + fnMap.sum.func(x);
-        return sum + toNumber(x);
-      }, 0),
+      _func: (args) => toNumbers(args).reduce((sum, n) => sum + n, 0),
+      _doc: {
+        category: 'Math',
+        syntax: 'SUM(number1, [number2], ...)',
+        description: 'The sum of the numbers, e.g. of the instances of a repeatable field. Empty values and text are ignored.',
+      },
+    },
+
+    // text
+
+    concat: {
+      _func: (args) => flatten(args).map(toText).join(''),
+      _doc: {
+        category: 'Text',
+        syntax: 'CONCAT(text1, [text2], ...)',
+        description: 'Joins the texts, e.g. of the instances of a repeatable field.',
+      },
+    },
+
+    concatenate: {
+      _func: (args) => flatten(args).map(toText).join(''),
+      _doc: {
+        category: 'Text',
+        syntax: 'CONCATENATE(text1, [text2], ...)',
+        description: 'Joins the texts, the same as CONCAT.',
+      },
+    },
+
+    exact: {
+      _func: (args) => toText(args[0]) === toText(args[1]),
+      _doc: {
+        category: 'Text',
+        syntax: 'EXACT(text1, text2)',
+        description: 'TRUE if the texts are the same, including their case.',
+      },
+    },
+
+    find: {
+      _func: (args) => {
+        const start = args.length > 2 ? toNumberValue(args[2]) : 1;
+        const index = toText(args[1]).indexOf(toText(args[0]), start - 1);
+        if (start < 1 || index < 0) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} FIND did not find "${toText(args[0])}"`);
+        }
+        return index + 1;
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'FIND(find_text, within_text, [start])',
+        description: 'The position of find_text in within_text, case-sensitive. #VALUE! if it is not found.',
+      },
+    },
+
+    left: {
+      _func: (args) => {
+        const count = args.length > 1 ? toNumberValue(args[1]) : 1;
+        if (count < 0) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} LEFT with a negative count`);
+        }
+        return toText(args[0]).slice(0, count);
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'LEFT(text, [count])',
+        description: 'The first characters of a text, one by default.',
+      },
+    },
+
+    len: {
+      _func: (args) => toText(args[0]).length,
+      _doc: {
+        category: 'Text',
+        syntax: 'LEN(text)',
+        description: 'The number of characters of a text.',
+      },
+    },
+
+    lower: {
+      _func: (args) => toText(args[0]).toLowerCase(),
+      _doc: {
+        category: 'Text',
+        syntax: 'LOWER(text)',
+        description: 'Converts a text to lowercase.',
+      },
+    },
+
+    mid: {
+      _func: (args) => {
+        const start = toNumberValue(args[1]);
+        const count = toNumberValue(args[2]);
+        if (start < 1 || count < 0) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} MID with an invalid start or count`);
+        }
+        return toText(args[0]).slice(start - 1, start - 1 + count);
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'MID(text, start, count)',
+        description: 'The characters of a text from the start position.',
+      },
+    },
+
+    proper: {
+      _func: (args) => toText(args[0]).toLowerCase()
+        .replace(/(^|[^\p{L}])(\p{L})/gu, (m, before, letter) => before + letter.toUpperCase()),
+      _doc: {
+        category: 'Text',
+        syntax: 'PROPER(text)',
+        description: 'Capitalizes the first letter of each word of a text.',
+      },
+    },
+
+    rept: {
+      _func: (args) => {
+        const count = toNumberValue(args[1]);
+        if (count < 0) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} REPT with a negative count`);
+        }
+        return toText(args[0]).repeat(count);
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'REPT(text, count)',
+        description: 'Repeats a text.',
+      },
+    },
+
+    right: {
+      _func: (args) => {
+        const count = args.length > 1 ? toNumberValue(args[1]) : 1;
+        if (count < 0) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} RIGHT with a negative count`);
+        }
+        const text = toText(args[0]);
+        return count ? text.slice(-count) : '';
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'RIGHT(text, [count])',
+        description: 'The last characters of a text, one by default.',
+      },
+    },
+
+    search: {
+      _func: (args) => {
+        const start = args.length > 2 ? toNumberValue(args[2]) : 1;
+        const text = toText(args[1]);
+        const regexp = wildcardToRegExp(toText(args[0]));
+        // the pattern matches at a position if it matches any of the texts starting there
+        for (let i = start - 1; i >= 0 && i < text.length; i += 1) {
+          for (let j = text.length; j > i; j -= 1) {
+            if (regexp.test(text.slice(i, j))) {
+              return i + 1;
+            }
+          }
+        }
+        throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} SEARCH did not find "${toText(args[0])}"`);
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'SEARCH(find_text, within_text, [start])',
+        description: 'The position of find_text in within_text, ignoring case. find_text can contain the wildcards ? and *. #VALUE! if it is not found.',
+      },
+    },
+
+    substitute: {
+      _func: (args) => {
+        const text = toText(args[0]);
+        const oldText = toText(args[1]);
+        const newText = toText(args[2]);
+        if (!oldText) {
+          return text;
+        }
+        if (args.length < 4) {
+          return text.split(oldText).join(newText);
+        }
+        const instance = toNumberValue(args[3]);
+        if (instance < 1) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} SUBSTITUTE of instance ${instance}`);
+        }
+        let index = -1;
+        for (let i = 0; i < instance; i += 1) {
+          index = text.indexOf(oldText, index + 1);
+          if (index < 0) return text;
+        }
+        return text.slice(0, index) + newText + text.slice(index + oldText.length);
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'SUBSTITUTE(text, old_text, new_text, [instance])',
+        description: 'Replaces old_text with new_text, all of them or only the given instance.',
+      },
+    },
+
+    textjoin: {
+      _func: (args) => {
+        const delimiter = toText(args[0]);
+        const ignoreEmpty = toBooleanValue(args[1]);
+        return flatten(args.slice(2)).map(toText)
+          .filter((text) => !ignoreEmpty || text !== '')
+          .join(delimiter);
+      },
+      _doc: {
+        category: 'Text',
+        syntax: 'TEXTJOIN(delimiter, ignore_empty, text1, [text2], ...)',
+        description: 'Joins the texts with a delimiter, e.g. the instances of a repeatable field.',
+      },
+    },
+
+    trim: {
+      _func: (args) => toText(args[0]).replace(/ +/g, ' ').trim(),
+      _doc: {
+        category: 'Text',
+        syntax: 'TRIM(text)',
+        description: 'Removes the spaces at the start and end of a text, and repeated spaces between words.',
+      },
+    },
+
+    upper: {
+      _func: (args) => toText(args[0]).toUpperCase(),
+      _doc: {
+        category: 'Text',
+        syntax: 'UPPER(text)',
+        description: 'Converts a text to uppercase.',
+      },
+    },
+
+    value: {
+      _func: (args) => toNumberValue(toText(args[0]).trim()),
+      _doc: {
+        category: 'Text',
+        syntax: 'VALUE(text)',
+        description: 'Converts a text to a number. #VALUE! if it is not a number.',
+      },
+    },
+
+    // date
+
+    date: {
+      _func: (args) => formatDate(new Date(Date.UTC(
+        toNumberValue(args[0]),
+        toNumberValue(args[1]) - 1,
+        toNumberValue(args[2]),
+      ))),
+      _doc: {
+        category: 'Date',
+        syntax: 'DATE(year, month, day)',
+        description: 'The date of the year, month and day, as YYYY-MM-DD. Months and days out of range move to the next or previous year or month.',
+      },
+    },
+
+    datedif: {
+      _func: (args) => {
+        const start = toDate(args[0]);
+        const end = toDate(args[1]);
+        if (start > end) {
+          throw new FormulaError(ERROR_NUM, `${ERROR_NUM} DATEDIF with a start date after the end date`);
+        }
+        return dateDifference(start, end, toText(args[2]).toUpperCase());
+      },
+      _doc: {
+        category: 'Date',
+        syntax: 'DATEDIF(start_date, end_date, unit)',
+        description: 'The difference between two dates in full years ("Y"), months ("M") or days ("D"), or the days ignoring the months ("MD"), the months ignoring the years ("YM") and the days ignoring the years ("YD"). #NUM! if the start date is after the end date.',
+      },
+    },
+
+    day: {
+      _func: (args) => toDate(args[0]).getUTCDate(),
+      _doc: {
+        category: 'Date',
+        syntax: 'DAY(date)',
+        description: 'The day of the month of a date.',
+      },
+    },
+
+    edate: {
+      _func: (args) => formatDate(addMonths(toDate(args[0]), Math.trunc(toNumberValue(args[1])))),
+      _doc: {
+        category: 'Date',
+        syntax: 'EDATE(start_date, months)',
+        description: 'The date the number of months before or after the start date, as YYYY-MM-DD. The day is limited to the last day of the month.',
+      },
+    },
+
+    eomonth: {
+      _func: (args) => {
+        const date = toDate(args[0]);
+        const months = Math.trunc(toNumberValue(args[1]));
+        return formatDate(new Date(Date.UTC(
+          date.getUTCFullYear(),
+          date.getUTCMonth() + months + 1,
+          0,
+        )));
+      },
+      _doc: {
+        category: 'Date',
+        syntax: 'EOMONTH(start_date, months)',
+        description: 'The last day of the month the number of months before or after the start date, as YYYY-MM-DD.',
+      },
+    },
+
+    month: {
+      _func: (args) => toDate(args[0]).getUTCMonth() + 1,
+      _doc: {
+        category: 'Date',
+        syntax: 'MONTH(date)',
+        description: 'The month of a date, from 1 to 12.',
+      },
+    },
+
+    today: {
+      _func: () => {
+        const now = new Date();
+        return formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+      },
+      _doc: {
+        category: 'Date',
+        syntax: 'TODAY()',
+        description: 'The current date of the visitor, as YYYY-MM-DD like the value of a date field.',
+      },
+    },
+
+    year: {
+      _func: (args) => toDate(args[0]).getUTCFullYear(),
+      _doc: {
+        category: 'Date',
+        syntax: 'YEAR(date)',
+        description: 'The year of a date.',
+      },
+    },
+
+    // lookup
+
+    vlookup: {
+      _func: (args, data, interpreter) => {
+        const value = getValueOf(args[0]);
+        const sheet = getSheet(interpreter, toText(args[1]).split('!')[0]);
+        const column = toNumberValue(args[2]);
+        const approximate = args.length > 3 ? toBooleanValue(args[3]) : true;
+        if (column < 1) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} VLOOKUP of column ${column}`);
+        }
+        if (column > sheet.columns.length) {
+          throw new FormulaError(ERROR_REF, `${ERROR_REF} VLOOKUP of column ${column}`);
+        }
+        const keys = sheet.rows.map((row) => row[0]);
+        let index;
+        if (approximate) {
+          // the first column is sorted, the last row that is not larger than the value matches
+          index = keys.findIndex((key) => compareValues(key, value) > 0);
+          index = (index < 0 ? keys.length : index) - 1;
+        } else {
+          index = findIndex(value, keys, /[*?]/.test(toText(value)) ? 2 : 0);
+        }
+        if (index < 0) {
+          throw new FormulaError(ERROR_NA, `${ERROR_NA} VLOOKUP did not find "${value}"`);
+        }
+        return sheet.rows[index][Math.trunc(column) - 1];
+      },
+      _doc: {
+        category: 'Lookup',
+        syntax: 'VLOOKUP(value, "sheet", column, [approximate])',
+        description: 'Looks up the value in the first column of a sheet of the form spreadsheet and returns the value of the column, by number, of that row. With approximate FALSE the value must match, ignoring case and with the wildcards ? and *. Otherwise the first column must be sorted and the last row not larger than the value matches. #N/A if the value is not found.',
+      },
+    },
+
+    xlookup: {
+      _func: (args, data, interpreter) => {
+        const value = getValueOf(args[0]);
+        const lookupArray = toLookupArray(args[1], interpreter);
+        const returnArray = toLookupArray(args[2], interpreter);
+        const matchMode = args.length > 4 ? toNumberValue(args[4]) : 0;
+        if (![0, -1, 1, 2].includes(matchMode)) {
+          throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} XLOOKUP with match mode ${matchMode}`);
+        }
+        const index = findIndex(value, lookupArray, matchMode);
+        if (index < 0) {
+          if (args.length > 3) {
+            return args[3];
+          }
+          throw new FormulaError(ERROR_NA, `${ERROR_NA} XLOOKUP did not find "${value}"`);
+        }
+        return returnArray[index] ?? null;
+      },
+      _doc: {
+        category: 'Lookup',
+        syntax: 'XLOOKUP(value, lookup_array, return_array, [if_not_found], [match_mode])',
+        description: 'Looks up the value in lookup_array and returns the value at the same position of return_array. The arrays are columns of a sheet of the form spreadsheet, as "sheet!Column" with the header or letter of the column, or repeatable fields. match_mode is 0 for an exact match ignoring case, -1 for the next smaller, 1 for the next larger value and 2 for a match with the wildcards ? and *. if_not_found, or #N/A, if the value is not found.',
+      },
     },
   };
   return fnMap;
@@ -27,3 +27,123 @@ export function getToNumber(debug = []) {
     return 0;
   };
 }
+
+/**
+ * Error of a formula, e.g. #N/A or #VALUE!, which IFERROR can handle.
+ */
+export class FormulaError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = 'FormulaError';
+    this.code = code;
+  }
+}
+
+export const ERROR_NA = '#N/A';
+export const ERROR_VALUE = '#VALUE!';
+export const ERROR_DIV0 = '#DIV/0!';
+export const ERROR_NUM = '#NUM!';
+export const ERROR_REF = '#REF!';
+
+export const isBlank = (value) => value === null || value === undefined || value === '';
+
+export function flatten(args) {
+  return args.reduce((values, arg) => (Array.isArray(arg)
+    ? values.concat(flatten(arg)) : values.concat([arg])), []);
+}
+
+/**
+ * Converts a value to a number, the way Excel does for the arguments of a function.
+ * Blank values are 0, booleans are 1 or 0 and text must be a number.
+ */
+export function toNumberValue(value) {
+  const v = getValueOf(Array.isArray(value) ? value[0] : value);
+  if (isBlank(v)) return 0;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  const n = typeof v === 'string' && v.trim() !== '' ? +v : NaN;
+  if (Number.isNaN(n)) {
+    throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} "${v}" is not a number`);
+  }
+  return n;
+}
+
+/**
+ * Returns the numbers in the arguments of an aggregate function, e.g. SUM. Like Excel does for
+ * ranges, blank values and text that is not a number are ignored.
+ */
+export function toNumbers(args) {
+  return flatten(args)
+    .map(getValueOf)
+    .filter((v) => typeof v === 'number' || typeof v === 'boolean'
+      || (typeof v === 'string' && v.trim() !== '' && !Number.isNaN(+v)))
+    .map(toNumberValue);
+}
+
+/**
+ * Converts a value to text. Booleans are TRUE or FALSE and numbers are rounded to
+ * 15 significant digits, like in Excel.
+ */
+export function toText(value) {
+  const v = getValueOf(Array.isArray(value) ? value[0] : value);
+  if (isBlank(v)) return '';
+  if (typeof v === 'boolean') return v ? 'TRUE' : 'FALSE';
+  if (typeof v === 'number') return String(parseFloat(v.toPrecision(15)));
+  return String(v);
+}
+
+export function toBooleanValue(value) {
+  const v = getValueOf(Array.isArray(value) ? value[0] : value);
+  if (typeof v === 'string') {
+    if (v.toUpperCase() === 'TRUE') return true;
+    if (v.toUpperCase() === 'FALSE' || v === '') return false;
+    return toNumberValue(v) !== 0;
+  }
+  return !!v;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+// day 0 of the Excel date serial numbers
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * Converts a value to a date at midnight UTC. Dates are the values of date fields
+ * (YYYY-MM-DD), ISO date times or Excel date serial numbers.
+ */
+export function toDate(value) {
+  const v = getValueOf(Array.isArray(value) ? value[0] : value);
+  if (v instanceof Date) {
+    return new Date(Date.UTC(v.getUTCFullYear(), v.getUTCMonth(), v.getUTCDate()));
+  }
+  if (typeof v === 'number') {
+    return new Date(EXCEL_EPOCH + Math.floor(v) * DAY);
+  }
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(toText(v).trim());
+  if (!match) {
+    throw new FormulaError(ERROR_VALUE, `${ERROR_VALUE} "${v}" is not a date`);
+  }
+  return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+}
+
+/**
+ * Formats a date as YYYY-MM-DD, the value of a date field.
+ */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function daysBetween(start, end) {
+  return Math.round((end - start) / DAY);
+}
+
+/**
+ * Compares two values like Excel: numbers by value and text case-insensitively.
+ * @returns {number} negative if a is smaller than b, 0 if equal and positive otherwise
+ */
+export function compareValues(a, b) {
+  const isNumeric = (v) => typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && !Number.isNaN(+v));
+  if (isNumeric(a) && isNumeric(b)) {
+    return +a - +b;
+  }
+  return toText(a).toLowerCase().localeCompare(toText(b).toLowerCase());
+}
@@ -0,0 +1,176 @@
+/**
+ * Form model of the main thread when the rule engine runs in a worker, see RuleEngineWorker.js.
+ * It mirrors the state of the form model of the worker and sends the changes of the fields to
+ * the worker, so that the code of the main thread, e.g. components that subscribe to their
+ * field model or the draft, works with either.
+ */
+export default class RemoteForm {
+  #worker;
+
+  #state;
+
+  #states = new Map();
+
+  #fields = new Map();
+
+  #listeners = new Map();
+
+  #data = {};
+
+  /**
+   * @param {Worker} worker
+   * @param {Object} state state of the form model of the worker
+   * @param {Object} data data of the form model of the worker
+   */
+  constructor(worker, state, data = {}) {
+    this.#worker = worker;
+    this.#state = state;
+    this.#data = data;
+    this.#index(state);
+  }
+
+  get id() {
+    return this.#state?.id;
+  }
+
+  get action() {
+    return this.#state?.action;
+  }
+
+  get properties() {
+    return this.#state?.properties;
+  }
+
+  getState() {
+    return this.#state;
+  }
+
+  /**
+   * Sends a message to the worker.
+   * @param {string} name e.g. change, click or focus
+   * @param {Object} payload
+   */
+  post(name, payload) {
+    this.#worker.postMessage({ name, payload });
+  }
+
+  /**
+   * Returns the model of a field, with the properties of its last state. Properties that are
+   * set on the model are sent to the worker.
+   * @param {string} id
+   */
+  getElement(id) {
+    if (!this.#states.has(id)) {
+      return undefined;
+    }
+    if (!this.#fields.has(id)) {
+      this.#fields.set(id, this.#createField(id));
+    }
+    return this.#fields.get(id);
+  }
+
+  subscribe(callback, eventName = 'change') {
+    return this.#addListener(`$form:${eventName}`, callback);
+  }
+
+  /**
+   * Returns the data of the form, as of its restore or the last interaction handled by the
+   * worker.
+   */
+  exportData() {
+    return this.#data;
+  }
+
+  importData(data) {
+    this.post('importData', { data });
+  }
+
+  dispatch(action) {
+    this.post('dispatch', { action });
+  }
+
+  /**
+   * Validates the form in the worker, which sends the errors with the validationComplete event.
+   */
+  validate() {
+    this.post('validate');
+  }
+
+  /**
+   * Handles a message of the worker.
+   * @param {string} name fieldChanged, event or data
+   * @param {Object} payload
+   */
+  receive(name, payload) {
+    if (name === 'data') {
+      this.#data = payload;
+      return;
+    }
+    const event = name === 'event' ? payload : { type: name, payload };
+    if (event.type === 'fieldChanged') {
+      this.#update(event.payload);
+      const { id } = event.payload.field;
+      this.#notify(`${id}:change`, { type: 'change', payload: event.payload, target: this.getElement(id) });
+    }
+    this.#notify(`$form:${event.type}`, event);
+  }
+
+  #createField(id) {
+    const methods = {
+      subscribe: (callback, eventName = 'change') => this.#addListener(`${id}:${eventName}`, callback),
+      dispatch: (action) => {
+        if (action?.type === 'click') {
+          this.post('click', { id });
+        } else {
+          this.post('dispatch', { id, action });
+        }
+      },
+      focus: () => this.post('focus', { id }),
+      getState: () => this.#states.get(id),
+    };
+    return new Proxy({}, {
+      get: (target, property) => (Object.hasOwn(methods, property)
+        ? methods[property] : this.#states.get(id)?.[property]),
+      set: (target, property, value) => {
+        // until the worker sends the change, the model returns the value that was set
+        this.#states.set(id, { ...this.#states.get(id), [property]: value });
+        this.post('change', { id, property, value });
+        return true;
+      },
+    });
+  }
+
+  #index(state) {
+    if (state?.id) {
+      this.#states.set(state.id, state);
+    }
+    state?.items?.forEach((item) => this.#index(item));
+  }
+
+  #update({ field, changes }) {
+    this.#states.set(field.id, field);
+    changes?.forEach(({ propertyName, currentValue, prevValue }) => {
+      // instances of repeatable panels
+      if (propertyName === 'items' && currentValue) {
+        this.#index(currentValue);
+      } else if (propertyName === 'items' && prevValue?.id) {
+        this.#states.delete(prevValue.id);
+        this.#fields.delete(prevValue.id);
+      }
+    });
+  }
+
+  #addListener(key, callback) {
+    const listeners = this.#listeners.get(key) || [];
+    this.#listeners.set(key, [...listeners, callback]);
+    return {
+      unsubscribe: () => {
+        this.#listeners.set(key, this.#listeners.get(key).filter((x) => x !== callback));
+      },
+    };
+  }
+
+  #notify(key, event) {
+    this.#listeners.get(key)?.forEach((callback) => callback(event));
+  }
+}
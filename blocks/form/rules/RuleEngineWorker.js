@@ -19,22 +19,51 @@
  ************************************************************************ */
 import { createFormInstance } from './model/afb-runtime.js';
 import registerCustomFunctions from './functionRegistration.js';
-import { fetchData } from '../util.js';
+import { fetchData, scopeModelIds, toCloneable } from '../util.js';
 import { LOG_LEVEL } from '../constant.js';
+import { captureSubmissionRequests, isNetworkError } from './submission.js';
+import { serializeBody } from '../outbox.js';
 
-let customFunctionRegistered = false;
+// events of the form model that are sent to the main thread, see RemoteForm.js
+const FORWARDED_EVENTS = ['change', 'submit', 'submitSuccess', 'submitFailure', 'submitError', 'validationComplete', 'save'];
+
+// messages of the main thread that change the form model
+const INTERACTIONS = ['change', 'click', 'focus', 'dispatch', 'importData'];
+
+// properties of the form and the field that functions run on the main thread can read
+const RULE_NODE_PROPERTIES = ['$id', '$name', '$qualifiedName', '$type', '$fieldType', '$value', '$properties',
+  '$captchaProvider', '$captchaSiteKey'];
 
 export default class RuleEngine {
   rulesOrder = {};
 
   fieldChanges = [];
 
-  constructor(formDef) {
-    this.form = createFormInstance(formDef, undefined, LOG_LEVEL);
+  // the events are sent to the main thread once the form is rendered and synced
+  live = false;
+
+  #getFailedRequest;
+
+  constructor(formDef, post = () => {}, idScope = '') {
+    this.post = post;
+    // the ids of the instances of repeatable panels are scoped like the ids of the fields
+    this.form = createFormInstance(formDef, (form) => scopeModelIds(form, idScope), LOG_LEVEL);
+    this.#getFailedRequest = captureSubmissionRequests(this.form);
     this.form.subscribe((e) => {
       const { payload } = e;
-      this.fieldChanges.push(payload);
+      if (this.live) {
+        this.post({ name: 'fieldChanged', payload });
+      } else {
+        this.fieldChanges.push(payload);
+      }
     }, 'fieldChanged');
+    FORWARDED_EVENTS.forEach((type) => {
+      this.form.subscribe((e) => {
+        if (this.live) {
+          this.#postEvent(type, e.payload);
+        }
+      }, type);
+    });
   }
 
   getState() {
@@ -48,62 +77,194 @@ export default class RuleEngine {
   getCustomFunctionsPath() {
     return this.form?.properties?.customFunctionsPath || '../functions.js';
   }
+
+  #postEvent(type, payload) {
+    // the main thread stores submissions that failed without network in the outbox
+    let request;
+    if (type === 'submitFailure' && isNetworkError(payload)) {
+      const failed = this.#getFailedRequest();
+      request = failed && { ...failed, body: serializeBody(failed.body) };
+    }
+    this.post({ name: 'event', payload: { type, payload, request } });
+  }
+}
+
+function toRuleNodeSnapshot(node) {
+  return node && Object.fromEntries(RULE_NODE_PROPERTIES.map((key) => [key, node[key]]));
 }
 
-let ruleEngine; let initPayload;
-onmessage = async (e) => {
-  async function handleMessageEvent(event) {
-    switch (event.data.name) {
+/**
+ * Returns the form, field and event of the scope of a function as plain objects, so that they
+ * can be sent to the main thread.
+ */
+function toScopeSnapshot({ form, field, event }) {
+  return toCloneable({
+    form: form && { ...toRuleNodeSnapshot(form), $captcha: toRuleNodeSnapshot(form.$captcha) },
+    field: toRuleNodeSnapshot(field),
+    event: event && { type: event.type, payload: event.payload },
+  });
+}
+
+// the functions of functions.js that access the window or the document, which is copied from
+// @aemforms/af-custom-functions by npm run update:functions, so they are listed by name
+const MAIN_THREAD_FUNCTIONS = [
+  'navigateTo', 'defaultSubmitSuccessHandler', 'defaultSubmitErrorHandler', 'fetchCaptchaToken',
+];
+
+/**
+ * Wraps a function of the rules that needs the main thread, e.g. because it accesses the window
+ * or the document, so that it is run there and returns a promise. A custom function declares it
+ * with its mainThread property, the other functions are run in the worker.
+ * @param {string} name name of the function
+ * @param {Function} func
+ * @param {(name: string, args: Array) => Promise} invoke runs the function on the main thread
+ */
+export function runOnMainThreadIfNeeded(name, func, invoke) {
+  return func.mainThread || MAIN_THREAD_FUNCTIONS.includes(name)
+    ? (...args) => invoke(name, args) : func;
+}
+
+/**
+ * Creates the handler of the messages of the main thread. The worker owns the form model for
+ * the lifetime of the page: the main thread renders the state of the form, sends the
+ * interactions of the user (change, click, focus) and applies the field changes it receives.
+ * @param {(message: Object) => void} post sends a message to the main thread
+ * @returns {(data: Object) => Promise} handler of the data of the messages
+ */
+export function createMessageHandler(post) {
+  let ruleEngine; let initPayload; let registration;
+  let lastCallId = 0;
+  const calls = new Map();
+
+  function invokeOnMainThread(functionName, args) {
+    // the scope of the function is its last argument
+    const scope = args[args.length - 1];
+    lastCallId += 1;
+    const callId = lastCallId;
+    return new Promise((resolve, reject) => {
+      calls.set(callId, { resolve, reject, scope });
+      post({
+        name: 'invoke',
+        payload: {
+          callId, functionName, args: toCloneable(args.slice(0, -1)), scope: toScopeSnapshot(scope),
+        },
+      });
+    });
+  }
+
+  async function handleMessageEvent({ name, payload }) {
+    switch (name) {
       case 'init': {
-        const { search, ...formDef } = event.data.payload;
-        initPayload = event.data.payload;
-        ruleEngine = new RuleEngine(formDef);
-        const state = ruleEngine.getState();
+        const { search, idScope, ...formDef } = payload;
+        initPayload = payload;
+        ruleEngine = new RuleEngine(formDef, post, idScope);
         // Informing the main thread that the form is initialized
-        postMessage({
-          name: 'init',
-          payload: state,
+        post({ name: 'init', payload: ruleEngine.getState() });
+        break;
+      }
+      // prefills form data, waits for all async operations
+      // to complete, then restores state and syncs field changes to main thread
+      case 'decorated': {
+        const { search, idScope, ...formDef } = initPayload;
+        const data = await fetchData(formDef.id, search);
+        if (data) {
+          ruleEngine.form.importData(data);
+          post({ name: 'prefilled', payload: data });
+        }
+        await ruleEngine.form.waitForPromises();
+        // the data of the form is sent before its state, so that it can be read once restored
+        post({ name: 'data', payload: ruleEngine.form.exportData() });
+        post({ name: 'restore', payload: ruleEngine.getState() });
+        ruleEngine.getFieldChanges().forEach((changes) => {
+          post({ name: 'fieldChanged', payload: changes });
         });
-        ruleEngine.dispatch = (msg) => {
-          postMessage(msg);
-        };
+        ruleEngine.fieldChanges = [];
+        ruleEngine.live = true;
+        // informing the main thread that form is ready
+        post({ name: 'sync-complete' });
+        break;
+      }
+      case 'change': {
+        const field = ruleEngine.form.getElement(payload.id);
+        if (field) {
+          field[payload.property || 'value'] = payload.value;
+        }
         break;
       }
+      case 'click':
+        ruleEngine.form.getElement(payload.id)?.dispatch({ type: 'click' });
+        break;
+      case 'focus':
+        ruleEngine.form.getElement(payload.id)?.focus();
+        break;
+      case 'dispatch':
+        (payload.id ? ruleEngine.form.getElement(payload.id) : ruleEngine.form)
+          ?.dispatch(payload.action);
+        break;
+      case 'importData':
+        ruleEngine.form.importData(payload.data);
+        // the rules of the imported values change the data too
+        await ruleEngine.form.waitForPromises();
+        break;
+      case 'validate':
+        ruleEngine.form.validate();
+        break;
       default:
         break;
     }
+    // the data of the form, e.g. for the draft, without a round trip to the worker
+    if (ruleEngine?.live && INTERACTIONS.includes(name)) {
+      post({ name: 'data', payload: ruleEngine.form.exportData() });
+    }
   }
-  // prefills form data, waits for all async operations
-  // to complete, then restores state and syncs field changes to main thread
-  if (e.data.name === 'decorated') {
-    const { search, ...formDef } = initPayload;
-    const data = await fetchData(formDef.id, search);
-    if (data) {
-      ruleEngine.form.importData(data);
+
+  // results of the functions run on the main thread, which the rules may be waiting for
+  function handleFunctionMessage({ name, payload }) {
+    const call = calls.get(payload.callId);
+    if (name === 'globals-function') {
+      call?.scope?.functions?.[payload.functionName]?.(...payload.args);
+    } else if (call) {
+      calls.delete(payload.callId);
+      if (payload.error) {
+        call.reject(new Error(payload.error));
+      } else {
+        call.resolve(payload.result);
+      }
     }
-    await ruleEngine.form.waitForPromises();
-    postMessage({
-      name: 'restore',
-      payload: ruleEngine.getState(),
-    });
-    ruleEngine.getFieldChanges().forEach((changes) => {
-      postMessage({
-        name: 'fieldChanged',
-        payload: changes,
-      });
-    });
-    // informing the main thread that form is ready
-    postMessage({
-      name: 'sync-complete',
-    });
   }
 
-  if (!customFunctionRegistered) {
-    const codeBasePath = e?.data?.codeBasePath;
-    const customFunctionPath = e?.data?.payload?.properties?.customFunctionsPath;
-    registerCustomFunctions(customFunctionPath, codeBasePath).then(() => {
-      customFunctionRegistered = true;
-      handleMessageEvent(e);
+  let queue = Promise.resolve();
+  return (data) => {
+    if (data?.name === 'invoke-result' || data?.name === 'globals-function') {
+      handleFunctionMessage(data);
+      return queue;
+    }
+    if (!registration) {
+      const customFunctionPath = data?.payload?.properties?.customFunctionsPath;
+      registration = registerCustomFunctions(
+        customFunctionPath,
+        data?.codeBasePath,
+        (name, func) => runOnMainThreadIfNeeded(name, func, invokeOnMainThread),
+      );
+    }
+    // messages are handled in order, after the functions are registered
+    queue = queue.then(() => registration).then(() => handleMessageEvent(data)).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.error(`error occured while handling the ${data?.name} message in web worker`, e);
     });
-  }
-};
+    return queue;
+  };
+}
+
+// the module is also imported on the main thread, e.g. by the benchmark of the rules
+if (typeof WorkerGlobalScope !== 'undefined') {
+  const handleMessage = createMessageHandler((message) => {
+    try {
+      postMessage(message);
+    } catch (e) {
+      // e.g. the payload of an event contains a response
+      postMessage(toCloneable(message));
+    }
+  });
+  onmessage = (e) => handleMessage(e.data);
+}
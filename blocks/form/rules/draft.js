@@ -0,0 +1,178 @@
+import { emitFormEvent } from '../controller.js';
+import { DRAFT_DISCARD_LABEL, DRAFT_RESTORE_LABEL, DRAFT_RESTORE_MESSAGE } from '../constant.js';
+
+const DRAFT_KEY_PREFIX = 'af-draft';
+const DEFAULT_EXPIRY_HOURS = 7 * 24;
+const DEFAULT_SAVE_DELAY = 500;
+
+/**
+ * Returns the draft configuration of the form or null if autosave is not enabled.
+ * Autosave is enabled by the fd:draft property of the form, which can either be true
+ * or an object with the enabled, expiry (in hours) and delay (in ms) keys.
+ * @param {Object} formDef form definition
+ * @returns {{expiry: number, delay: number} | null}
+ */
+export function getDraftConfig(formDef) {
+  const config = formDef?.properties?.['fd:draft'];
+  if (!config || config === 'false' || config?.enabled === false) {
+    return null;
+  }
+  return {
+    expiry: DEFAULT_EXPIRY_HOURS,
+    delay: DEFAULT_SAVE_DELAY,
+    ...(typeof config === 'object' ? config : {}),
+  };
+}
+
+/**
+ * Returns the storage key for the draft of a form. The key includes the version of the form
+ * definition, so that drafts of an older version of the form are never restored.
+ * @param {string} formId
+ * @param {Object} formDef
+ * @returns {string}
+ */
+export function getDraftKey(formId, formDef) {
+  const version = formDef?.metadata?.version || formDef?.properties?.['fd:version'] || '';
+  return `${DRAFT_KEY_PREFIX}:${formId}:${version}`;
+}
+
+export function saveDraft(key, data, storage = window.localStorage) {
+  try {
+    storage.setItem(key, JSON.stringify({ savedAt: Date.now(), data }));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to save form draft', e);
+  }
+}
+
+export function clearDraft(key, storage = window.localStorage) {
+  try {
+    storage.removeItem(key);
+  } catch (e) {
+    // ignore, storage is not available
+  }
+}
+
+/**
+ * Loads the draft saved for the given key. Expired or malformed drafts are removed.
+ * @param {string} key
+ * @param {number} expiry expiry of the draft in hours
+ * @param {Storage} storage
+ * @returns {{savedAt: number, data: Object} | null}
+ */
+export function loadDraft(key, expiry = DEFAULT_EXPIRY_HOURS, storage = window.localStorage) {
+  let draft = null;
+  try {
+    draft = JSON.parse(storage.getItem(key));
+  } catch (e) {
+    draft = null;
+  }
+  if (!draft?.data || Date.now() - draft.savedAt > expiry * 60 * 60 * 1000) {
+    if (draft) {
+      clearDraft(key, storage);
+    }
+    return null;
+  }
+  return draft;
+}
+
+function createRestorePrompt(draft, onRestore, onDiscard) {
+  const prompt = document.createElement('div');
+  prompt.className = 'form-message draft-message';
+  prompt.setAttribute('role', 'status');
+  const text = document.createElement('p');
+  text.textContent = DRAFT_RESTORE_MESSAGE.replace('$0', new Date(draft.savedAt).toLocaleString());
+  const createAction = (label, className, handler) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `button ${className}`;
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      prompt.remove();
+      handler();
+    });
+    return button;
+  };
+  prompt.append(
+    text,
+    createAction(DRAFT_RESTORE_LABEL, 'draft-restore', onRestore),
+    createAction(DRAFT_DISCARD_LABEL, 'draft-discard', onDiscard),
+  );
+  return prompt;
+}
+
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    // access to localStorage is denied, e.g. in sandboxed iframes
+    return null;
+  }
+}
+
+/**
+ * Saves the data of the form to the storage on every field change and offers to restore the
+ * saved draft when the form is loaded again. The draft is removed after successful submission.
+ * @param {Object} formDef form definition
+ * @param {Object} form form model
+ * @param {HTMLFormElement} htmlForm
+ * @param {string} formId id of the form instance
+ * @param {Storage} [storage] defaults to localStorage
+ */
+export default function enableDraft(formDef, form, htmlForm, formId, storage) {
+  const config = getDraftConfig(formDef);
+  if (!config) {
+    return;
+  }
+  const store = storage || getLocalStorage();
+  if (!store) {
+    return;
+  }
+  const key = getDraftKey(formId, formDef);
+  let timer;
+  // values set by rules on load should not overwrite the draft, hence save only
+  // once the user has interacted with the form.
+  let interacted = false;
+
+  const save = () => {
+    clearTimeout(timer);
+    saveDraft(key, form.exportData(), store);
+  };
+
+  const draft = loadDraft(key, config.expiry, store);
+  if (draft) {
+    const prompt = createRestorePrompt(draft, () => {
+      form.importData(draft.data);
+      interacted = true;
+      emitFormEvent(htmlForm, 'prefilled', { source: 'draft', data: draft.data });
+    }, () => clearDraft(key, store));
+    htmlForm.prepend(prompt);
+    htmlForm.addEventListener('change', () => {
+      // user started a new draft, so the old one is discarded
+      if (prompt.isConnected) {
+        prompt.remove();
+      }
+    }, { once: true });
+  }
+
+  // capture, as the field is updated in the form model by the bubbling listener
+  htmlForm.addEventListener('change', () => {
+    interacted = true;
+  }, { capture: true });
+
+  form.subscribe(() => {
+    if (interacted) {
+      clearTimeout(timer);
+      timer = setTimeout(save, config.delay);
+    }
+  }, 'fieldChanged');
+
+  // target of the saveForm function
+  form.subscribe(save, 'save');
+
+  form.subscribe(() => {
+    clearTimeout(timer);
+    interacted = false;
+    clearDraft(key, store);
+  }, 'submitSuccess');
+}
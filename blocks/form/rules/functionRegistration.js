@@ -17,9 +17,43 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
+/* global globalThis */
 import { registerFunctions } from './model/afb-runtime.js';
+import { fetchCaptchaToken } from '../integrations/index.js';
 
-export default async function registerCustomFunctions(customFunctionsPath, codeBasePath) {
+/**
+ * Validates if the given URL is correct. Overrides validateURL of functions.js, which reads
+ * window.location and so rejects every URL in the worker, where it must stay synchronous.
+ * @param {string} url - The URL to validate.
+ * @returns {boolean} - True if the URL is valid, false otherwise.
+ */
+function validateURL(url) {
+  try {
+    const { protocol } = new URL(url, globalThis.location.href);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+// functions of functions.js that are overridden, as the file is copied from
+// @aemforms/af-custom-functions by npm run update:functions
+const overrides = { validateURL, fetchCaptchaToken };
+
+/**
+ * Registers the out of the box and the custom functions of the form in the runtime.
+ * @param {string} customFunctionsPath path of the custom functions of the form
+ * @param {string} codeBasePath
+ * @param {(name: string, func: Function) => Function} wrap wraps the functions before they are
+ * registered, e.g. to run them on the main thread
+ * @returns {Promise<Object<string, Function>>} the registered functions by name
+ */
+export default async function registerCustomFunctions(
+  customFunctionsPath,
+  codeBasePath,
+  wrap = (name, func) => func,
+) {
+  const registered = {};
   try {
     // eslint-disable-next-line no-inner-declarations
     function registerFunctionsInRuntime(module) {
@@ -30,14 +64,15 @@ export default async function registerCustomFunctions(customFunctionsPath, codeB
         const funcDef = module[keys[i]];
         if (typeof funcDef === 'function') {
           const functions = [];
-          functions[name] = funcDef;
+          functions[name] = wrap(name, funcDef);
+          registered[name] = funcDef;
           registerFunctions(functions);
         }
       }
     }
 
     const ootbFunctionModule = await import('./functions.js');
-    registerFunctionsInRuntime(ootbFunctionModule);
+    registerFunctionsInRuntime({ ...ootbFunctionModule, ...overrides });
     if (codeBasePath != null && codeBasePath !== undefined && customFunctionsPath
       && customFunctionsPath !== undefined) {
       const customFunctionModule = await import(`${codeBasePath}${customFunctionsPath}`);
@@ -47,4 +82,5 @@ export default async function registerCustomFunctions(customFunctionsPath, codeB
     // eslint-disable-next-line no-console
     console.log(`error occured while registering custom functions in web worker ${e.message}`);
   }
+  return registered;
 }
@@ -18,7 +18,9 @@
  * Adobe permits you to use and modify this file solely in accordance with
  * the terms of the Adobe license agreement accompanying it.
  ************************************************************************ */
-import { submitSuccess, submitFailure } from '../submit.js';
+import {
+  submitSuccess, submitFailure, submitQueued, queueFailedSubmission,
+} from '../submit.js';
 import {
   createHelpText,
   createLabel,
@@ -27,9 +29,23 @@ import {
   createDropdownUsingEnum,
   createRadioOrCheckboxUsingEnum,
   fetchData,
+  getIdScope,
+  scopeModelIds,
+  toCloneable,
 } from '../util.js';
+import { bindFormEngine, emitFormEvent } from '../controller.js';
 import registerCustomFunctions from './functionRegistration.js';
+import enableDraft from './draft.js';
+import RemoteForm from './RemoteForm.js';
+import { captureSubmissionRequests, isNetworkError } from './submission.js';
+import { deserializeBody } from '../outbox.js';
 import { LOG_LEVEL } from '../constant.js';
+import { showErrorSummary } from '../validation.js';
+import { setMaskedValue } from '../components/masked-input/masked-input.js';
+import { updateCombobox } from '../components/combobox/combobox.js';
+import {
+  findNearestField, getCascadeParent, getOptionsSource, loadOptions, setOptionsState,
+} from '../options.js';
 import { createOptimizedPicture } from '../../../scripts/aem.js';
 
 const formSubscriptions = {};
@@ -64,7 +80,7 @@ function handleActiveChild(id, form) {
   }
 }
 
-async function fieldChanged(payload, form, generateFormRendition) {
+async function fieldChanged(payload, form, generateFormRendition, formId = form.dataset?.id) {
   const { changes, field: fieldModel } = payload;
   const {
     id, name, fieldType, ':type': componentType, readOnly, type, displayValue, displayFormat, displayValueExpression,
@@ -73,14 +89,15 @@ async function fieldChanged(payload, form, generateFormRendition) {
   const field = form.querySelector(`#${id}`);
   if (!field) {
     // Check if there's a pending render promise where qualifiedName is a substring
+    const pendingRenders = renderPromises[formId] || {};
     if (qualifiedName) {
-      const matchingKey = Object.keys(renderPromises).find((key) => qualifiedName.includes(key));
+      const matchingKey = Object.keys(pendingRenders).find((key) => qualifiedName.includes(key));
       if (matchingKey) {
-        await renderPromises[matchingKey];
+        await pendingRenders[matchingKey];
         // Clear the promise after it's resolved
-        delete renderPromises[matchingKey];
+        delete pendingRenders[matchingKey];
         // Retry field changed after the render is complete
-        await fieldChanged(payload, form, generateFormRendition);
+        await fieldChanged(payload, form, generateFormRendition, formId);
       }
     }
     return;
@@ -111,7 +128,9 @@ async function fieldChanged(payload, form, generateFormRendition) {
         // eslint-disable-next-line no-case-declarations
         const valueToSet = currentValue === undefined ? '' : currentValue;
 
-        if (['number', 'date', 'text', 'email'].includes(field.type) && (displayFormat || displayValueExpression)) {
+        if (field.dataset?.mask) {
+          setMaskedValue(field, valueToSet);
+        } else if (['number', 'date', 'text', 'email'].includes(field.type) && (displayFormat || displayValueExpression)) {
           field.setAttribute('edit-value', valueToSet);
           field.setAttribute('display-value', displayValue);
           if (document.activeElement !== field) {
@@ -124,6 +143,12 @@ async function fieldChanged(payload, form, generateFormRendition) {
               || compare(valueToSet, el.value, type);
             el.checked = exists;
           });
+        } else if (fieldType === 'drop-down' && field.multiple) {
+          const values = [valueToSet].flat().map((v) => `${v}`);
+          [...field.options].forEach((option) => {
+            option.selected = values.includes(option.value);
+          });
+          updateCombobox(field);
         } else if (fieldType === 'checkbox') {
           field.checked = compare(valueToSet, field.value, type);
         } else if (fieldType === 'plain-text') {
@@ -133,6 +158,7 @@ async function fieldChanged(payload, form, generateFormRendition) {
           field.querySelector('picture')?.replaceWith(createOptimizedPicture(valueToSet, altText));
         } else if (field.type !== 'file') {
           field.value = valueToSet;
+          updateCombobox(field);
         }
         break;
       case 'visible':
@@ -213,8 +239,9 @@ async function fieldChanged(payload, form, generateFormRendition) {
           const removeId = prevValue.id;
           field?.querySelector(`#${removeId}`)?.remove();
         } else {
-          const promise = generateFormRendition({ items: [currentValue] }, field?.querySelector('.repeat-wrapper'), form.dataset?.id);
-          renderPromises[currentValue?.qualifiedName] = promise;
+          const promise = generateFormRendition({ items: [currentValue] }, field?.querySelector('.repeat-wrapper'), formId);
+          renderPromises[formId] = renderPromises[formId] || {};
+          renderPromises[formId][currentValue?.qualifiedName] = promise;
         }
         break;
       case 'activeChild': handleActiveChild(activeChild, form);
@@ -233,6 +260,7 @@ async function fieldChanged(payload, form, generateFormRendition) {
           createRadioOrCheckboxUsingEnum(fieldModel, field);
         } else if (fieldType === 'drop-down') {
           createDropdownUsingEnum(fieldModel, field);
+          updateCombobox(field);
         }
         break;
       default:
@@ -254,10 +282,27 @@ function formChanged(payload, form) {
   });
 }
 
-function handleRuleEngineEvent(e, form, generateFormRendition) {
+/**
+ * Marks the fields that failed the validation of the form and lists them in the error summary.
+ */
+function showValidationErrors(errors, htmlForm, form) {
+  if (!errors?.length) {
+    return;
+  }
+  errors.forEach(({ fieldName, errorMessages }) => {
+    const field = htmlForm.querySelector(`#${fieldName}`);
+    const message = form.getElement(fieldName)?.validationMessage || errorMessages?.[0];
+    if (field && message) {
+      updateOrCreateInvalidMsg(field, message);
+    }
+  });
+  showErrorSummary(htmlForm, { focus: true });
+}
+
+function handleRuleEngineEvent(e, form, generateFormRendition, formId) {
   const { type, payload } = e;
   if (type === 'fieldChanged') {
-    fieldChanged(payload, form, generateFormRendition);
+    fieldChanged(payload, form, generateFormRendition, formId);
   } else if (type === 'change') {
     formChanged(payload, form);
   } else if (type === 'submitSuccess') {
@@ -267,6 +312,20 @@ function handleRuleEngineEvent(e, form, generateFormRendition) {
   }
 }
 
+/**
+ * Sets the token of the captcha before the form is submitted.
+ * @returns {Promise<boolean>} false if the captcha blocked the submission
+ */
+async function setCaptchaToken(form, htmlForm, captcha) {
+  try {
+    form.getElement(captcha.id).value = await captcha.getToken();
+    return true;
+  } catch (error) {
+    submitFailure(error, htmlForm);
+    return false;
+  }
+}
+
 function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('change', (e) => {
     const field = e.target;
@@ -279,10 +338,15 @@ function applyRuleEngine(htmlForm, form, captcha) {
     } else if ((field.type === 'radio' && field.dataset.fieldType === 'radio-group')) {
       const el = form.getElement(id);
       el.value = value;
+    } else if (field.tagName === 'SELECT' && field.multiple) {
+      form.getElement(id).value = [...field.selectedOptions].map((option) => option.value);
     } else if (field.type === 'checkbox') {
       form.getElement(id).value = checked ? value : field.dataset.uncheckedValue;
     } else if (field.type === 'file') {
       form.getElement(id).value = Array.from(e?.detail?.files || field.files);
+    } else if (field.dataset.mask) {
+      // the raw or the masked value, see masked-input.js
+      form.getElement(id).value = field.getAttribute('edit-value');
     } else {
       form.getElement(id).value = value;
     }
@@ -301,9 +365,9 @@ function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('click', async (e) => {
     if (e.target.tagName === 'BUTTON') {
       const element = form.getElement(e.target.id);
-      if (e.target.type === 'submit' && captcha) {
-        const token = await captcha.getToken();
-        form.getElement(captcha.id).value = token;
+      if (e.target.type === 'submit' && captcha
+        && !(await setCaptchaToken(form, htmlForm, captcha))) {
+        return;
       }
       if (element) {
         element.dispatch({ type: 'click' });
@@ -312,12 +376,153 @@ function applyRuleEngine(htmlForm, form, captcha) {
   });
 }
 
-export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRendition, data) {
-  const ruleEngine = await import('./model/afb-runtime.js');
-  const form = ruleEngine.restoreFormInstance(formDef, data);
+/**
+ * The operations of the controller of the form, see controller.js.
+ * @param {Object} form the form model
+ * @param {HTMLFormElement} htmlForm
+ */
+function createFormEngine(form, htmlForm, captcha) {
+  return {
+    getData: () => form.exportData(),
+    setData: (data) => form.importData(data),
+    validate: () => new Promise((resolve) => {
+      const subscription = form.subscribe(({ payload }) => {
+        subscription.unsubscribe();
+        resolve((payload || []).map(({ fieldName, errorMessages }) => ({
+          name: form.getElement(fieldName)?.name ?? fieldName,
+          message: errorMessages?.[0],
+        })));
+      }, 'validationComplete');
+      form.validate();
+    }),
+    reset: () => form.dispatch({ type: 'reset' }),
+    submit: async () => {
+      if (!captcha || await setCaptchaToken(form, htmlForm, captcha)) {
+        form.dispatch({ type: 'submit' });
+      }
+    },
+    getField: (name) => {
+      const element = htmlForm.querySelector(`[name="${name}"]`);
+      const id = element?.closest('.field-wrapper')?.dataset.id || element?.id;
+      return id ? form.getElement(id) : undefined;
+    },
+  };
+}
+
+function getFields(panel) {
+  return (panel?.items || []).flatMap((item) => [item, ...getFields(item)]);
+}
+
+// names of the fields that filter the options of a field, up the cascade, see options.js
+function getFilterFields(source, parent) {
+  return [source.filterField, ...(parent ? getFilterFields(parent.source, parent.parent) : [])]
+    .filter(Boolean);
+}
+
+/**
+ * Loads the options of the fields with an options source, see options.js, into their enum and
+ * enumNames, and loads them again when a field that filters them, or their parent in a cascade,
+ * is changed. The fields of the instances of a repeatable panel, including the instances that are
+ * added, are filtered by the fields of their own instance, see findNearestField.
+ */
+function bindOptionsSources(form, state, htmlForm, formId) {
+  const fields = getFields(state);
+  // the updates of the options of the fields, by their wrapper
+  const updates = new Map();
+  const bind = (wrapper) => {
+    const { id } = wrapper.dataset;
+    const source = getOptionsSource(form.getElement(id));
+    const getValue = (name) => {
+      const nearest = findNearestField(wrapper, name);
+      return nearest ? form.getElement(nearest.dataset.id)?.value : undefined;
+    };
+    const filterNames = getFilterFields(source, getCascadeParent(source, fields, getValue));
+    let request = 0;
+    const update = async () => {
+      request += 1;
+      const current = request;
+      const element = htmlForm.querySelector(`#${id}`);
+      setOptionsState(element, 'loading');
+      try {
+        const parent = getCascadeParent(source, fields, getValue);
+        const filterValue = source.filterField && getValue(source.filterField);
+        const options = await loadOptions(source, filterValue, parent);
+        const model = form.getElement(id);
+        if (current !== request || !model) {
+          return;
+        }
+        if (options.optionGroups) {
+          model.properties = { ...model.properties, optionGroups: options.optionGroups };
+        }
+        model.enum = options.enum;
+        model.enumNames = options.enumNames;
+        setOptionsState(element, null);
+      } catch (e) {
+        if (current === request) {
+          setOptionsState(element, 'error');
+        }
+      }
+    };
+    updates.set(wrapper, { update, filterNames });
+    update();
+  };
+  const bindFields = () => {
+    [...updates.keys()].filter((wrapper) => !wrapper.isConnected)
+      .forEach((wrapper) => updates.delete(wrapper));
+    [...htmlForm.querySelectorAll('.field-wrapper[data-id]')]
+      .filter((wrapper) => !updates.has(wrapper))
+      .filter((wrapper) => getOptionsSource(form.getElement(wrapper.dataset.id)))
+      .forEach(bind);
+  };
+  bindFields();
+  form.subscribe(async ({ payload }) => {
+    const { field, changes } = payload || {};
+    // the instances added to a repeatable panel, once they are rendered
+    const added = changes
+      ?.find(({ propertyName, currentValue }) => propertyName === 'items' && currentValue);
+    if (added) {
+      await renderPromises[formId]?.[added.currentValue.qualifiedName];
+      bindFields();
+    }
+    if (field && changes?.some(({ propertyName }) => propertyName === 'value')) {
+      updates.forEach(({ update, filterNames }, wrapper) => {
+        if (filterNames.includes(field.name)
+          && findNearestField(wrapper, field.name)?.dataset.id === field.id) {
+          update();
+        }
+      });
+    }
+  }, 'fieldChanged');
+}
+
+/**
+ * Clears the value of a field whose options are filtered by another field, e.g. the state of a
+ * country, that is not one of its options once they are changed, by its options source or by the
+ * rules, which in turn loads the options of the fields that depend on it.
+ */
+function clearInvalidOptions(form, { field, changes }) {
+  if (!field?.properties?.optionsFilterField
+    || !changes?.some(({ propertyName }) => propertyName === 'enum')) {
+    return;
+  }
+  const options = (field.enum || []).map((option) => `${option}`);
+  const values = [field.value ?? []].flat();
+  const valid = values.filter((value) => options.includes(`${value}`));
+  if (valid.length !== values.length) {
+    form.getElement(field.id).value = Array.isArray(field.value) ? valid : null;
+  }
+}
+
+/**
+ * Renders the changes of the form model and sends the interactions of the user to it. The form
+ * model is either the model of the runtime or a RemoteForm of the model of the worker.
+ */
+function bindFormModel(form, formDef, htmlForm, captcha, genFormRendition, formId) {
+  // deprecated, the form is available to the scripts of the page with getFormController
   window.myForm = form;
-  formModels[htmlForm.dataset?.id] = form;
-  const subscriptions = formSubscriptions[htmlForm.dataset?.id];
+  formModels[formId] = form;
+  enableDraft(formDef, form, htmlForm, formId);
+  const subscriptions = formSubscriptions[formId];
   subscriptions?.forEach((subscription, id) => {
     const { callback, fieldDiv } = subscription;
     const model = form.getElement(id);
@@ -325,11 +530,16 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
   });
 
   form.subscribe((e) => {
-    handleRuleEngineEvent(e, htmlForm, genFormRendition);
+    handleRuleEngineEvent(e, htmlForm, genFormRendition, formId);
+    clearInvalidOptions(form, e.payload);
+    const change = e.payload.changes?.find(({ propertyName }) => propertyName === 'value');
+    if (change) {
+      emitFormEvent(htmlForm, 'change', { name: e.payload.field.name, value: change.currentValue });
+    }
   }, 'fieldChanged');
 
   form.subscribe((e) => {
-    handleRuleEngineEvent(e, htmlForm, genFormRendition);
+    handleRuleEngineEvent(e, htmlForm, genFormRendition, formId);
   }, 'change');
 
   form.subscribe((e) => {
@@ -337,6 +547,27 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
   }, 'submitSuccess');
 
   form.subscribe((e) => {
+    showValidationErrors(e.payload, htmlForm, form);
+  }, 'validationComplete');
+
+  form.subscribe(() => {
+    emitFormEvent(htmlForm, 'submitStart', { data: form.exportData() });
+  }, 'submit');
+
+  // the worker captures the submissions of the runtime of a RemoteForm, see RuleEngineWorker.js
+  const getFailedRequest = form instanceof RemoteForm ? () => undefined
+    : captureSubmissionRequests(form);
+  form.subscribe(async (e) => {
+    const request = e.request ? { ...e.request, body: deserializeBody(e.request.body) }
+      : getFailedRequest();
+    // the token of the captcha would expire before the submission is sent again
+    if (!captcha && isNetworkError(e.payload) && request) {
+      const submissionId = await queueFailedSubmission(request, htmlForm);
+      if (submissionId != null) {
+        submitQueued(htmlForm, submissionId);
+        return;
+      }
+    }
     handleRuleEngineEvent(e, htmlForm);
   }, 'submitFailure');
 
@@ -344,38 +575,86 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
     handleRuleEngineEvent(e, htmlForm);
   }, 'submitError');
   applyRuleEngine(htmlForm, form, captcha);
+  bindOptionsSources(form, formDef, htmlForm, formId);
+  bindFormEngine(htmlForm, createFormEngine(form, htmlForm, captcha));
 }
 
-async function initializeRuleEngineWorker(formDef, renderHTMLForm) {
+export async function loadRuleEngine(
+  formDef,
+  htmlForm,
+  captcha,
+  genFormRendition,
+  data,
+  formId = htmlForm.dataset?.id,
+) {
+  const ruleEngine = await import('./model/afb-runtime.js');
+  const form = scopeModelIds(ruleEngine.restoreFormInstance(formDef, data), getIdScope(formId));
+  if (data) {
+    emitFormEvent(htmlForm, 'prefilled', { source: 'prefill', data });
+  }
+  bindFormModel(form, formDef, htmlForm, captcha, genFormRendition, formId);
+}
+
+/**
+ * Runs a function of the rules on the main thread for the worker, e.g. a function that accesses
+ * the window. The functions of its scope, e.g. setProperty, are run by the worker.
+ */
+async function invokeFunction(worker, functions, {
+  callId, functionName, args, scope,
+}) {
+  const scopeFunctions = new Proxy({}, {
+    get: (target, name) => (...fnArgs) => worker.postMessage({
+      name: 'globals-function',
+      payload: { callId, functionName: name, args: toCloneable(fnArgs) },
+    }),
+  });
+  let result; let error;
+  try {
+    result = await functions[functionName](...args, { ...scope, functions: scopeFunctions });
+  } catch (e) {
+    error = e?.message || `${e}`;
+  }
+  worker.postMessage({ name: 'invoke-result', payload: { callId, result: toCloneable(result), error } });
+}
+
+async function initializeRuleEngineWorker(formDef, renderHTMLForm, functions = {}, idScope = '') {
   if (typeof Worker === 'undefined') {
     const data = await fetchData(formDef?.id, window.location.search || '');
     const ruleEngine = await import('./model/afb-runtime.js');
-    const form = ruleEngine.createFormInstance({ ...formDef, data }, undefined, LOG_LEVEL);
+    const form = ruleEngine.createFormInstance(
+      { ...formDef, data },
+      (model) => scopeModelIds(model, idScope),
+      LOG_LEVEL,
+    );
     return renderHTMLForm(form.getState(true), data);
   }
-  const myWorker = new Worker(`${window.hlx.codeBasePath}/blocks/form/rules/RuleEngineWorker.js`, { type: 'module' });
+  const codeBasePath = window.hlx?.codeBasePath ?? '';
+  const myWorker = new Worker(`${codeBasePath}/blocks/form/rules/RuleEngineWorker.js`, { type: 'module' });
   // Trigger the worker to start form initialization
   myWorker.postMessage({
     name: 'init',
     payload: {
       ...formDef,
       search: window.location.search || '',
+      idScope,
     },
-    codeBasePath: window.hlx.codeBasePath,
+    codeBasePath,
   });
 
   return new Promise((resolve) => {
     let form,
       captcha,
-      data,
-      generateFormRendition;
+      formId,
+      generateFormRendition,
+      remoteForm,
+      data;
     myWorker.addEventListener('message', async (e) => {
       // main thread starts html rendering
       if (e.data.name === 'init') {
         const response = await renderHTMLForm(e.data.payload);
         form = response.form;
         captcha = response.captcha;
-        data = response.data;
+        formId = response.formId;
         generateFormRendition = response.generateFormRendition;
         form?.classList.add('loading');
         // informing the worker that html form rendition is complete
@@ -385,12 +664,27 @@ async function initializeRuleEngineWorker(formDef, renderHTMLForm) {
         resolve(response);
       }
 
+      if (e.data.name === 'prefilled') {
+        emitFormEvent(form, 'prefilled', { source: 'prefill', data: e.data.payload });
+      }
+
+      // the worker owns the form model, the main thread renders its changes
       if (e.data.name === 'restore') {
-        loadRuleEngine(e.data.payload, form, captcha, generateFormRendition, data);
+        remoteForm = new RemoteForm(myWorker, e.data.payload, data);
+        bindFormModel(remoteForm, e.data.payload, form, captcha, generateFormRendition, formId);
+      }
+
+      // the data of the form before it is restored
+      if (e.data.name === 'data' && !remoteForm) {
+        data = e.data.payload;
       }
 
-      if (e.data.name === 'fieldChanged') {
-        await fieldChanged(e.data.payload, form, generateFormRendition);
+      if (['fieldChanged', 'event', 'data'].includes(e.data.name)) {
+        remoteForm?.receive(e.data.name, e.data.payload);
+      }
+
+      if (e.data.name === 'invoke') {
+        invokeFunction(myWorker, functions, e.data.payload);
       }
 
       if (e.data.name === 'sync-complete') {
@@ -400,9 +694,18 @@ async function initializeRuleEngineWorker(formDef, renderHTMLForm) {
   });
 }
 
-export async function initAdaptiveForm(formDef, createForm) {
-  await registerCustomFunctions(formDef?.properties?.customFunctionsPath, window.hlx?.codeBasePath);
-  const response = await initializeRuleEngineWorker(formDef, createForm);
+/**
+ * Renders an adaptive form and runs its rules, in a worker if the browser supports it.
+ * @param {Object} formDef form definition
+ * @param {Function} createForm renders the state of the form
+ * @param {string} idScope scope of the ids of the form instance, see getIdScope
+ */
+export async function initAdaptiveForm(formDef, createForm, idScope = '') {
+  const functions = await registerCustomFunctions(
+    formDef?.properties?.customFunctionsPath,
+    window.hlx?.codeBasePath,
+  );
+  const response = await initializeRuleEngineWorker(formDef, createForm, functions, idScope);
   return response?.form;
 }
 
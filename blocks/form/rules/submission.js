@@ -0,0 +1,61 @@
+/**
+ * Submissions of adaptive forms that are stored in the outbox. This module is also imported by
+ * the rule engine worker, so it must not access the window object.
+ */
+
+/**
+ * Creates the request of a submission from the payload of the submit action, with the url,
+ * headers and body that submit of afb-runtime.js sends, including the submit metadata and the
+ * attachments.
+ * @param {Object} form form model
+ * @param {Object} payload payload of the submit action
+ */
+function createSubmissionRequest(form, payload = {}) {
+  const attachments = form.getState().attachments || {};
+  const data = payload.data && typeof payload.data === 'object' ? payload.data : form.exportData(attachments);
+  const metadata = payload.metadata || { submitMetadata: form.exportSubmitMetaData() };
+  const url = payload.action || form.action;
+  const submission = { data, ...metadata };
+  const files = Object.values(attachments).flat().filter((file) => file?.data instanceof File);
+  // the runtime sends multipart/form-data unless the submit action asks for JSON
+  if (!files.length && (payload.save_as || payload.submit_as) === 'application/json') {
+    return {
+      url, method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(submission),
+    };
+  }
+  const body = new FormData();
+  Object.entries(submission).forEach(([key, value]) => {
+    body.append(key, value != null && typeof value === 'object' ? JSON.stringify(value) : value);
+  });
+  files.forEach((file) => {
+    const ref = `${file.dataRef}/${file.name}`;
+    body.append(ref.startsWith('/') ? ref : `/${ref}`, file.data);
+  });
+  return {
+    url, method: 'POST', headers: {}, body,
+  };
+}
+
+/**
+ * Captures the request of the submissions of a form model in its submit handler, when the
+ * runtime sends it, so that a submission that fails because of a network error can be stored
+ * in the outbox.
+ * @param {Object} form form model
+ * @returns {() => Object|undefined} returns the request of the last submission of the form,
+ * once
+ */
+export function captureSubmissionRequests(form) {
+  let request;
+  form.subscribe(({ payload }) => {
+    request = createSubmissionRequest(form, payload);
+  }, 'submit');
+  return () => {
+    const submitted = request;
+    request = undefined;
+    return submitted;
+  };
+}
+
+export function isNetworkError(payload) {
+  return payload != null && payload.status === undefined && 'error' in payload;
+}
@@ -1,7 +1,23 @@
-import { DEFAULT_THANK_YOU_MESSAGE, getSubmitBaseUrl } from './constant.js';
+import {
+  DEFAULT_QUEUED_MESSAGE,
+  DEFAULT_THANK_YOU_MESSAGE,
+  defaultErrorMessages,
+  getSubmitBaseUrl,
+  QUEUED_SUBMISSION_ERROR_MESSAGE,
+} from './constant.js';
+import { emitFormEvent } from './controller.js';
+import {
+  isOutboxAvailable, onSubmissionDropped, onSubmissionSent, queueSubmission,
+} from './outbox.js';
+import {
+  checkAccept, checkMaxFileSize, DEFAULT_MAX_FILE_SIZE, getAttachedFiles,
+} from './components/file/file.js';
+import { updateOrCreateInvalidMsg } from './util.js';
+import { showErrorSummary } from './validation.js';
 
 export function submitSuccess(e, form) {
   const { payload } = e;
+  emitFormEvent(form, 'submitSuccess', { body: payload?.body });
   const redirectUrl = form.dataset.redirectUrl || payload?.body?.redirectUrl;
   const thankYouMsg = form.dataset.thankYouMsg || payload?.body?.thankYouMessage;
   if (redirectUrl) {
@@ -20,10 +36,14 @@ export function submitSuccess(e, form) {
     form.reset();
   }
   form.setAttribute('data-submitting', 'false');
-  form.querySelector('button[type="submit"]').disabled = false;
+  const submit = form.querySelector('button[type="submit"]');
+  if (submit) {
+    submit.disabled = false;
+  }
 }
 
 export function submitFailure(e, form) {
+  emitFormEvent(form, 'submitFailure', { error: e?.message ?? e?.payload?.body });
   let errorMessage = form.querySelector('.form-message.error-message');
   if (!errorMessage) {
     errorMessage = document.createElement('div');
@@ -33,7 +53,77 @@ export function submitFailure(e, form) {
   form.prepend(errorMessage);
   errorMessage.scrollIntoView({ behavior: 'smooth' });
   form.setAttribute('data-submitting', 'false');
-  form.querySelector('button[type="submit"]').disabled = false;
+  const submit = form.querySelector('button[type="submit"]');
+  if (submit) {
+    submit.disabled = false;
+  }
+}
+
+/**
+ * Shows that the submission was stored in the outbox and is sent once the page is online.
+ * The message is replaced with the thank you message when the submission is sent, or with an
+ * error message when the outbox drops it.
+ * @param {HTMLFormElement} form
+ * @param {number} submissionId id of the queued submission
+ */
+export function submitQueued(form, submissionId) {
+  form.querySelector('.form-message.error-message')?.remove();
+  let queuedMessage = form.parentNode.querySelector('.form-message.queued-message');
+  if (!queuedMessage) {
+    queuedMessage = document.createElement('div');
+    queuedMessage.className = 'form-message queued-message';
+    queuedMessage.setAttribute('role', 'status');
+  }
+  queuedMessage.innerHTML = DEFAULT_QUEUED_MESSAGE;
+  form.parentNode.insertBefore(queuedMessage, form);
+  queuedMessage.scrollIntoView?.({ behavior: 'smooth' });
+  const { thankYouMsg } = form.dataset;
+  const removeListeners = [
+    onSubmissionSent((record) => {
+      if (record.id === submissionId) {
+        removeListeners.forEach((remove) => remove());
+        queuedMessage.className = 'form-message success-message';
+        queuedMessage.innerHTML = thankYouMsg || DEFAULT_THANK_YOU_MESSAGE;
+      }
+    }),
+    onSubmissionDropped((record, response) => {
+      if (record.id === submissionId) {
+        removeListeners.forEach((remove) => remove());
+        queuedMessage.className = 'form-message error-message';
+        queuedMessage.setAttribute('role', 'alert');
+        queuedMessage.innerHTML = QUEUED_SUBMISSION_ERROR_MESSAGE;
+        const error = response ? `rejected with status ${response.status}` : 'not sent in time';
+        emitFormEvent(form, 'submitFailure', { error: `The queued submission was ${error}` });
+      }
+    }),
+  ];
+  form.reset();
+  form.setAttribute('data-submitting', 'false');
+  const submit = form.querySelector('button[type="submit"]');
+  if (submit) {
+    submit.disabled = false;
+  }
+  emitFormEvent(form, 'submitQueued', { submissionId });
+}
+
+/**
+ * Stores the submission in the outbox, if it failed because of a network error and offline
+ * submissions are enabled for the form.
+ * @param {Object} request
+ * @param {HTMLFormElement} form
+ * @returns {Promise<number|null>} id of the queued submission, or null if it was not queued
+ */
+export async function queueFailedSubmission(request, form) {
+  if (form.dataset.offline !== 'true' || !isOutboxAvailable()) {
+    return null;
+  }
+  try {
+    return await queueSubmission(request, form.dataset.id);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Unable to queue the submission', e);
+    return null;
+  }
 }
 
 function generateUnique() {
@@ -52,35 +142,207 @@ function getFieldValue(fe, payload) {
     } if (fe.checked) {
       return fe.value;
     }
-  } else if (fe.type !== 'file') {
+  } else if (fe.type === 'file') {
+    const files = getAttachedFiles(fe).filter((file) => file instanceof File);
+    if (files.length) {
+      return fe.multiple ? files : files[0];
+    }
+  } else if (fe.hasAttribute('edit-value')) {
+    // the field shows the formatted value
+    return fe.getAttribute('edit-value');
+  } else {
     return fe.value;
   }
   return null;
 }
 
-function constructPayload(form) {
+// the inputs of captchas, e.g. a honeypot, are not data of the form
+const isDataElement = (fe) => fe.name && !fe.matches('button') && !fe.disabled && fe.tagName !== 'FIELDSET'
+  && !fe.closest('.captcha-wrapper');
+
+/**
+ * Legacy payload, the values of the fields in repeatable panels are joined with a comma.
+ */
+function constructFlatPayload(form) {
   const payload = { __id__: generateUnique() };
-  [...form.elements].forEach((fe) => {
-    if (fe.name && !fe.matches('button') && !fe.disabled && fe.tagName !== 'FIELDSET') {
-      const value = getFieldValue(fe, payload);
-      if (fe.closest('.repeat-wrapper')) {
-        payload[fe.name] = payload[fe.name] ? `${payload[fe.name]},${fe.value}` : value;
-      } else {
-        payload[fe.name] = value;
+  [...form.elements].filter(isDataElement).forEach((fe) => {
+    const value = getFieldValue(fe, payload);
+    if (fe.closest('.repeat-wrapper')) {
+      payload[fe.name] = payload[fe.name] ? `${payload[fe.name]},${fe.value}` : value;
+    } else {
+      payload[fe.name] = value;
+    }
+  });
+  return { payload };
+}
+
+/**
+ * Returns the instances of the repeatable panels that contain the element,
+ * from the outermost to the innermost one.
+ */
+function getRepeatableInstances(fe, form) {
+  const instances = [];
+  let fieldset = fe.parentElement?.closest('fieldset[data-repeatable="true"]');
+  while (fieldset && form.contains(fieldset)) {
+    instances.unshift(fieldset);
+    fieldset = fieldset.parentElement?.closest('fieldset[data-repeatable="true"]');
+  }
+  return instances;
+}
+
+function getInstanceIndex(fieldset) {
+  return [...fieldset.parentElement.children]
+    .filter((el) => el.tagName === 'FIELDSET' && el.name === fieldset.name)
+    .indexOf(fieldset);
+}
+
+/**
+ * Repeatable panels are sent as an array with an object per instance. Panels nested in a
+ * repeatable panel are arrays of that object.
+ */
+function constructStructuredPayload(form) {
+  const payload = { __id__: generateUnique() };
+  [...form.elements].filter(isDataElement).forEach((fe) => {
+    let target = payload;
+    getRepeatableInstances(fe, form).forEach((fieldset) => {
+      if (!Array.isArray(target[fieldset.name])) {
+        target[fieldset.name] = [];
       }
+      const instances = target[fieldset.name];
+      const index = getInstanceIndex(fieldset);
+      instances[index] = instances[index] || {};
+      target = instances[index];
+    });
+    if (target !== payload && fe.type === 'radio') {
+      // the radio buttons with the same name in other instances belong to another group
+      target[fe.name] = fe.checked ? fe.value : (target[fe.name] ?? '');
+    } else {
+      target[fe.name] = getFieldValue(fe, target);
     }
   });
   return { payload };
 }
 
-async function prepareRequest(form) {
+/**
+ * Returns the payload of the form, as it is submitted.
+ * @param {HTMLFormElement} form
+ * @returns {{payload: Object}}
+ */
+export function constructPayload(form) {
+  return form.dataset.payloadFormat === 'flat'
+    ? constructFlatPayload(form) : constructStructuredPayload(form);
+}
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    // the name of the file is added to the data url, the same way adaptive forms do
+    reader.onload = () => resolve(reader.result.replace(';base64,', `;name=${encodeURIComponent(file.name)};base64,`));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Replaces the files in the payload with the value returned by the encode function.
+ * @param {*} value payload or a value in it
+ * @param {Function} encode called with the file and the name of the field
+ */
+async function encodeAttachments(value, encode, name) {
+  if (value instanceof File) {
+    return encode(value, name);
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((item) => encodeAttachments(item, encode, name)));
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(Object.entries(value)
+      .map(async ([key, item]) => [key, await encodeAttachments(item, encode, key)]));
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+/**
+ * Files are sent as data urls in the JSON payload, or, if the form is configured to use
+ * multipart, as parts of a multipart/form-data body with the JSON payload in the data part.
+ * The submit metadata, if any, is sent next to the data, like adaptive forms do.
+ */
+async function createRequestBody(form, payload, submitMetadata) {
+  const metadata = submitMetadata ? { submitMetadata } : {};
+  if (form.dataset.fileEncoding === 'multipart') {
+    const files = [];
+    const data = await encodeAttachments(payload, (file, name) => {
+      files.push([name, file]);
+      return file.name;
+    });
+    if (files.length) {
+      const body = new FormData();
+      body.append('data', JSON.stringify(data));
+      if (submitMetadata) {
+        body.append('submitMetadata', JSON.stringify(submitMetadata));
+      }
+      files.forEach(([name, file]) => body.append(name, file, file.name));
+      return body;
+    }
+    return JSON.stringify({ data, ...metadata });
+  }
+  return JSON.stringify({ data: await encodeAttachments(payload, readAsDataURL), ...metadata });
+}
+
+// file inputs made invalid by validateAttachments
+const invalidAttachments = new WeakSet();
+
+/**
+ * Checks the type and size of the attached files before they are sent.
+ * @param {HTMLFormElement} form
+ */
+function validateAttachments(form) {
+  form.querySelectorAll('input[type="file"]:not([disabled])').forEach((input) => {
+    const files = getAttachedFiles(input).filter((file) => file instanceof File);
+    const accept = (input.getAttribute('accept') || '').split(',').filter((type) => type.trim());
+    let constraint;
+    if (!checkAccept(accept, files)) {
+      constraint = 'accept';
+    } else if (!checkMaxFileSize(input.dataset.maxFileSize || DEFAULT_MAX_FILE_SIZE, files)) {
+      constraint = 'maxFileSize';
+    }
+    if (constraint) {
+      const message = input.closest('.field-wrapper')?.dataset[`${constraint}ErrorMessage`]
+        || defaultErrorMessages[constraint];
+      input.setCustomValidity(message);
+      updateOrCreateInvalidMsg(input, message);
+      invalidAttachments.add(input);
+    } else if (invalidAttachments.delete(input)) {
+      // e.g. the file was replaced
+      input.setCustomValidity('');
+      updateOrCreateInvalidMsg(input, '');
+    }
+  });
+}
+
+async function prepareRequest(form, captcha) {
   const { payload } = constructPayload(form);
+  let submitMetadata;
+  if (captcha) {
+    const token = await captcha.getToken();
+    if (captcha.responseField) {
+      payload[captcha.responseField] = token;
+    } else {
+      // the captchaInfo of the submit metadata of adaptive forms
+      submitMetadata = { captchaInfo: { [captcha.name]: token } };
+    }
+  }
   const headers = {
     'Content-Type': 'application/json',
     // eslint-disable-next-line comma-dangle
     'x-adobe-form-hostname': window?.location?.hostname
   };
-  const body = { data: payload };
+  const body = await createRequestBody(form, payload, submitMetadata);
+  if (body instanceof FormData) {
+    // the boundary is added to the content type by the browser
+    delete headers['Content-Type'];
+  }
   let url;
   let baseUrl = getSubmitBaseUrl();
   if (!baseUrl) {
@@ -95,17 +357,21 @@ async function prepareRequest(form) {
 
 async function submitDocBasedForm(form, captcha) {
   try {
-    const { headers, body, url } = await prepareRequest(form, captcha);
-    let token = null;
-    if (captcha) {
-      token = await captcha.getToken();
-      body.data['g-recaptcha-response'] = token;
+    const request = await prepareRequest(form, captcha);
+    const { headers, body, url } = request;
+    let response;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body });
+    } catch (networkError) {
+      // the token of the captcha would expire before the submission is sent again
+      const submissionId = captcha ? null
+        : await queueFailedSubmission(request, form);
+      if (submissionId == null) {
+        throw networkError;
+      }
+      submitQueued(form, submissionId);
+      return;
     }
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-    });
     if (response.ok) {
       submitSuccess(response, form);
     } else {
@@ -119,6 +385,7 @@ async function submitDocBasedForm(form, captcha) {
 
 export async function handleSubmit(e, form, captcha) {
   e.preventDefault();
+  validateAttachments(form);
   const valid = form.checkValidity();
   if (valid) {
     e.submitter?.setAttribute('disabled', '');
@@ -129,10 +396,13 @@ export async function handleSubmit(e, form, captcha) {
       form.querySelectorAll('.form-message.show').forEach((el) => el.classList.remove('show'));
 
       if (form.dataset.source === 'sheet') {
+        // eslint-disable-next-line no-underscore-dangle
+        const { __id__, ...data } = constructPayload(form).payload;
+        emitFormEvent(form, 'submitStart', { data });
         await submitDocBasedForm(form, captcha);
       }
     }
-  } else {
+  } else if (!showErrorSummary(form, { focus: true })) {
     const firstInvalidEl = form.querySelector(':invalid:not(fieldset)');
     if (firstInvalidEl) {
       firstInvalidEl.focus();
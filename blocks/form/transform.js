@@ -16,15 +16,28 @@ function handleCheckboxAndRadio(field) {
   }
 }
 
-function extractRules(field) {
-  const rulesMapping = {
-    value: 'Value Expression',
-    visible: 'Visible Expression',
-  };
+// property of a rule to the column of its expression
+export const rulesMapping = {
+  value: 'Value Expression',
+  visible: 'Visible Expression',
+  enabled: 'Enabled Expression',
+  required: 'Required Expression',
+  label: 'Label Expression',
+  enum: 'Options Expression',
+  validation: 'Validation Expression',
+};
+
+function extractRules(field, row, sheet) {
   const entries = Object.entries(rulesMapping)
     // eslint-disable-next-line no-unused-vars
     .filter(([_, excelRuleName]) => field?.[excelRuleName])
-    .map(([ruleName, excelRuleName]) => ({ prop: ruleName, expression: field?.[excelRuleName] }));
+    .map(([ruleName, excelRuleName]) => ({
+      prop: ruleName,
+      expression: field?.[excelRuleName],
+      row,
+      column: excelRuleName,
+      ...(sheet && { sheet }),
+    }));
   return entries;
 }
 
@@ -102,7 +115,7 @@ function handleFranklinSpecialCases(item) {
   item.required = (item.required === 'x' || item.required === true);
 
   if (item.Max || item.Min || item?.constraintMessages?.max || item?.constraintMessages?.min) {
-    if (item.fieldType === 'number-input' || item.fieldType === 'date' || item.fieldType === 'range') {
+    if (['number-input', 'date-input', 'date', 'range'].includes(item.fieldType)) {
       item.maximum = item.Max;
       item.minimum = item.Min;
       setProperty(item.constraintMessages, 'maximum', item?.constraintMessages?.max);
@@ -124,12 +137,31 @@ function handleFranklinSpecialCases(item) {
     delete item?.constraintMessages?.min;
   }
 
+  // the range component reads the step from the properties, like the range of AF forms
+  if (item[':type'] === 'range' && item.step) {
+    item.properties = { ...item.properties, stepValue: item.step };
+  }
+
   if (item.fieldType === 'plain-text' && !item.value) {
     item.value = item?.label?.value;
     item.label = null;
   }
 }
 
+// sheet of a multi-sheet workbook with the shared options and settings, see #transformWorkbook
+const HELPER_SHEET = 'helper';
+
+// display formats of dates and numbers, see format in rules/model/afb-formatters.js
+function handleDisplayFormat(field) {
+  if (field.displayFormat && !/^(?:date|num)\|/.test(field.displayFormat)) {
+    if (field.fieldType === 'date-input') {
+      field.displayFormat = `date|${field.displayFormat}`;
+    } else if (field.fieldType === 'number-input') {
+      field.displayFormat = `num|${field.displayFormat}`;
+    }
+  }
+}
+
 function initField() {
   return {
     constraintMessages: {
@@ -143,8 +175,22 @@ export default class DocBasedFormToAF {
 
   containerNamesSet = new Set();
 
+  /**
+   * Problems in the spreadsheet found by the last transform, see #addError.
+   * @type {Array<{code: string, severity: string, message: string, row: number,
+   * column: string, name?: string, sheet?: string}>}
+   */
   errors = [];
 
+  // sheet of the workbook that is transformed
+  #sheet;
+
+  // option lists of the helper sheet of the workbook, by name
+  #optionLists = new Map();
+
+  // scope of the field ids of the form instance, see getIdScope
+  #idScope = '';
+
   fieldPropertyMapping = {
     Default: 'default',
     Step: 'step',
@@ -159,6 +205,7 @@ export default class DocBasedFormToAF {
     Label: 'label.value',
     Mandatory: 'required',
     Accept: 'accept',
+    'Max File Size': 'maxFileSize',
     Options: 'enum',
     OptionNames: 'enumNames',
     Visible: 'visible',
@@ -168,38 +215,110 @@ export default class DocBasedFormToAF {
     'Pattern Error Message': 'constraintMessages.pattern',
     'Min Error Message': 'constraintMessages.min',
     'Max Error Message': 'constraintMessages.max',
+    'Validation Error Message': 'constraintMessages.validation',
+    Variant: 'properties.variant',
+    Alignment: 'properties.alignment',
+    Orientation: 'properties.afs:layout.orientation',
+    'Display Format': 'displayFormat',
+    'Alt Text': 'altText',
+    Mask: 'properties.mask',
+    'Mask Value': 'properties.maskValue',
+    'Option Groups': 'properties.optionGroups',
+    'Search URL': 'properties.searchUrl',
+    'Options Source': 'properties.optionsUrl',
+    'Options Items': 'properties.optionsItemsPath',
+    'Options Label': 'properties.optionsLabelPath',
+    'Options Value': 'properties.optionsValuePath',
+    'Options Group': 'properties.optionsGroupPath',
+    'Options Filter': 'properties.optionsFilterField',
+    'Options Filter Path': 'properties.optionsFilterPath',
   };
 
   fieldMapping = new Map([
     ['text', 'text-input'],
     ['number', 'number-input'],
     ['datetime-local', 'date-input'],
+    ['date', 'date-input'],
+    ['email', 'email'],
+    ['tel', 'tel'],
+    ['telephone', 'tel'],
+    ['password', 'text-input'],
+    ['masked-input', 'text-input'],
+    ['hidden', 'hidden'],
     ['file', 'file-input'],
     ['select', 'drop-down'],
+    ['combobox', 'drop-down'],
     ['radio-group', 'radio-group'],
     ['checkbox-group', 'checkbox-group'],
     ['plain-text', 'plain-text'],
     ['plaintext', 'plain-text'],
     ['checkbox', 'checkbox'],
+    ['toggle', 'checkbox'],
+    ['switch', 'checkbox'],
     ['textarea', 'multiline-input'],
     ['text-area', 'multiline-input'],
     ['fieldset', 'panel'],
+    ['accordion', 'panel'],
+    ['wizard', 'panel'],
+    ['modal', 'panel'],
+    ['tnc', 'panel'],
     ['button', 'button'],
+    ['image', 'image'],
+    ['heading', 'heading'],
+    ['captcha', 'captcha'],
+    ['recaptcha', 'captcha'],
+    ['turnstile', 'captcha'],
+    ['hcaptcha', 'captcha'],
+    ['honeypot', 'captcha'],
     ['rating', 'number-input'],
+    ['range', 'range'],
+    ['toggleable-link', 'checkbox-group'],
+    ['signature', 'file-input'],
+  ]);
+
+  // :type of the types rendered by a component, see mappings.js, and the default properties
+  componentMapping = new Map([
+    ['rating', { ':type': 'rating' }],
+    ['range', { ':type': 'range' }],
+    ['password', { ':type': 'password' }],
+    ['combobox', { ':type': 'combobox' }],
+    ['masked-input', { ':type': 'masked-input' }],
+    ['accordion', { ':type': 'accordion' }],
+    ['wizard', { ':type': 'wizard' }],
+    ['modal', { ':type': 'modal', visible: false }],
+    ['tnc', { ':type': 'tnc' }],
+    ['toggleable-link', { ':type': 'toggleable-link' }],
+    ['signature', { ':type': 'signature' }],
+    ['toggle', { properties: { variant: 'switch' } }],
+    ['switch', { properties: { variant: 'switch' } }],
+    ['turnstile', { captchaProvider: 'turnstile' }],
+    ['hcaptcha', { captchaProvider: 'hcaptcha' }],
+    ['honeypot', { captchaProvider: 'honeypot' }],
+  ]);
+
+  // types that are rendered as is, besides the ones in the fieldMapping
+  knownTypes = new Set([
+    'url', 'color', 'time', 'month', 'week', 'search', 'submit', 'reset', 'radio',
   ]);
 
   /**
      * @param {{ total?: number;
      * offset?: number; limit?: number; data: any; ":type"?: string; adaptiveform?: any; }} exData
+     * @param {{ name?: string; idScope?: string; }} options name of the form, and scope of the
+     * ids of its fields, see getIdScope
      *
      * @return {{formDef: any, excelData: any}} response
      */
-  transform(exData, { name } = { name: 'Form' }) {
+  transform(exData, { name = 'Form', idScope = '' } = {}) {
     this.errors = [];
+    this.#idScope = idScope;
     // if its adaptive form json just return it.
     if (exData?.adaptiveform) {
       return { formDef: exData, excelData: null };
     }
+    if (exData?.[':type'] === 'multi-sheet') {
+      return this.#transformWorkbook(exData, name);
+    }
     if (!exData || !exData.data) {
       throw new Error('Unable to retrieve the form details from json');
     }
@@ -211,12 +330,89 @@ export default class DocBasedFormToAF {
     exData.data.forEach((data) => {
       this.containerNamesSet.add(data?.Fieldset);
     });
-    exData.data.forEach((/** @type {{ [s: string]: any; } | ArrayLike<any>} */ item, index) => {
+    this.#transformSheet(exData.data, formDef, fieldIdMap, rules);
+    formDef.properties.rules = { fieldIdMap, rules };
+    return formDef;
+  }
+
+  /**
+   * Transforms a multi-sheet workbook. Every sheet is a step of a wizard, or a tab of an
+   * accordion, except the helper sheet. Its rows with a Value are settings, e.g. layout
+   * (wizard or accordion) or the title of a step by the name of its sheet, and its rows with
+   * Options are option lists that fields use with helper!<Name> in their Options column.
+   * Fields are mapped by sheet and row, e.g. personal!2, so rules can refer to other sheets.
+   */
+  #transformWorkbook(workbook, name) {
+    const sheetNames = (workbook[':names'] || []).filter((sheet) => workbook[sheet]?.data);
+    const helperName = sheetNames.find((sheet) => sheet.toLowerCase() === HELPER_SHEET);
+    const helper = workbook[helperName]?.data || [];
+    const settings = Object.fromEntries(helper.filter((row) => row.Name && row.Value)
+      .map((row) => [row.Name.toLowerCase(), row.Value]));
+    this.#optionLists = new Map(helper.filter((row) => row.Name && row.Options)
+      .map((row) => [row.Name.toLowerCase(), row]));
+    const steps = sheetNames.filter((sheet) => sheet !== helperName);
+    if (!steps.length) {
+      throw new Error('Unable to retrieve the form details from json');
+    }
+    const formDef = initFormDef(name);
+    this.panelMap.set('root', formDef);
+    const layout = settings.layout?.toLowerCase() === 'accordion' ? 'accordion' : 'wizard';
+    const container = {
+      name: 'form-steps',
+      id: getId('form-steps', this.#idScope),
+      fieldType: 'panel',
+      ':type': layout,
+      items: [],
+    };
+    formDef.items.push(container);
+    steps.forEach((sheet) => {
+      workbook[sheet].data.forEach((data) => {
+        this.containerNamesSet.add(data?.Fieldset);
+      });
+    });
+    const fieldIdMap = {};
+    const rules = [];
+    const names = new Map();
+    steps.forEach((sheet) => {
+      const step = {
+        name: sheet,
+        id: getId(sheet, this.#idScope),
+        fieldType: 'panel',
+        label: { value: settings[sheet.toLowerCase()] || sheet },
+        items: [],
+      };
+      container.items.push(step);
+      this.panelMap.set(sheet, step);
+      this.#sheet = sheet;
+      this.#transformSheet(workbook[sheet].data, formDef, fieldIdMap, rules, names, sheet);
+    });
+    this.#sheet = undefined;
+    this.#optionLists = new Map();
+    formDef.properties.rules = { fieldIdMap, rules };
+    return formDef;
+  }
+
+  /**
+   * Transforms the rows of a sheet to fields of their fieldset, or of the parent panel.
+   * @param {Array<Object>} data rows of the sheet
+   * @param {Object} formDef
+   * @param {Object} fieldIdMap row to field, the rows of a workbook are prefixed by the sheet
+   * @param {Array} rules
+   * @param {Map<string, number|string>} names names of the fields and where they are defined
+   * @param {string} parent name of the panel of the fields without a fieldset
+   */
+  #transformSheet(data, formDef, fieldIdMap, rules, names = new Map(), parent = 'root') {
+    data.forEach((/** @type {{ [s: string]: any; } | ArrayLike<any>} */ item, index) => {
       if (item.Type) {
+        // rows of the spreadsheet start at 2, after the header
+        const row = index + 2;
+        this.#checkRow(item, row, data, names);
         // eslint-disable-next-line no-unused-vars
         const source = Object.fromEntries(Object.entries(item).filter(([_, v]) => (v != null && v !== '')));
+        this.#resolveOptions(source, row);
         let field = { ...source, ...initField() };
-        field.id = field.Id || getId(field.Name);
+        field.id = field.Id ? [this.#idScope, field.Id].filter(Boolean).join('-')
+          : getId(field.Name, this.#idScope);
         field.value = field.Value || '';
         this.#transformFieldNames(field);
 
@@ -234,16 +430,80 @@ export default class DocBasedFormToAF {
           delete field?.constraintMessages;
         }
         field = this.#handleField(field);
-        this.#addToParent(field);
-        fieldIdMap[index + 2] = { name: field.name, id: field.id };
-        const currentRules = extractRules(field);
+        if (field.enum && field.enumNames && field.enum.length !== field.enumNames.length) {
+          const message = `${field.enum.length} Options but ${field.enumNames.length} OptionNames`;
+          this.#addError('options-mismatch', row, 'OptionNames', message, 'warning', field.name);
+        }
+        this.#addToParent(field, parent);
+        fieldIdMap[this.#sheet ? `${this.#sheet.toLowerCase()}!${row}` : row] = {
+          name: field.name, id: field.id,
+        };
+        const currentRules = extractRules(field, row, this.#sheet);
         if (currentRules.length) {
           rules.push([field.id, currentRules]);
         }
       }
     });
-    formDef.properties.rules = { fieldIdMap, rules };
-    return formDef;
+  }
+
+  /**
+   * Replaces the Options of a row that refer to an option list of the helper sheet,
+   * e.g. helper!countries, with the Options and OptionNames of the list.
+   */
+  #resolveOptions(item, row) {
+    const match = /^helper!(.+)$/i.exec(item.Options || '');
+    if (match) {
+      const list = this.#optionLists.get(match[1].trim().toLowerCase());
+      if (list) {
+        item.Options = list.Options;
+        item.OptionNames = item.OptionNames || list.OptionNames;
+        if (list['Option Groups'] && !item['Option Groups']) {
+          item['Option Groups'] = list['Option Groups'];
+        }
+      } else {
+        delete item.Options;
+        this.#addError('unknown-options', row, 'Options', `Options "${match[1]}" are not defined in the helper sheet`, 'error', item.Name);
+      }
+    }
+  }
+
+  /**
+   * Records a problem of the spreadsheet.
+   * @param {string} code e.g. unknown-type
+   * @param {number} row row of the spreadsheet
+   * @param {string} column header of the column
+   * @param {string} message
+   * @param {'error'|'warning'} severity
+   * @param {string} name name of the field
+   */
+  #addError(code, row, column, message, severity = 'error', name = undefined) {
+    this.errors.push({
+      code, severity, message, row, column, name, ...(this.#sheet && { sheet: this.#sheet }),
+    });
+  }
+
+  /**
+   * Checks the type, name and fieldset of a row of the spreadsheet.
+   */
+  #checkRow(item, row, data, names) {
+    const { Type: type, Name: name, Fieldset: fieldset } = item;
+    if (!this.fieldMapping.has(type) && !this.knownTypes.has(type)
+      && !this.containerNamesSet.has(name)) {
+      this.#addError('unknown-type', row, 'Type', `Unknown type "${type}"`, 'warning', name);
+    }
+    // radio buttons with the same name form a group
+    if (name && names.has(name) && type !== 'radio') {
+      this.#addError('duplicate-name', row, 'Name', `Name "${name}" is already used in row ${names.get(name)}`, 'error', name);
+    } else if (name && !names.has(name)) {
+      names.set(name, this.#sheet ? `${row} of sheet "${this.#sheet}"` : row);
+    }
+    if (fieldset && !this.panelMap.has(fieldset)) {
+      const defined = data.some((other) => other.Name === fieldset && other.Type);
+      const message = defined
+        ? `Fieldset "${fieldset}" must be defined before its fields`
+        : `Fieldset "${fieldset}" does not exist`;
+      this.#addError('missing-fieldset', row, 'Fieldset', message, 'error', name);
+    }
   }
 
   /**
@@ -254,9 +514,12 @@ export default class DocBasedFormToAF {
   #handleField(field) {
     this.#transformFieldType(field);
     transformFlatToHierarchy(field);
+    this.#applyComponent(field);
+    handleDisplayFormat(field);
     handleCheckboxAndRadio(field);
     handleMultiValues(field, 'enum');
     handleMultiValues(field, 'enumNames');
+    handleMultiValues(field.properties, 'optionGroups');
     handleFranklinSpecialCases(field);
     handleSpecialButtons(field);
     return field;
@@ -275,6 +538,24 @@ export default class DocBasedFormToAF {
     }
   }
 
+  /**
+   * Sets the :type and the default properties of the types rendered by a component,
+   * e.g. the variant of a toggle. The columns of the row take precedence.
+   * @param {any} field FieldJson
+   */
+  #applyComponent(field) {
+    const type = field[':type'];
+    const { properties, ...defaults } = this.componentMapping.get(type) || {};
+    Object.entries(defaults).forEach(([key, value]) => {
+      if (key === ':type' || field[key] === undefined) {
+        field[key] = value;
+      }
+    });
+    if (properties) {
+      field.properties = { ...properties, ...field.properties };
+    }
+  }
+
   /**
      * Convert Field names from Franklin Form to crispr def.
      * @param {any} field Form Def received from excel
@@ -291,10 +572,11 @@ export default class DocBasedFormToAF {
   /**
    * Add the field to its relevant parent items.
    * @param {Object} field
+   * @param {string} defaultParent panel of the fields without a fieldset
    */
-  #addToParent(field) {
-    const parent = field?.Fieldset || 'root';
-    const parentField = this.panelMap.get(this.panelMap.has(parent) ? parent : 'root');
+  #addToParent(field, defaultParent = 'root') {
+    const parent = field?.Fieldset || defaultParent;
+    const parentField = this.panelMap.get(this.panelMap.has(parent) ? parent : defaultParent);
     parentField.items = parentField.items || [];
     parentField.items.push(field);
     delete field?.parent;
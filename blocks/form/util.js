@@ -1,5 +1,6 @@
 // create a string containing head tags from h1 to h5
 import { defaultErrorMessages } from './constant.js';
+import { emitFormEvent } from './controller.js';
 import { externalize } from './rules/functions.js';
 
 const headings = Array.from({ length: 6 }, (_, i) => `<h${i + 1}>`).join('');
@@ -39,27 +40,112 @@ export function toClassName(name) {
 
 const clear = Symbol('clear');
 
+/**
+ * Returns an id for a field name that is unique in its scope, e.g. name, name-1. The ids of the
+ * later instances of a form are prefixed with their scope, see getIdScope.
+ * @param {string} name name of the field
+ * @param {string} scope scope of the ids of the form instance, none by default
+ * @returns {string} id of the field
+ */
 export const getId = (function getId() {
   let ids = {};
-  return (name) => {
+  return (name, scope = '') => {
     if (name === clear) {
       ids = {};
       return '';
     }
     const slug = toClassName(name);
-    ids[slug] = ids[slug] || 0;
-    const idSuffix = ids[slug] ? `-${ids[slug]}` : '';
-    ids[slug] += 1;
-    return `${slug}${idSuffix}`;
+    const counts = ids[scope] || {};
+    ids[scope] = counts;
+    counts[slug] = counts[slug] || 0;
+    const idSuffix = counts[slug] ? `-${counts[slug]}` : '';
+    counts[slug] += 1;
+    return `${scope ? `${scope}-` : ''}${slug}${idSuffix}`;
   };
 }());
 
+const formInstances = {};
+
+// ids of the later instances of the forms, whose field ids are prefixed with them
+const idScopes = [];
+
+/**
+ * Returns an id for a form instance that is unique on the page. The first instance of a form
+ * keeps the form id, later instances (e.g. same form embedded twice) get a numeric suffix.
+ * @param {string} formId id of the form
+ * @returns {string} id of the form instance
+ */
+export function getFormInstanceId(formId = '') {
+  const count = formInstances[formId] || 0;
+  formInstances[formId] = count + 1;
+  if (count) {
+    idScopes.push(`${formId}-${count}`);
+  }
+  return count ? `${formId}-${count}` : formId;
+}
+
+/**
+ * Returns the scope of the field ids of a form instance, or of a field id. The fields of the
+ * first instance of a form keep their ids, the ids of the later instances are prefixed with the
+ * instance id, so that two instances of a form never share an id on the page.
+ * @param {string} id id of the form instance or of a field
+ * @returns {string} the instance id of a later instance, or an empty string
+ */
+export function getIdScope(id = '') {
+  return idScopes.filter((scope) => id === scope || id.startsWith(`${scope}-`))
+    .reduce((longest, scope) => (scope.length > longest.length ? scope : longest), '');
+}
+
+/**
+ * Prefixes the ids of the fields of a form definition with a scope, see getIdScope.
+ * @param {Object} panel form definition or panel, with items or :items
+ * @param {string} scope
+ * @returns {Object} a copy of the panel, or the panel without a scope
+ */
+export function scopeFieldIds(panel, scope) {
+  if (!scope || (!Array.isArray(panel?.items) && !panel?.[':items'])) {
+    return panel;
+  }
+  const scopeItem = (item) => ({
+    ...scopeFieldIds(item, scope),
+    ...(item.id && { id: `${scope}-${item.id}` }),
+  });
+  return {
+    ...panel,
+    ...(Array.isArray(panel.items) && { items: panel.items.map(scopeItem) }),
+    ...(panel[':items'] && {
+      ':items': Object.fromEntries(Object.entries(panel[':items'])
+        .map(([key, item]) => [key, scopeItem(item)])),
+    }),
+  };
+}
+
+/**
+ * Prefixes the ids that a form model creates, e.g. for the instances of a repeatable panel that
+ * are added, with a scope, see getIdScope.
+ * @param {Object} form form model
+ * @param {string} scope
+ * @returns {Object} the form model
+ */
+export function scopeModelIds(form, scope) {
+  if (scope && form) {
+    const getUniqueId = form.getUniqueId.bind(form);
+    form.getUniqueId = (id) => {
+      const uniqueId = getUniqueId(id);
+      return uniqueId && !uniqueId.startsWith(`${scope}-`) ? `${scope}-${uniqueId}` : uniqueId;
+    };
+  }
+  return form;
+}
+
 /**
  * Resets the ids for the getId function
  * @returns {void}
  */
 export function resetIds() {
   getId(clear);
+  Object.keys(formInstances).forEach((key) => delete formInstances[key]);
+  idScopes.length = 0;
 }
 
 export function createLabel(fd, tagName = 'label') {
@@ -173,6 +259,10 @@ export function updateOrCreateInvalidMsg(fieldElement, msg) {
   if (msg) {
     container.classList.add('field-invalid');
     element.textContent = msg;
+    emitFormEvent(fieldElement.form || fieldElement.closest('form'), 'invalid', {
+      name: fieldElement.name || container.dataset.id,
+      message: msg,
+    });
   } else if (container.dataset.description) {
     container.classList.remove('field-invalid');
     element.innerHTML = container.dataset.description;
@@ -325,13 +415,13 @@ export function createRadioOrCheckboxUsingEnum(fd, wrapper) {
   }
   const type = fd.fieldType.split('-')[0];
   const isSameLength = fd.enum?.length === fd.enumNames?.length;
-  fd.enum.forEach((value, index) => {
+  (fd.enum || []).forEach((value, index) => {
     let labelValues = fd?.enumNames;
     if (!isSameLength) {
       labelValues = fd?.enum;
     }
     const label = (typeof labelValues?.[index] === 'object' && labelValues?.[index] !== null) ? labelValues[index].value : labelValues?.[index] || value;
-    const id = getId(fd.name);
+    const id = getId(fd.name, getIdScope(fd.id));
     const field = createRadioOrCheckbox({
       name: fd.name,
       id,
@@ -340,7 +430,7 @@ export function createRadioOrCheckboxUsingEnum(fd, wrapper) {
       enum: [value],
       required: fd.required,
     });
-    const { variant, 'afs:layout': layout } = fd.properties;
+    const { variant, 'afs:layout': layout } = fd.properties || {};
     if (variant === 'cards') {
       wrapper.classList.add(variant);
     } else {
@@ -368,6 +458,26 @@ export function createRadioOrCheckboxUsingEnum(fd, wrapper) {
   });
 }
 
+// hosts of the sheets of a site
+const SHEET_HOSTS = ['.hlx.page', '.hlx.live', '.aem.page', '.aem.live'];
+
+/**
+ * Whether the value is the URL of a sheet of the site, which the Options of a drop-down can be,
+ * e.g. https://main--site--org.aem.page/options.json?sheet=countries.
+ * @param {string} value
+ */
+export function isSheetUrl(value) {
+  if (typeof value !== 'string' || !value.startsWith('https://')) {
+    return false;
+  }
+  try {
+    const { hostname } = new URL(value);
+    return SHEET_HOSTS.some((host) => hostname.endsWith(host));
+  } catch (e) {
+    return false;
+  }
+}
+
 export function createDropdownUsingEnum(fd, wrapper) {
   wrapper.innerHTML = '';
   wrapper.required = fd.required;
@@ -384,7 +494,18 @@ export function createDropdownUsingEnum(fd, wrapper) {
   }
   let optionSelected = false;
 
-  const addOption = (label, value) => {
+  // options with a group, see properties.optionGroups, are added to its optgroup
+  const getGroup = (label) => {
+    let group = [...wrapper.children].find((el) => el.tagName === 'OPTGROUP' && el.label === label);
+    if (!group) {
+      group = document.createElement('optgroup');
+      group.label = label;
+      wrapper.append(group);
+    }
+    return group;
+  };
+
+  const addOption = (label, value, group) => {
     const option = document.createElement('option');
     option.textContent = label instanceof Object ? label?.value?.trim() : label?.trim();
     option.value = String(value)?.trim() || String(label)?.trim();
@@ -392,35 +513,23 @@ export function createDropdownUsingEnum(fd, wrapper) {
       option.setAttribute('selected', '');
       optionSelected = true;
     }
-    wrapper.append(option);
+    (group ? getGroup(group) : wrapper).append(option);
     return option;
   };
 
   const options = fd?.enum || [];
   const optionNames = fd?.enumNames ?? options;
+  const optionGroups = fd?.properties?.optionGroups || [];
 
-  if (options.length === 1
-    && options?.[0]?.startsWith('https://')) {
-    const optionsUrl = new URL(options?.[0]);
-    // using async to avoid rendering
-    if (optionsUrl.hostname.endsWith('hlx.page')
-      || optionsUrl.hostname.endsWith('hlx.live')
-      || optionsUrl.hostname.endsWith('aem.live')
-      || optionsUrl.hostname.endsWith('aem.page')) {
-      fetch(`${optionsUrl.pathname}${optionsUrl.search}`)
-        .then(async (response) => {
-          const json = await response.json();
-          const values = [];
-          json.data.forEach((opt) => {
-            addOption(opt.Option, opt.Value);
-            values.push(opt.Value || opt.Option);
-          });
-        });
+  // the options of a sheet are loaded by the rule engine, see options.js
+  if (options.length !== 1 || !isSheetUrl(options[0])) {
+    if (options.length !== optionNames.length) {
+      options.forEach((value, index) => addOption(value, value, optionGroups[index]));
+    } else {
+      options.forEach((value, index) => {
+        addOption(optionNames?.[index] ?? value, value, optionGroups[index]);
+      });
     }
-  } else if (options?.length !== optionNames.length) {
-    options.forEach((value) => addOption(value, value));
-  } else {
-    options.forEach((value, index) => addOption(optionNames?.[index] ?? value, value));
   }
 
   if (ph && optionSelected === false) {
@@ -440,3 +549,21 @@ export async function fetchData(id, search = '') {
     return null;
   }
 }
+
+/**
+ * Returns the value if it can be posted to or from a worker, or a copy of its JSON otherwise,
+ * e.g. for errors with a response or the window returned by a function.
+ * @param {any} value
+ */
+export function toCloneable(value) {
+  try {
+    structuredClone(value);
+    return value;
+  } catch (e) {
+    try {
+      return JSON.parse(JSON.stringify(value) ?? 'null');
+    } catch (err) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,161 @@
+import { ERROR_SUMMARY_TITLE } from './constant.js';
+import { getId } from './util.js';
+
+const observers = new WeakMap();
+
+function getFocusTarget(container) {
+  return container.matches('input,select,textarea')
+    ? container : container.querySelector('input:not([type="hidden"]),select,textarea');
+}
+
+/**
+ * Returns the fields of the form that are marked as invalid, in the order of the form.
+ * @param {HTMLFormElement} form
+ * @returns {Array<{id: string, label: string, message: string}>}
+ */
+function getErrors(form) {
+  return [...form.querySelectorAll('.field-invalid')]
+    .filter((container) => !container.closest('[data-visible="false"]'))
+    .map((container) => {
+      const target = getFocusTarget(container);
+      const label = container.querySelector(':scope > label, :scope > legend')?.textContent
+        || target?.name || '';
+      const message = container.querySelector(':scope > .field-description')?.textContent || '';
+      return { id: target?.id, label: label.trim(), message: message.trim() };
+    })
+    .filter(({ id, message }) => id && message);
+}
+
+// the components that can hide a field, loaded only for the fields that are in one of them
+const containers = {
+  accordion: {
+    load: () => import('./components/accordion/accordion.js'),
+    reveal: (accordion, panel, tab) => accordion.handleAccordionNavigation(panel, tab, true),
+  },
+  wizard: {
+    load: () => import('./components/wizard/wizard.js'),
+    reveal: (wizard, panel, step) => wizard.goToStep(panel, step),
+  },
+};
+
+/**
+ * Expands the accordion tabs and switches to the wizard steps that contain the field.
+ * @param {HTMLElement} field
+ * @returns {Promise<void>} resolves once the field is shown
+ */
+export async function revealField(field) {
+  const form = field.closest('form');
+  const panels = [];
+  for (let node = field; node && node !== form; node = node.parentElement) {
+    const panel = node.parentElement;
+    const type = Object.keys(containers).find((name) => panel?.classList.contains(name));
+    if (node.tagName === 'FIELDSET' && type) {
+      panels.push({ type, panel, node });
+    }
+  }
+  const modules = await Promise.all(panels.map(({ type }) => containers[type].load()));
+  panels.forEach(({ type, panel, node }, index) => {
+    containers[type].reveal(modules[index], panel, node);
+  });
+}
+
+function createErrorLink(form, { id, label, message }) {
+  const li = document.createElement('li');
+  const link = document.createElement('a');
+  link.href = `#${id}`;
+  link.textContent = label ? `${label}: ${message}` : message;
+  link.addEventListener('click', (event) => {
+    event.preventDefault();
+    const field = form.querySelector(`#${id}`);
+    if (field) {
+      revealField(field).then(() => {
+        field.focus();
+        field.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+      });
+    }
+  });
+  li.append(link);
+  return li;
+}
+
+function render(form, summary, errors) {
+  const signature = JSON.stringify(errors);
+  if (summary.dataset.errors === signature) {
+    return;
+  }
+  summary.dataset.errors = signature;
+  summary.querySelector('ul').replaceChildren(...errors.map((error) => createErrorLink(form, error)));
+}
+
+function hideErrorSummary(form) {
+  observers.get(form)?.disconnect();
+  observers.delete(form);
+  form.querySelector(':scope > .form-message.error-summary')?.remove();
+}
+
+function updateErrorSummary(form) {
+  const summary = form.querySelector(':scope > .form-message.error-summary');
+  const errors = getErrors(form);
+  if (!summary || !errors.length) {
+    hideErrorSummary(form);
+  } else {
+    render(form, summary, errors);
+  }
+}
+
+/**
+ * Shows a summary of the invalid fields at the top of the form, with a link to each field.
+ * The summary is updated while the fields are corrected and removed once all are valid.
+ * @param {HTMLFormElement} form
+ * @param {{focus?: boolean}} options focus moves the focus to the summary
+ * @returns {HTMLElement|null} the summary, or null if there are no invalid fields
+ */
+export function showErrorSummary(form, { focus = false } = {}) {
+  const errors = getErrors(form);
+  if (!errors.length) {
+    hideErrorSummary(form);
+    return null;
+  }
+  let summary = form.querySelector(':scope > .form-message.error-summary');
+  if (!summary) {
+    summary = document.createElement('div');
+    summary.className = 'form-message error-summary';
+    summary.setAttribute('role', 'region');
+    summary.tabIndex = -1;
+    const title = document.createElement('p');
+    title.id = getId('error-summary');
+    summary.setAttribute('aria-labelledby', title.id);
+    title.textContent = ERROR_SUMMARY_TITLE;
+    const list = document.createElement('ul');
+    list.setAttribute('aria-live', 'polite');
+    summary.append(title, list);
+  }
+  render(form, summary, errors);
+  form.prepend(summary);
+  if (!observers.has(form)) {
+    const observer = new window.MutationObserver(() => updateErrorSummary(form));
+    observer.observe(form, {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['class', 'data-visible'],
+    });
+    observers.set(form, observer);
+  }
+  if (focus) {
+    summary.focus();
+    summary.scrollIntoView?.({ behavior: 'smooth' });
+  }
+  return summary;
+}
+
+/**
+ * Shows the error summary when a step of a wizard in the form is invalid.
+ * @param {HTMLFormElement} form
+ */
+export function enableErrorSummary(form) {
+  form.addEventListener('wizard:invalid', () => {
+    showErrorSummary(form, { focus: true });
+  });
+}
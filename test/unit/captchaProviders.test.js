@@ -0,0 +1,143 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import sinon from 'sinon';
+import { createCaptcha, getCaptcha } from '../../blocks/form/integrations/index.js';
+import GoogleReCaptcha from '../../blocks/form/integrations/recaptcha.js';
+import Turnstile from '../../blocks/form/integrations/turnstile.js';
+import HCaptcha from '../../blocks/form/integrations/hcaptcha.js';
+import registerCustomFunctions from '../../blocks/form/rules/functionRegistration.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import AFToDocBasedForm from '../../blocks/form/reverse-transform.js';
+
+const siteKey = 'test-site-key';
+
+const captchaField = (provider, config = {}) => ({
+  id: `captcha-${provider}`,
+  name: 'captcha',
+  fieldType: 'captcha',
+  properties: { 'fd:captcha': { provider, config: { siteKey, ...config } } },
+});
+
+// the widgets of Turnstile and hCaptcha have the same API
+function stubProvider() {
+  const widgets = [];
+  return {
+    widgets,
+    render: sinon.spy((element, options) => {
+      widgets.push({ element, options });
+      return `widget-${widgets.length}`;
+    }),
+    // the challenge is solved without interaction
+    execute: sinon.spy(() => widgets[0].options.callback('token123')),
+    reset: sinon.spy(),
+  };
+}
+
+describe('Captcha providers', () => {
+  let form;
+
+  beforeEach(() => {
+    window.turnstile = stubProvider();
+    window.hcaptcha = stubProvider();
+    global.IntersectionObserver = sinon.stub().returns({
+      observe: sinon.spy(),
+      disconnect: sinon.spy(),
+    });
+    document.head.querySelectorAll('script').forEach((script) => script.remove());
+    document.body.innerHTML = `<form>
+      <div class="field-wrapper captcha-wrapper" data-id="captcha-turnstile">CAPTCHA</div>
+      <div class="field-wrapper captcha-wrapper" data-id="captcha-hcaptcha">CAPTCHA</div>
+      <button type="submit"></button>
+    </form>`;
+    form = document.querySelector('form');
+  });
+
+  afterEach(() => {
+    delete window.turnstile;
+    delete window.hcaptcha;
+  });
+
+  it('should create the provider of the fd:captcha config', () => {
+    assert.ok(createCaptcha(captchaField('turnstile'), 'site') instanceof Turnstile);
+    assert.ok(createCaptcha(captchaField('hcaptcha'), 'site') instanceof HCaptcha);
+    const recaptcha = createCaptcha({ id: 'captcha', name: 'captcha', value: siteKey }, 'site');
+    assert.ok(recaptcha instanceof GoogleReCaptcha);
+    assert.deepEqual(recaptcha.config, { siteKey, uri: undefined, version: undefined });
+    assert.equal(getCaptcha('captcha'), recaptcha);
+    assert.equal(createCaptcha(captchaField('turnstile', { widgetType: 'invisible' })).invisible, true);
+  });
+
+  it('should render an interactive Turnstile widget when the captcha is shown', async () => {
+    const captcha = createCaptcha(captchaField('turnstile'), 'site');
+    captcha.loadCaptcha(form);
+    const wrapper = form.querySelector('[data-id="captcha-turnstile"]');
+    const observer = global.IntersectionObserver.getCall(0);
+    assert.equal(observer.returnValue.observe.getCall(0).args[0], wrapper, 'observes the captcha');
+    observer.args[0]([{ isIntersecting: true }]);
+    await captcha.render();
+
+    assert.equal(document.head.querySelector('script').src, 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit');
+    const [{ element, options }] = window.turnstile.widgets;
+    assert.equal(element.parentElement, wrapper);
+    assert.ok(wrapper.classList.contains('captcha-visible'));
+    assert.equal(wrapper.textContent, '');
+    assert.equal(options.sitekey, siteKey);
+    assert.equal(options.execution, 'render');
+
+    // the visitor solves the challenge after submitting
+    const token = captcha.getToken();
+    options.callback('token123');
+    assert.equal(await token, 'token123');
+    assert.equal(window.turnstile.execute.callCount, 0);
+    assert.deepEqual(window.turnstile.reset.getCall(0).args, ['widget-1'], 'a token is used once');
+  });
+
+  it('should run the challenge of an invisible captcha on submit', async () => {
+    const captcha = createCaptcha(captchaField('hcaptcha', { size: 'invisible' }), 'site');
+    captcha.loadCaptcha(form);
+    const observer = global.IntersectionObserver.getCall(0);
+    assert.equal(observer.returnValue.observe.getCall(0).args[0], form.querySelector('button'), 'observes the submit button');
+
+    assert.equal(await captcha.getToken(), 'token123');
+    assert.equal(document.head.querySelector('script').src, 'https://js.hcaptcha.com/1/api.js?render=explicit');
+    assert.equal(window.hcaptcha.render.callCount, 1);
+    assert.equal(window.hcaptcha.widgets[0].options.size, 'invisible');
+    assert.deepEqual(window.hcaptcha.execute.getCall(0).args, ['widget-1']);
+  });
+
+  it('should reject the token if the challenge fails', async () => {
+    const captcha = createCaptcha(captchaField('turnstile'), 'site');
+    captcha.loadCaptcha(form);
+    await captcha.render(captcha.container);
+    const token = captcha.getToken();
+    await Promise.resolve();
+    window.turnstile.widgets[0].options['error-callback']('110200');
+    await assert.rejects(token, /Turnstile error 110200/);
+  });
+
+  it('should fetch the token of the rules from the provider of the captcha', async () => {
+    const captcha = createCaptcha(captchaField('hcaptcha', { size: 'invisible' }), 'site');
+    captcha.loadCaptcha(form);
+    const { fetchCaptchaToken } = await registerCustomFunctions();
+    const globals = (id) => ({ form: { $captcha: { $id: id, $name: 'captcha' } } });
+    assert.equal(await fetchCaptchaToken(globals('captcha-hcaptcha')), 'token123');
+    await assert.rejects(fetchCaptchaToken(globals('missing')), /Captcha captcha is not loaded/);
+  });
+
+  it('should keep the provider of the captcha of document based forms', () => {
+    const formDef = new DocBasedFormToAF().transform({
+      total: 1,
+      offset: 0,
+      limit: 1,
+      ':type': 'sheet',
+      data: [{ Type: 'turnstile', Name: 'captcha', Value: siteKey }],
+    });
+    const [field] = formDef.items;
+    assert.equal(field.fieldType, 'captcha');
+    assert.ok(createCaptcha(field, 'site') instanceof Turnstile);
+    const { data } = new AFToDocBasedForm().transform(formDef);
+    assert.equal(data[0].Type, 'turnstile');
+    const af = new AFToDocBasedForm().transform({ items: [captchaField('hcaptcha')] });
+    assert.equal(af.data[0].Type, 'hcaptcha');
+  });
+});
@@ -0,0 +1,214 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const docForm = {
+  total: 1,
+  offset: 0,
+  limit: 1,
+  ':type': 'sheet',
+  data: [{
+    Type: 'combobox',
+    Name: 'country',
+    Label: 'Country',
+    Placeholder: 'Select a country',
+    Options: 'fr,de,ca,us',
+    OptionNames: 'France,Germany,Canada,United States',
+    'Option Groups': 'Europe,Europe,America,America',
+  }],
+};
+
+const afForm = {
+  id: 'combobox-af',
+  items: [{
+    fieldType: 'drop-down',
+    id: 'languages',
+    name: 'languages',
+    type: 'string[]',
+    ':type': 'combobox',
+    label: { value: 'Languages' },
+    enum: ['en', 'fr', 'de'],
+    enumNames: ['English', 'French', 'German'],
+  }],
+};
+
+function key(input, name, options = {}) {
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, bubbles: true, ...options }));
+}
+
+function type(input, text) {
+  input.focus();
+  input.value = text;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+const labels = (listbox) => [...listbox.querySelectorAll('[role="option"]')]
+  .map((option) => option.textContent);
+
+describe('Combobox component', () => {
+  let hlx;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    hlx = window.hlx;
+    window.hlx = { codeBasePath: '../..' };
+  });
+
+  afterEach(() => {
+    window.hlx = hlx;
+    global.fetch.mockData = {};
+  });
+
+  async function render(block) {
+    document.body.append(block);
+    await decorate(block);
+    return block.querySelector('form');
+  }
+
+  it('should filter the grouped options and select one with the keyboard', async () => {
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/combobox.json'));
+    const select = form.querySelector('select[name="country"]');
+    const input = form.querySelector('[role="combobox"]');
+    const listbox = form.querySelector('[role="listbox"]');
+    assert.equal(input.getAttribute('aria-controls'), listbox.id);
+    assert.equal(input.getAttribute('aria-labelledby'), form.querySelector('label').id);
+    assert.equal(input.placeholder, 'Select a country');
+    assert.deepEqual([...select.querySelectorAll('optgroup')].map((group) => group.label), ['Europe', 'America']);
+
+    key(input, 'ArrowDown');
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.deepEqual([...listbox.querySelectorAll('[role="group"]')]
+      .map((group) => group.firstChild.textContent), ['Europe', 'America']);
+    assert.equal(input.getAttribute('aria-activedescendant'), listbox.querySelector('[role="option"]').id);
+
+    type(input, 'ger');
+    assert.deepEqual(labels(listbox), ['Germany']);
+    type(input, 'a');
+    assert.deepEqual(labels(listbox), ['France', 'Germany', 'Canada', 'United States']);
+    key(input, 'ArrowUp');
+    key(input, 'ArrowUp');
+    key(input, 'Enter');
+    assert.equal(select.value, 'ca');
+    assert.equal(input.value, 'Canada');
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+
+    key(input, 'ArrowDown');
+    key(input, 'Escape');
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+  });
+
+  it('should show the selected options of multiple selections as chips', async () => {
+    const form = await render(createBlock(afForm));
+    const controller = await getFormController(form).ready;
+    const input = form.querySelector('[role="combobox"]');
+    const listbox = form.querySelector('[role="listbox"]');
+    assert.equal(listbox.getAttribute('aria-multiselectable'), 'true');
+
+    input.click();
+    listbox.querySelectorAll('[role="option"]')[0].click();
+    type(input, 'germ');
+    listbox.querySelector('[role="option"]').click();
+    await wait(50);
+    assert.deepEqual(controller.getField('languages').value, ['en', 'de']);
+    assert.deepEqual([...form.querySelectorAll('.combobox-chip-label')].map((chip) => chip.textContent), ['English', 'German']);
+    assert.equal(input.value, '');
+
+    key(input, 'Backspace');
+    await wait(50);
+    assert.deepEqual(controller.getField('languages').value, ['en']);
+
+    form.querySelector('.combobox-chip-remove').click();
+    await wait(50);
+    assert.deepEqual(controller.getField('languages').value ?? [], []);
+    assert.equal(form.querySelectorAll('.combobox-chip').length, 0);
+  });
+
+  it('should stay in sync with the enum and the value set by the rules', async () => {
+    const form = await render(createBlock({
+      ...afForm,
+      items: [{ ...afForm.items[0], type: 'string' }],
+    }));
+    const controller = await getFormController(form).ready;
+    const field = controller.getField('languages');
+    const input = form.querySelector('[role="combobox"]');
+    const listbox = form.querySelector('[role="listbox"]');
+
+    field.enum = ['es', 'it'];
+    field.enumNames = ['Spanish', 'Italian'];
+    await wait(50);
+    input.click();
+    assert.deepEqual(labels(listbox), ['Spanish', 'Italian']);
+
+    input.blur();
+    field.value = 'it';
+    await wait(50);
+    assert.equal(input.value, 'Italian');
+  });
+
+  it('should search the options with the search URL', async () => {
+    global.fetch.mockData['http://localhost:3000/branches.json?q=par'] = {
+      data: [
+        { Option: 'Paris Opera', Value: 'b1', Group: 'France' },
+        { Option: 'Parma', Value: 'b2', Group: 'Italy' },
+      ],
+    };
+    const form = await render(createBlock({
+      id: 'branches-af',
+      items: [{
+        fieldType: 'drop-down',
+        id: 'branch',
+        name: 'branch',
+        type: 'string',
+        ':type': 'combobox',
+        enum: [],
+        properties: { searchUrl: '/branches.json' },
+      }],
+    }));
+    const controller = await getFormController(form).ready;
+    const input = form.querySelector('[role="combobox"]');
+    const listbox = form.querySelector('[role="listbox"]');
+
+    type(input, 'p');
+    type(input, 'par');
+    assert.equal(listbox.getAttribute('aria-busy'), 'true');
+    await wait(400);
+    assert.equal(listbox.hasAttribute('aria-busy'), false);
+    assert.deepEqual(labels(listbox), ['Paris Opera', 'Parma']);
+    assert.equal(form.querySelector('.combobox-status').textContent, '2 options available');
+
+    listbox.querySelectorAll('[role="option"]')[1].click();
+    await wait(50);
+    assert.equal(controller.getField('branch').value, 'b2');
+    assert.equal(input.value, 'Parma');
+  });
+
+  it('should show an error when the search response is not ok', async () => {
+    nock('http://localhost:3000').get('/branches.json').query({ q: 'par' }).reply(500, { data: [] });
+    const form = await render(createBlock({
+      id: 'branches-error-af',
+      items: [{
+        fieldType: 'drop-down',
+        id: 'branch',
+        name: 'branch',
+        type: 'string',
+        ':type': 'combobox',
+        enum: [],
+        properties: { searchUrl: '/branches.json' },
+      }],
+    }));
+    const input = form.querySelector('[role="combobox"]');
+    const listbox = form.querySelector('[role="listbox"]');
+
+    type(input, 'par');
+    await wait(400);
+    assert.equal(listbox.hasAttribute('aria-busy'), false);
+    assert.deepEqual(labels(listbox), []);
+    assert.equal(form.querySelector('.combobox-status').textContent, 'The options could not be loaded');
+  });
+});
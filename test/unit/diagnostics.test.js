@@ -0,0 +1,149 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import decorate, { getDiagnostics } from '../../blocks/form/form.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import { addDiagnostics, isAuthorHost } from '../../blocks/form/diagnostics.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlockWithUrl, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const sheet = (data) => ({
+  total: data.length, offset: 0, limit: data.length, ':type': 'sheet', data,
+});
+
+const pick = (errors, ...keys) => errors
+  .map((error) => Object.fromEntries(keys.map((key) => [key, error[key]])));
+
+describe('Document based form diagnostics', () => {
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    global.fetch.mockData = {};
+  });
+
+  it('should report problems of the rows of the spreadsheet', () => {
+    const transform = new DocBasedFormToAF();
+    transform.transform(sheet([
+      { Type: 'text', Name: 'name' },
+      { Type: 'txet', Name: 'city' },
+      { Type: 'text', Name: 'name' },
+      { Type: 'radio', Name: 'size', Value: 'small' },
+      { Type: 'radio', Name: 'size', Value: 'large' },
+      { Type: 'text', Name: 'street', Fieldset: 'address' },
+      { Type: 'text', Name: 'item', Fieldset: 'items' },
+      { Type: 'fieldset', Name: 'items' },
+      {
+        Type: 'select', Name: 'color', Options: 'red,green', OptionNames: 'Red',
+      },
+    ]));
+    assert.deepEqual(pick(transform.errors, 'code', 'row', 'column', 'severity'), [
+      {
+        code: 'unknown-type', row: 3, column: 'Type', severity: 'warning',
+      },
+      {
+        code: 'duplicate-name', row: 4, column: 'Name', severity: 'error',
+      },
+      {
+        code: 'missing-fieldset', row: 7, column: 'Fieldset', severity: 'error',
+      },
+      {
+        code: 'missing-fieldset', row: 8, column: 'Fieldset', severity: 'error',
+      },
+      {
+        code: 'options-mismatch', row: 10, column: 'OptionNames', severity: 'warning',
+      },
+    ]);
+    assert.match(transform.errors[1].message, /already used in row 2/);
+    assert.match(transform.errors[2].message, /"address" does not exist/);
+    assert.match(transform.errors[3].message, /"items" must be defined before its fields/);
+  });
+
+  it('should report the sheet of the problems of a multi-sheet form', () => {
+    const transform = new DocBasedFormToAF();
+    const formDef = transform.transform({
+      ':names': ['personal', 'contact'],
+      ':type': 'multi-sheet',
+      personal: sheet([{ Type: 'text', Name: 'name' }]),
+      contact: sheet([
+        { Type: 'text', Name: 'name' },
+        { Type: 'select', Name: 'country', Options: 'helper!countries' },
+        { Type: 'text', Name: 'copy', 'Value Expression': '=personal!F2 & F3' },
+      ]),
+    });
+    assert.deepEqual(pick(transform.errors, 'code', 'sheet', 'row'), [
+      { code: 'duplicate-name', sheet: 'contact', row: 2 },
+      { code: 'unknown-options', sheet: 'contact', row: 3 },
+    ]);
+    assert.match(transform.errors[0].message, /already used in row 2 of sheet "personal"/);
+    assert.deepEqual(formDef.properties.rules.rules, [['copy', [{
+      prop: 'value', expression: '=personal!F2 & F3', row: 4, column: 'Value Expression', sheet: 'contact',
+    }]]]);
+    assert.deepEqual(Object.keys(formDef.properties.rules.fieldIdMap), ['personal!2', 'contact!2', 'contact!3', 'contact!4']);
+  });
+
+  it('should report formulas that can not be parsed and keep the other rules', async () => {
+    const block = createBlockWithUrl(sheet([
+      { Type: 'number', Name: 'price' },
+      { Type: 'number', Name: 'tax', 'Value Expression': '=F2*' },
+      { Type: 'number', Name: 'total', 'Value Expression': '=F2*2' },
+      { Type: 'text', Name: 'note', 'Visible Expression': '=F9>1' },
+    ]), 'http://localhost:3000/diagnostics-rules.json');
+    await decorate(block);
+    await wait(10);
+    const form = block.querySelector('form');
+
+    const diagnostics = getDiagnostics(form);
+    assert.deepEqual(pick(diagnostics, 'code', 'row', 'column', 'position'), [
+      {
+        code: 'formula-parse', row: 3, column: 'Value Expression', position: 5,
+      },
+      {
+        code: 'unknown-cell', row: 5, column: 'Visible Expression', position: undefined,
+      },
+    ]);
+    assert.match(diagnostics[1].message, /F9/);
+
+    setValue(form, '#price', '3');
+    await wait(10);
+    assert.equal(form.querySelector('#total').value, '6');
+  });
+
+  it('should show the diagnostics in a dismissible overlay above the form', () => {
+    const container = document.createElement('div');
+    const form = document.createElement('form');
+    container.append(form);
+    document.body.append(container);
+    addDiagnostics(form, [{
+      code: 'unknown-type', severity: 'warning', message: 'Unknown type "txet"', row: 3, column: 'Type',
+    }], { overlay: true });
+    addDiagnostics(form, [{
+      code: 'formula-parse', severity: 'error', message: 'Unable to parse =F2*', row: 4, column: 'Value Expression',
+    }], { overlay: true });
+
+    const overlay = form.previousElementSibling;
+    assert.ok(overlay.classList.contains('form-diagnostics'), 'overlay not shown above the form');
+    assert.deepEqual([...overlay.querySelectorAll('li')].map((li) => li.textContent), [
+      'Row 3, Type: Unknown type "txet"',
+      'Row 4, Value Expression: Unable to parse =F2*',
+    ]);
+    assert.equal(overlay.querySelector('li.error').textContent.startsWith('Row 4'), true);
+
+    overlay.querySelector('.form-diagnostics-close').click();
+    assert.equal(container.querySelector('.form-diagnostics'), null, 'overlay not dismissed');
+    addDiagnostics(form, [{ code: 'unknown-cell', severity: 'error', message: 'F9' }], { overlay: true });
+    assert.equal(container.querySelector('.form-diagnostics'), null, 'dismissed overlay shown again');
+    assert.equal(getDiagnostics(form).length, 3);
+  });
+
+  it('should show the overlay on preview and local hosts only', () => {
+    assert.equal(isAuthorHost('main--site--org.aem.page'), true);
+    assert.equal(isAuthorHost('main--site--org.hlx.page'), true);
+    assert.equal(isAuthorHost('localhost'), true);
+    assert.equal(isAuthorHost('main--site--org.aem.live'), false);
+    assert.equal(isAuthorHost('www.example.com'), false);
+  });
+});
@@ -0,0 +1,148 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import decorate from '../../blocks/form/form.js';
+import { getDraftConfig, getDraftKey, loadDraft } from '../../blocks/form/rules/draft.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+class MemoryStorage {
+  items = {};
+
+  getItem(key) {
+    return this.items[key] ?? null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+const formDef = {
+  action: 'http://localhost:3000/submit/draft-form',
+  metadata: { version: '1.0.0' },
+  properties: {
+    'fd:draft': { delay: 0 },
+  },
+  items: [{
+    fieldType: 'text-input',
+    id: 'text-input',
+    name: 'f1',
+  }, {
+    fieldType: 'panel',
+    id: 'panel',
+    name: 'items',
+    repeatable: true,
+    minOccur: 1,
+    maxOccur: -1,
+    type: 'array',
+    items: [{
+      fieldType: 'text-input',
+      id: 'item-name',
+      name: 'itemName',
+    }],
+  }, {
+    fieldType: 'button',
+    id: 'button',
+    events: {
+      click: 'submitForm()',
+    },
+  }],
+};
+
+const draftKey = getDraftKey('draft-form', formDef);
+
+async function render() {
+  const block = createBlock(formDef);
+  await decorate(block);
+  await wait(50);
+  return block.querySelector('form');
+}
+
+describe('Form draft autosave', () => {
+  let storage;
+
+  beforeEach(() => {
+    resetIds();
+    storage = new MemoryStorage();
+    Object.defineProperty(window, 'localStorage', { value: storage, configurable: true });
+  });
+
+  afterEach(() => {
+    delete window.localStorage;
+    nock.cleanAll();
+  });
+
+  it('should be enabled only when configured on the form', () => {
+    assert.equal(getDraftConfig({ properties: {} }), null);
+    assert.equal(getDraftConfig({ properties: { 'fd:draft': { enabled: false } } }), null);
+    assert.equal(getDraftConfig({ properties: { 'fd:draft': true } }).delay, 500);
+  });
+
+  it('should save the form data on change', async () => {
+    const form = await render();
+    setValue(form, 'input[name="f1"]', 'draft value');
+    await wait(50);
+    const draft = loadDraft(draftKey, 1, storage);
+    assert.equal(draft?.data?.f1, 'draft value');
+  });
+
+  it('should not save values set on load before the user interacts', async () => {
+    await render();
+    await wait(50);
+    assert.equal(storage.getItem(draftKey), null);
+  });
+
+  it('should restore the draft including repeatable panel instances', async () => {
+    storage.setItem(draftKey, JSON.stringify({
+      savedAt: Date.now(),
+      data: { f1: 'restored', items: [{ itemName: 'first' }, { itemName: 'second' }] },
+    }));
+    const form = await render();
+    const prompt = form.querySelector('.draft-message');
+    assert.ok(prompt, 'restore prompt not shown');
+    prompt.querySelector('.draft-restore').click();
+    await wait(100);
+    assert.equal(form.querySelector('input[name="f1"]').value, 'restored');
+    const instances = form.querySelectorAll('input[name="itemName"]');
+    assert.equal(instances.length, 2, 'repeatable panel instances not restored');
+    assert.equal(instances[1].value, 'second');
+    assert.equal(form.querySelector('.draft-message'), null);
+  });
+
+  it('should discard the draft on request', async () => {
+    storage.setItem(draftKey, JSON.stringify({ savedAt: Date.now(), data: { f1: 'old' } }));
+    const form = await render();
+    form.querySelector('.draft-message .draft-discard').click();
+    assert.equal(storage.getItem(draftKey), null);
+    assert.equal(form.querySelector('input[name="f1"]').value, '');
+  });
+
+  it('should not offer expired drafts', async () => {
+    const savedAt = Date.now() - 8 * 24 * 60 * 60 * 1000;
+    storage.setItem(draftKey, JSON.stringify({ savedAt, data: { f1: 'expired' } }));
+    const form = await render();
+    assert.equal(form.querySelector('.draft-message'), null);
+    assert.equal(storage.getItem(draftKey), null, 'expired draft not removed');
+  });
+
+  it('should clear the draft after successful submission', async () => {
+    const scope = nock('http://localhost:3000')
+      .post('/submit/draft-form')
+      .reply(200, {});
+    const form = await render();
+    setValue(form, 'input[name="f1"]', 'submitted');
+    await wait(50);
+    assert.ok(storage.getItem(draftKey), 'draft not saved');
+    form.querySelector('#button').click();
+    await wait(200);
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.equal(storage.getItem(draftKey), null, 'draft not cleared');
+  });
+});
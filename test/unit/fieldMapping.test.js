@@ -0,0 +1,109 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import decorate from '../../blocks/form/form.js';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlockWithUrl, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const sheet = (data) => ({
+  total: data.length, offset: 0, limit: data.length, ':type': 'sheet', data,
+});
+
+const pick = (items, ...keys) => items
+  .map((item) => Object.fromEntries(keys.map((key) => [key, item[key]])));
+
+describe('Field types of document based forms', () => {
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+  });
+
+  it('should map the types of the spreadsheet to the fields and components of AF forms', () => {
+    const transform = new DocBasedFormToAF();
+    const { items } = transform.transform(sheet([
+      { Type: 'email', Name: 'email' },
+      { Type: 'tel', Name: 'phone' },
+      { Type: 'date', Name: 'birthday' },
+      { Type: 'password', Name: 'secret' },
+      { Type: 'hidden', Name: 'source' },
+      { Type: 'rating', Name: 'stars', Max: '5' },
+      { Type: 'range', Name: 'budget', Step: '10' },
+      { Type: 'captcha', Name: 'captcha', Value: 'site-key' },
+      { Type: 'heading', Name: 'title', Label: 'Title' },
+      { Type: 'image', Name: 'logo', Value: '/logo.png' },
+      { Type: 'modal', Name: 'help' },
+      { Type: 'tnc', Name: 'terms' },
+    ]));
+    assert.deepEqual(pick(items, 'name', 'fieldType', ':type'), [
+      { name: 'email', fieldType: 'email', ':type': 'email' },
+      { name: 'phone', fieldType: 'tel', ':type': 'tel' },
+      { name: 'birthday', fieldType: 'date-input', ':type': 'date' },
+      { name: 'secret', fieldType: 'text-input', ':type': 'password' },
+      { name: 'source', fieldType: 'hidden', ':type': 'hidden' },
+      { name: 'stars', fieldType: 'number-input', ':type': 'rating' },
+      { name: 'budget', fieldType: 'range', ':type': 'range' },
+      { name: 'captcha', fieldType: 'captcha', ':type': 'captcha' },
+      { name: 'title', fieldType: 'heading', ':type': 'heading' },
+      { name: 'logo', fieldType: 'image', ':type': 'image' },
+      { name: 'help', fieldType: 'panel', ':type': 'modal' },
+      { name: 'terms', fieldType: 'panel', ':type': 'tnc' },
+    ]);
+    assert.equal(items[5].maximum, '5');
+    assert.equal(items[6].properties.stepValue, '10');
+    assert.equal(items[10].visible, false, 'modal is shown by its rules');
+    assert.deepEqual(transform.errors, []);
+  });
+
+  it('should read the type specific properties from extra columns', () => {
+    const transform = new DocBasedFormToAF();
+    const { items } = transform.transform(sheet([
+      { Type: 'toggle', Name: 'news', Alignment: 'right' },
+      {
+        Type: 'radio-group', Name: 'size', Options: 's,m', Variant: 'cards', Orientation: 'horizontal',
+      },
+      { Type: 'date', Name: 'start', 'Display Format': 'dd/MM/yyyy' },
+      { Type: 'number', Name: 'amount', 'Display Format': 'num|#,##0.00' },
+      { Type: 'image', Name: 'logo', 'Alt Text': 'Company logo' },
+    ]));
+    assert.equal(items[0].fieldType, 'checkbox');
+    assert.deepEqual(items[0].properties, { variant: 'switch', alignment: 'right' });
+    assert.deepEqual(items[1].properties, { variant: 'cards', 'afs:layout': { orientation: 'horizontal' } });
+    assert.equal(items[2].displayFormat, 'date|dd/MM/yyyy');
+    assert.equal(items[3].displayFormat, 'num|#,##0.00');
+    assert.equal(items[4].altText, 'Company logo');
+  });
+
+  it('should render the images of the spreadsheet with and without a value', async () => {
+    const block = createBlockWithUrl(sheet([
+      { Type: 'image', Name: 'logo', Value: 'https://main--site--org.aem.page/logo.png' },
+      { Type: 'image', Name: 'banner', 'Alt Text': 'Banner' },
+    ]), 'http://localhost:3000/images.json');
+    await decorate(block);
+    const form = block.querySelector('form');
+    assert.ok(form.querySelector('.field-logo img').getAttribute('src').startsWith('/logo.png?'));
+    const banner = form.querySelector('.field-banner img');
+    assert.ok(banner, 'image without a value not rendered');
+    assert.equal(banner.alt, 'Banner');
+  });
+
+  it('should show the value of fields with a display format formatted', async () => {
+    const block = createBlockWithUrl(sheet([
+      {
+        Type: 'date', Name: 'start', 'Display Format': 'dd/MM/yyyy', Value: '2024-03-05',
+      },
+      { Type: 'number', Name: 'amount', 'Display Format': '#,##0.00' },
+      { Type: 'number', Name: 'total', 'Value Expression': '=F3*2' },
+    ]), 'http://localhost:3000/display-format.json');
+    await decorate(block);
+    await wait(10);
+    const form = block.querySelector('form');
+    assert.equal(form.querySelector('#start').value, '05/03/2024');
+    setValue(form, '#amount', '1234.5');
+    await wait(10);
+    assert.equal(form.querySelector('#amount').value, '1,234.50');
+    assert.equal(form.querySelector('#amount').getAttribute('edit-value'), '1234.5');
+    assert.equal(form.querySelector('#total').value, '2469', 'rules use the value of the field');
+  });
+});
@@ -0,0 +1,84 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { generateFormRendition, registerFieldRenderer } from '../../blocks/form/form.js';
+
+const formDef = {
+  items: [{
+    fieldType: 'text-input',
+    id: 'firstName',
+    name: 'firstName',
+    label: { value: 'First Name' },
+  }, {
+    fieldType: 'drop-down',
+    id: 'country',
+    name: 'country',
+    enum: ['IN', 'US'],
+  }],
+};
+
+async function render(def = formDef) {
+  const form = document.createElement('form');
+  await generateFormRendition(structuredClone(def), form, 'form-id');
+  return form;
+}
+
+describe('Field renderer registry', () => {
+  let unregister = [];
+
+  afterEach(() => {
+    unregister.forEach((fn) => fn());
+    unregister = [];
+  });
+
+  it('should use the registered renderer instead of the built-in one', async () => {
+    unregister.push(registerFieldRenderer('text-input', (fd) => {
+      const div = document.createElement('div');
+      div.className = 'custom-wrapper field-wrapper';
+      div.dataset.id = fd.id;
+      div.append(document.createElement('textarea'));
+      return div;
+    }));
+    const form = await render();
+    const input = form.querySelector('.custom-wrapper textarea');
+    assert.ok(input, 'custom renderer not used');
+    assert.equal(input.id, 'firstName', 'rendered element is not decorated');
+    assert.equal(input.name, 'firstName');
+  });
+
+  it('should pass the default renderer to wrap the built-in rendition', async () => {
+    unregister.push(registerFieldRenderer('drop-down', (fd, defaultRenderer) => {
+      const wrapper = defaultRenderer(fd);
+      wrapper.querySelector('select').dataset.custom = 'true';
+      return wrapper;
+    }));
+    const form = await render();
+    const select = form.querySelector('select');
+    assert.equal(select.dataset.custom, 'true');
+    assert.equal(select.options.length, 2, 'built-in rendition not used');
+  });
+
+  it('should apply renderers in priority order', async () => {
+    const order = [];
+    unregister.push(registerFieldRenderer('text-input', (fd, next) => {
+      order.push('high');
+      return next(fd);
+    }, { priority: 10 }));
+    unregister.push(registerFieldRenderer('text-input', (fd, next) => {
+      order.push('low');
+      return next(fd);
+    }));
+    await render();
+    assert.deepStrictEqual(order, ['high', 'low']);
+  });
+
+  it('should fall back to the built-in renderer once unregistered', async () => {
+    const remove = registerFieldRenderer('text-input', () => document.createElement('div'));
+    remove();
+    const form = await render();
+    assert.equal(form.querySelector('input#firstName')?.type, 'text');
+  });
+
+  it('should reject renderers that are not functions', () => {
+    assert.throws(() => registerFieldRenderer('text-input', null));
+  });
+});
@@ -22,14 +22,13 @@ const scope = nock('https://forms.adobe.com')
       'quote[citizenship]': '',
       'quote[tripCostAmount]': '2',
       'quote[initialTripPaymentDate]': '',
-      name: '',
-      age: '',
     };
     // eslint-disable-next-line no-underscore-dangle
     assert.equal(data.__id__ > 0, true, 'id is not empty');
     Object.entries(expected).forEach(([key, value]) => {
       assert.equal(data[key], value, `${key} do not match`);
     });
+    assert.deepEqual(data.traveler, [{ name: '', age: '' }]);
     return true;
   })
   .reply(200, {
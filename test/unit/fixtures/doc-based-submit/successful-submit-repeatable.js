@@ -12,9 +12,8 @@ const scope = nock('https://forms.adobe.com')
     const contentType = this.headers['content-type'];
     assert.equal(contentType, 'application/json', 'content type not set to application/json');
     const { data } = body;
-    assert.equal(Object.keys(data).length, 5, 'more data received than expected');
-    assert.equal(data.f1, '10,20');
-    assert.equal(data.f2, '102,202');
+    assert.equal(Object.keys(data).length, 4, 'more data received than expected');
+    assert.deepEqual(data.panel1, [{ f2: '102', f1: '10' }, { f2: '202', f1: '20' }]);
     assert.equal(data.f3, 'checkbox');
     assert.equal(data.f4, 'radio-on');
     // eslint-disable-next-line no-underscore-dangle
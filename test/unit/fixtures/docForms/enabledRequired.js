@@ -0,0 +1,44 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  data: [{
+    Name: 'hasCompany',
+    Type: 'select',
+    Label: 'Employed',
+    Options: 'yes,no',
+  }, {
+    Name: 'company',
+    Type: 'text',
+    Label: 'Company',
+    'Enabled Expression': '=F2="yes"',
+    'Required Expression': '=F2="yes"',
+  }],
+  ':type': 'sheet',
+};
+
+export function op(block) {
+  const select = block.querySelector('select');
+  select.value = 'yes';
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export const formPath = 'http://localhost:3000/company.json';
+
+export function expect(block) {
+  const company = block.querySelector('#company');
+  assert.equal(company.disabled, false, 'field was not enabled');
+  assert.equal(company.required, true, 'field was not made required');
+  assert.equal(company.closest('.field-wrapper').dataset.required, 'true');
+
+  const select = block.querySelector('select');
+  select.value = 'no';
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+  assert.equal(company.disabled, true, 'field was not disabled');
+  assert.equal(company.required, false, 'field is still required');
+  assert.equal(company.closest('.field-wrapper').dataset.required, 'false');
+}
+
+export const opDelay = 100;
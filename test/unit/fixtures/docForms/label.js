@@ -0,0 +1,34 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  data: [{
+    Name: 'name',
+    Type: 'text',
+    Label: 'Name',
+  }, {
+    Name: 'greeting',
+    Type: 'text',
+    Label: 'Greeting',
+    'Label Expression': '="Message for " & F2',
+  }],
+  ':type': 'sheet',
+};
+
+export function op(block) {
+  const name = block.querySelector('#name');
+  name.value = '<a href="javascript:alert(1)">Jane</a>';
+  name.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export const formPath = 'http://localhost:3000/greeting.json';
+
+export function expect(block) {
+  const label = block.querySelector('.field-greeting > label');
+  assert.equal(label.textContent, 'Message for <a href="javascript:alert(1)">Jane</a>', 'label was not updated');
+  assert.equal(label.querySelector('a'), null, 'the value was rendered as HTML');
+}
+
+export const opDelay = 100;
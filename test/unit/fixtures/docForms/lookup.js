@@ -0,0 +1,66 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 4,
+  offset: 0,
+  limit: 4,
+  data: [{
+    Name: 'country',
+    Type: 'select',
+    Label: 'Country',
+    Options: 'DE,FR,US',
+  }, {
+    Name: 'countryName',
+    Type: 'text',
+    Label: 'Country name',
+    'Value Expression': '=IFNA(VLOOKUP(F2, "countries", 2, FALSE), "Other")',
+  }, {
+    Name: 'currency',
+    Type: 'text',
+    Label: 'Currency',
+    'Value Expression': '=XLOOKUP(F2, "countries!Code", "countries!Currency", "USD")',
+  }, {
+    Name: 'greeting',
+    Type: 'text',
+    Label: 'Greeting',
+    'Value Expression': '=CONCAT("Hello ", UPPER(LEFT(F3, 3)))',
+  }],
+  ':type': 'sheet',
+};
+
+export const formPath = 'http://localhost:3000/lookup.json';
+
+export function before() {
+  global.fetch.mockData[`${formPath}?sheet=countries`] = {
+    total: 2,
+    offset: 0,
+    limit: 2,
+    columns: ['Code', 'Name', 'Currency'],
+    data: [
+      { Code: 'DE', Name: 'Germany', Currency: 'EUR' },
+      { Code: 'FR', Name: 'France', Currency: 'EUR' },
+    ],
+    ':type': 'sheet',
+  };
+}
+
+function select(block, value) {
+  const country = block.querySelector('#country');
+  country.value = value;
+  country.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export function op(block) {
+  select(block, 'FR');
+}
+
+export function expect(block) {
+  assert.equal(block.querySelector('#countryname').value, 'France', 'VLOOKUP on the countries sheet failed');
+  assert.equal(block.querySelector('#currency').value, 'EUR', 'XLOOKUP on the countries sheet failed');
+  assert.equal(block.querySelector('#greeting').value, 'Hello FRA');
+  select(block, 'US');
+  assert.equal(block.querySelector('#countryname').value, 'Other');
+  assert.equal(block.querySelector('#currency').value, 'USD');
+}
+
+export const opDelay = 100;
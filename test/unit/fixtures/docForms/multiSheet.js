@@ -0,0 +1,70 @@
+import assert from 'assert';
+
+const sheet = (data) => ({
+  total: data.length, offset: 0, limit: data.length, data,
+});
+
+export const sample = {
+  ':names': ['personal', 'contact', 'helper'],
+  ':version': 3,
+  ':type': 'multi-sheet',
+  personal: sheet([{
+    Name: 'firstName',
+    Type: 'text',
+    Label: 'First name',
+  }, {
+    Name: 'country',
+    Type: 'select',
+    Label: 'Country',
+    Options: 'helper!countries',
+  }]),
+  contact: sheet([{
+    Name: 'email',
+    Type: 'email',
+    Label: 'Email',
+  }, {
+    Name: 'greeting',
+    Type: 'text',
+    Label: 'Greeting',
+    'Value Expression': '=CONCAT(personal!F2, " <", F2, ">")',
+  }, {
+    Name: 'vat',
+    Type: 'text',
+    Label: 'VAT number',
+    Visible: 'false',
+    'Visible Expression': '=personal!F3="DE"',
+  }]),
+  helper: sheet([{
+    Name: 'personal', Value: 'Personal details',
+  }, {
+    Name: 'countries', Options: 'DE,FR', OptionNames: 'Germany,France',
+  }]),
+};
+
+export const formPath = 'http://localhost:3000/multi-sheet.json';
+
+function change(block, selector, value) {
+  const field = block.querySelector(selector);
+  field.value = value;
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export function op(block) {
+  change(block, '#firstname', 'Jane');
+  change(block, '#email', 'jane@example.com');
+  change(block, '#country', 'DE');
+}
+
+export function expect(block) {
+  const wizard = block.querySelector('fieldset.wizard');
+  assert.ok(wizard, 'sheets are not rendered as a wizard');
+  const steps = wizard.querySelectorAll(':scope > fieldset');
+  assert.deepEqual([...steps].map((step) => step.querySelector(':scope > legend')?.textContent), ['Personal details', 'contact']);
+  assert.ok(steps[0].querySelector('#firstname'), 'field not in the step of its sheet');
+  assert.ok(steps[1].querySelector('#email'), 'field not in the step of its sheet');
+  assert.deepEqual([...block.querySelectorAll('#country option')].map((option) => option.textContent).filter((text) => text), ['Germany', 'France']);
+  assert.equal(block.querySelector('#greeting').value, 'Jane <jane@example.com>', 'rule referring to another sheet failed');
+  assert.equal(block.querySelector('.field-vat').dataset.visible, 'true');
+}
+
+export const opDelay = 100;
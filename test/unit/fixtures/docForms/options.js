@@ -0,0 +1,43 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  data: [{
+    Name: 'category',
+    Type: 'select',
+    Label: 'Category',
+    Options: 'fruit,vegetable',
+  }, {
+    Name: 'product',
+    Type: 'select',
+    Label: 'Product',
+    Options: 'apple,pear',
+    'Options Expression': '=IF(F2="fruit", "apple,pear", "carrot,leek")',
+  }, {
+    Name: 'size',
+    Type: 'radio-group',
+    Label: 'Size',
+    Options: 'small,large',
+    'Options Expression': '=IF(F2="fruit", "small,large", "bunch,kg")',
+  }],
+  ':type': 'sheet',
+};
+
+export function op(block) {
+  const category = block.querySelector('#category');
+  category.value = 'vegetable';
+  category.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export const formPath = 'http://localhost:3000/products.json';
+
+export function expect(block) {
+  const options = [...block.querySelectorAll('#product option')].map((option) => option.value);
+  assert.deepEqual(options, ['carrot', 'leek'], 'options of the drop-down were not updated');
+  const radios = [...block.querySelectorAll('#size input')].map((input) => input.value);
+  assert.deepEqual(radios, ['bunch', 'kg'], 'options of the radio group were not updated');
+}
+
+export const opDelay = 100;
@@ -0,0 +1,69 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 5,
+  offset: 0,
+  limit: 5,
+  data: [{
+    Name: 'items',
+    Type: 'fieldset',
+    Label: 'Item',
+    Repeatable: 'true',
+  }, {
+    Name: 'price',
+    Type: 'number',
+    Label: 'Price',
+    Fieldset: 'items',
+  }, {
+    Name: 'quantity',
+    Type: 'number',
+    Label: 'Quantity',
+    Fieldset: 'items',
+  }, {
+    Name: 'rowTotal',
+    Type: 'number',
+    Label: 'Row Total',
+    Fieldset: 'items',
+    'Value Expression': '=F3*F4',
+  }, {
+    Name: 'total',
+    Type: 'number',
+    Label: 'Total',
+    'Value Expression': '=SUM(F5)',
+  }],
+  ':type': 'sheet',
+};
+
+function setValue(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export function op(block) {
+  const form = block.querySelector('form');
+  setValue(form.querySelector('#price'), '2');
+  setValue(form.querySelector('#quantity'), '3');
+  form.querySelector('.repeat-wrapper > .repeat-actions > .item-add').click();
+  const [, price] = form.querySelectorAll('input[name="price"]');
+  const [, quantity] = form.querySelectorAll('input[name="quantity"]');
+  setValue(price, '5');
+  setValue(quantity, '4');
+}
+
+export const formPath = 'http://localhost:3000/order.json';
+
+export function expect(block) {
+  const form = block.querySelector('form');
+  const rowTotals = [...form.querySelectorAll('input[name="rowTotal"]')].map((input) => input.value);
+  assert.deepEqual(rowTotals, ['6', '20'], 'row totals were not computed per instance');
+  assert.equal(form.querySelector('#total').value, '26', 'total was not computed over all instances');
+
+  form.querySelector('fieldset[data-index="1"] .item-remove').click();
+  assert.equal(form.querySelector('#total').value, '6', 'total was not updated after removal');
+
+  form.querySelector('.repeat-wrapper > .repeat-actions > .item-add').click();
+  const rowTotal = form.querySelectorAll('input[name="rowTotal"]')[1];
+  assert.equal(rowTotal.value, '0', 'rule was not applied to the added instance');
+}
+
+export const opDelay = 100;
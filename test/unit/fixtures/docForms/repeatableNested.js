@@ -0,0 +1,59 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 5,
+  offset: 0,
+  limit: 5,
+  data: [{
+    Name: 'items',
+    Type: 'fieldset',
+    Label: 'Item',
+    Repeatable: 'true',
+  }, {
+    Name: 'details',
+    Type: 'fieldset',
+    Label: 'Details',
+    Fieldset: 'items',
+  }, {
+    Name: 'size',
+    Type: 'text',
+    Label: 'Size',
+    Fieldset: 'details',
+  }, {
+    Name: 'price',
+    Type: 'number',
+    Label: 'Price',
+    Fieldset: 'items',
+    'Value Expression': '=IF(F4="large", 10, 5)',
+  }, {
+    Name: 'total',
+    Type: 'number',
+    Label: 'Total',
+    'Value Expression': '=SUM(F5)',
+  }],
+  ':type': 'sheet',
+};
+
+function setValue(input, value) {
+  input.value = value;
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export function op(block) {
+  const form = block.querySelector('form');
+  setValue(form.querySelector('input[name="size"]'), 'small');
+  form.querySelector('.repeat-wrapper > .repeat-actions > .item-add').click();
+  // the field is in a fieldset of the instance
+  setValue(form.querySelectorAll('input[name="size"]')[1], 'large');
+}
+
+export const formPath = 'http://localhost:3000/sizes.json';
+
+export function expect(block) {
+  const form = block.querySelector('form');
+  const prices = [...form.querySelectorAll('input[name="price"]')].map((input) => input.value);
+  assert.deepEqual(prices, ['5', '10'], 'the rules of the instance were not applied');
+  assert.equal(form.querySelector('#total').value, '15', 'total was not computed over all instances');
+}
+
+export const opDelay = 100;
@@ -0,0 +1,54 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  data: [{
+    Name: 'subscribe',
+    Type: 'select',
+    Label: 'Subscribe',
+    Options: 'yes,no',
+  }, {
+    Name: 'topics',
+    Type: 'checkbox-group',
+    Label: 'Topics',
+    Options: 'news,offers',
+    'Required Expression': '=F2="yes"',
+  }],
+  ':type': 'sheet',
+};
+
+export function op(block) {
+  const select = block.querySelector('select');
+  select.value = 'yes';
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export const formPath = 'http://localhost:3000/topics.json';
+
+export function expect(block) {
+  const topics = block.querySelector('fieldset#topics');
+  const [news, offers] = topics.querySelectorAll('input');
+  assert.equal(topics.dataset.required, 'true');
+  assert.equal(news.required || offers.required, false, 'checkboxes were made required');
+  assert.equal(news.validationMessage, 'Please fill in this field.');
+  assert.equal(offers.validity.valid, true);
+
+  offers.checked = true;
+  offers.dispatchEvent(new Event('change', { bubbles: true }));
+  assert.equal(news.validity.valid, true, 'group is invalid with a checked checkbox');
+  assert.equal(block.querySelector('form').checkValidity(), true);
+
+  offers.checked = false;
+  offers.dispatchEvent(new Event('change', { bubbles: true }));
+  assert.equal(block.querySelector('form').checkValidity(), false, 'group is valid without a checked checkbox');
+
+  const select = block.querySelector('select');
+  select.value = 'no';
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+  assert.equal(topics.dataset.required, 'false');
+  assert.equal(block.querySelector('form').checkValidity(), true, 'group is still required');
+}
+
+export const opDelay = 100;
@@ -0,0 +1,45 @@
+import assert from 'assert';
+
+export const sample = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  data: [{
+    Name: 'email',
+    Type: 'email',
+    Label: 'Email',
+  }, {
+    Name: 'confirmEmail',
+    Type: 'email',
+    Label: 'Confirm Email',
+    'Validation Expression': '=F3=F2',
+    'Validation Error Message': 'The emails do not match.',
+  }],
+  ':type': 'sheet',
+};
+
+export function op(block) {
+  const email = block.querySelector('#email');
+  email.value = 'jane@example.com';
+  email.dispatchEvent(new Event('change', { bubbles: true }));
+  const confirm = block.querySelector('#confirmemail');
+  confirm.value = 'joe@example.com';
+  confirm.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+export const formPath = 'http://localhost:3000/confirm-email.json';
+
+export function expect(block) {
+  const confirm = block.querySelector('#confirmemail');
+  assert.equal(confirm.validity.customError, true, 'field is valid');
+  assert.equal(confirm.validationMessage, 'The emails do not match.');
+  const wrapper = confirm.closest('.field-wrapper');
+  assert.equal(wrapper.classList.contains('field-invalid'), true, 'error message not shown');
+
+  confirm.value = 'jane@example.com';
+  confirm.dispatchEvent(new Event('change', { bubbles: true }));
+  assert.equal(confirm.validity.valid, true, 'field is still invalid');
+  assert.equal(wrapper.classList.contains('field-invalid'), false, 'error message still shown');
+}
+
+export const opDelay = 100;
@@ -1,4 +1,27 @@
-// eslint-disable-next-line import/prefer-default-export
+import assert from 'assert';
+
+// the options of the extetrnalSelect drop-down, see options.js
+const statesUrl = 'http://localhost:3000/block-collection/form.json?sheet=states';
+
+export function before() {
+  global.fetch.mockData[statesUrl] = { data: [] };
+}
+
+export function after() {
+  delete global.fetch.mockData[statesUrl];
+}
+
+// wait for the options to load before comparing the markup
+export const opDelay = 50;
+
+export const extraChecks = [(form) => {
+  const select = form.querySelector('#extetrnalselect');
+  const wrapper = select.closest('.field-wrapper');
+  assert.equal(wrapper.classList.contains('options-loading'), false, 'options still loading');
+  assert.equal(wrapper.classList.contains('options-error'), false, 'options not loaded');
+  assert.equal(select.hasAttribute('aria-busy'), false);
+}];
+
 export const fieldDef = {
   total: 19,
   offset: 0,
@@ -0,0 +1,13 @@
+/**
+ * Custom function that needs the document, which is not available in the rule engine worker.
+ * @param {scope} globals
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function copyTitle(globals) {
+  if (globalThis.inRuleEngineWorker) {
+    throw new Error('copyTitle was run in the worker');
+  }
+  globals.functions.importData({ f2: `${document.title} (${globals.field.$name})` });
+}
+
+copyTitle.mainThread = true;
@@ -0,0 +1,102 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate from '../../blocks/form/form.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const enrolment = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'email', Mandatory: 'true' },
+    { Type: 'text', Name: 'phone' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+describe('Form analytics', () => {
+  let btoaStub;
+  let checkpoints;
+  const record = ({ detail: { checkpoint, data } }) => {
+    if (data?.source?.startsWith('/enrolment')) {
+      checkpoints.push({ checkpoint, ...data });
+    }
+  };
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    checkpoints = [];
+    document.addEventListener('rum', record);
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    document.removeEventListener('rum', record);
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  async function render(analytics = true) {
+    const block = createBlockWithUrl(enrolment, 'http://localhost:3000/enrolment.json');
+    block.classList.toggle('analytics', analytics);
+    document.body.append(block);
+    await decorate(block);
+    return block.querySelector('form');
+  }
+
+  it('should report the funnel of the form without the values', async () => {
+    const form = await render();
+    const phone = form.querySelector('input[name="phone"]');
+    phone.dispatchEvent(new window.FocusEvent('focusin', { bubbles: true }));
+    await wait(20);
+    phone.value = '555 1234';
+    phone.dispatchEvent(new Event('change', { bubbles: true }));
+    phone.dispatchEvent(new window.FocusEvent('focusout', { bubbles: true }));
+    form.dispatchEvent(new Event('submit'));
+    form.dispatchEvent(new Event('submit'));
+    phone.parentElement.dispatchEvent(new CustomEvent('wizard:navigate', {
+      detail: { prevStep: { index: 0 }, currStep: { index: 1 } },
+    }));
+    window.dispatchEvent(new Event('pagehide'));
+
+    assert.deepEqual(checkpoints.map(({ checkpoint, source }) => [checkpoint, source]), [
+      ['form-interact', '/enrolment'],
+      ['form-dwell', '/enrolment/phone'],
+      ['form-invalid', '/enrolment/email'],
+      ['form-step', '/enrolment'],
+      ['form-abandon', '/enrolment/phone'],
+    ]);
+    assert.equal(checkpoints[4].target, 1, 'step of the abandonment');
+    assert.ok(checkpoints[1].target >= 20, 'dwell time');
+    assert.equal(JSON.stringify(checkpoints).includes('555'), false, 'value of a field sent');
+  });
+
+  it('should report the outcome of the submission', async () => {
+    nock('https://forms.adobe.com').post('/adobe/forms/af/submit//enrolment.json').reply(200, {});
+    const form = await render();
+    const email = form.querySelector('input[name="email"]');
+    email.value = 'jane@example.com';
+    email.dispatchEvent(new Event('change', { bubbles: true }));
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    window.dispatchEvent(new Event('pagehide'));
+    assert.deepEqual(checkpoints.map(({ checkpoint, target }) => [checkpoint, target]).slice(1), [
+      ['form-submit', 'success'],
+    ]);
+  });
+
+  it('should report nothing if analytics is not enabled', async () => {
+    const form = await render(false);
+    form.querySelector('input[name="phone"]').dispatchEvent(new window.FocusEvent('focusin', { bubbles: true }));
+    window.dispatchEvent(new Event('pagehide'));
+    assert.deepEqual(checkpoints, []);
+  });
+});
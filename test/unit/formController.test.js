@@ -0,0 +1,181 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const afForm = {
+  id: 'controller-af',
+  action: 'http://localhost:3000/submit-controller',
+  items: [{
+    fieldType: 'text-input',
+    id: 'greeting',
+    name: 'greeting',
+    rules: {
+      value: "'Hello ' & first",
+    },
+  }, {
+    fieldType: 'text-input',
+    id: 'first',
+    name: 'first',
+    required: true,
+  }, {
+    fieldType: 'button',
+    id: 'submit',
+    name: 'submit',
+    events: {
+      click: 'submitForm()',
+    },
+  }],
+};
+
+const docForm = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'first', Mandatory: 'true' },
+    { Type: 'text', Name: 'greeting', 'Value Expression': '="Hello " & F2' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+async function render(block) {
+  document.body.append(block);
+  await decorate(block);
+  return block.querySelector('form');
+}
+
+describe('Form controller', () => {
+  let btoaStub;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  it('should return null for a form that is not rendered', () => {
+    assert.equal(getFormController('unknown'), null);
+    assert.equal(getFormController(document.createElement('div')), null);
+  });
+
+  it('should control an adaptive form', async () => {
+    const form = await render(createBlock(afForm));
+    const controller = await getFormController('controller-af').ready;
+    assert.equal(controller.form, form);
+    assert.equal(getFormController(form.parentElement), controller, 'one controller per form');
+
+    const changes = [];
+    const off = controller.on('change', (detail) => changes.push(detail));
+    controller.setData({ first: 'Jane' });
+    await wait(50);
+    assert.equal(form.querySelector('input[name="greeting"]').value, 'Hello Jane');
+    assert.deepEqual(changes.find(({ name }) => name === 'greeting'), { name: 'greeting', value: 'Hello Jane' });
+    const { first, greeting } = controller.getData();
+    assert.deepEqual({ first, greeting }, { first: 'Jane', greeting: 'Hello Jane' });
+
+    off();
+    controller.getField('first').value = 'John';
+    await wait(50);
+    assert.equal(form.querySelector('input[name="greeting"]').value, 'Hello John');
+    assert.equal(changes.some(({ value }) => value === 'John'), false, 'listener not removed');
+
+    controller.reset();
+    await wait(50);
+    assert.equal(controller.getField('first').value, undefined);
+    const errors = await controller.validate();
+    assert.deepEqual(errors.map(({ name }) => name), ['first']);
+  });
+
+  it('should control a document based form', async () => {
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/controller.json'));
+    const controller = await getFormController(form).ready;
+
+    assert.deepEqual((await controller.validate()).map(({ name }) => name), ['first']);
+    const changes = [];
+    controller.on('change', (detail) => changes.push(detail));
+    controller.setData({ first: 'Jane' });
+    assert.equal(form.querySelector('input[name="greeting"]').value, 'Hello Jane');
+    assert.deepEqual(changes, [
+      { name: 'greeting', value: 'Hello Jane' },
+      { name: 'first', value: 'Jane' },
+    ]);
+    assert.deepEqual(controller.getData(), { first: 'Jane', greeting: 'Hello Jane' });
+    assert.deepEqual(await controller.validate(), []);
+
+    const field = controller.getField('greeting');
+    field.visible = false;
+    assert.equal(form.querySelector('input[name="greeting"]').closest('.field-wrapper').dataset.visible, 'false');
+
+    controller.reset();
+    assert.deepEqual(controller.getData(), { first: '', greeting: '' });
+  });
+
+  it('should submit a document based form', async () => {
+    let payload;
+    const scope = nock('https://forms.adobe.com')
+      .post('/adobe/forms/af/submit//controller.json', ({ data }) => { payload = data; return true; })
+      .reply(200, {});
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/controller.json'));
+    const controller = await getFormController(form).ready;
+    const submitted = new Promise((resolve) => { controller.on('submitSuccess', resolve); });
+    controller.setData({ first: 'Jane' });
+    await controller.submit();
+    await submitted;
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.equal(payload.greeting, 'Hello Jane');
+  });
+
+  it('should keep the form and its controller when the form is reset', async () => {
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/controller.json');
+    block.classList.add('offline');
+    const form = await render(block);
+    const controller = await getFormController(form).ready;
+    controller.setData({ first: 'Jane' });
+    form.reset();
+    await wait(10);
+    assert.equal(block.querySelector('form'), form);
+    assert.equal(form.dataset.offline, 'true');
+    assert.equal(await getFormController(form).ready, controller);
+    assert.deepEqual(controller.getData(), { first: '', greeting: '' });
+    assert.equal(form.querySelector('.field-invalid'), null, 'a reset form is not validated');
+  });
+
+  it('should return the values of the instances of a field of a repeatable fieldset', async () => {
+    const repeatable = {
+      total: 2,
+      offset: 0,
+      limit: 2,
+      ':type': 'sheet',
+      data: [
+        {
+          Type: 'fieldset', Name: 'items', Label: 'Item', Repeatable: 'true',
+        },
+        { Type: 'text', Name: 'size', Fieldset: 'items' },
+      ],
+    };
+    const form = await render(createBlockWithUrl(repeatable, 'http://localhost:3000/repeatable.json'));
+    const controller = await getFormController(form).ready;
+    form.querySelector('.item-add').click();
+    form.querySelectorAll('input[name="size"]').forEach((input, index) => {
+      input.value = ['small', 'large'][index];
+    });
+    assert.deepEqual(controller.getField('size').value, ['small', 'large']);
+
+    form.reset();
+    await wait(10);
+    assert.deepEqual(controller.getField('size').value, ['']);
+  });
+});
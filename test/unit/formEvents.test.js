@@ -0,0 +1,123 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { FORM_EVENTS } from '../../blocks/form/controller.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const afForm = {
+  id: 'events-af',
+  action: 'http://localhost:3000/submit-events',
+  items: [{
+    fieldType: 'text-input',
+    id: 'text-input',
+    name: 'f2',
+    rules: {
+      value: "f1 & '2'",
+    },
+  }, {
+    fieldType: 'text-input',
+    id: 'text-input-2',
+    name: 'f1',
+  }, {
+    fieldType: 'button',
+    id: 'button',
+    events: {
+      click: 'submitForm()',
+    },
+  }],
+};
+
+const docForm = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'f1' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+describe('Form lifecycle events', () => {
+  let btoaStub;
+  let events;
+  const record = (e) => events.push({ type: e.type, detail: e.detail, target: e.target });
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    events = [];
+    Object.values(FORM_EVENTS).forEach((type) => document.addEventListener(type, record));
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    Object.values(FORM_EVENTS).forEach((type) => document.removeEventListener(type, record));
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  it('should dispatch the events of an adaptive form', async () => {
+    global.fetch.mockData['http://localhost:3000/adobe/forms/af/data/events-af'] = { f1: 'a' };
+    nock('http://localhost:3000').post('/submit-events').reply(200, {});
+    const block = createBlock(afForm);
+    document.body.append(block);
+    await decorate(block);
+    await wait(100);
+    const form = block.querySelector('form');
+    assert.deepEqual(events.map(({ type }) => type), ['form:rendered', 'form:prefilled', 'form:ready']);
+    assert.ok(events.every(({ target }) => target === form));
+    assert.deepEqual(events[0].detail, { id: 'events-af', source: 'aem' });
+    assert.deepEqual(events[1].detail, { source: 'prefill', data: { f1: 'a' } });
+    assert.equal(events[2].detail.controller, getFormController(form));
+
+    events = [];
+    setValue(form, 'input[name="f1"]', 'b');
+    await wait(50);
+    assert.deepEqual(events.map(({ detail }) => detail), [
+      { name: 'f1', value: 'b' },
+      { name: 'f2', value: 'b2' },
+    ]);
+
+    events = [];
+    form.querySelector('#button').click();
+    await wait(100);
+    // the form is reset by its rule engine after the submission, which changes its fields
+    events = events.filter(({ type }) => type !== 'form:field-change');
+    assert.deepEqual(events.map(({ type }) => type), [
+      'form:submit-start', 'form:submit-success', 'form:reset',
+    ]);
+    assert.equal(events[0].detail.data.f1, 'b');
+    assert.equal(events[2].target, form);
+    assert.equal(form.querySelector('input[name="f1"]').value, '');
+  });
+
+  it('should dispatch the events of a document based form', async () => {
+    nock('https://forms.adobe.com').post('/adobe/forms/af/submit//events.json').reply(500, 'failed');
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/events.json');
+    document.body.append(block);
+    await decorate(block);
+    await wait(50);
+    const form = block.querySelector('form');
+    assert.deepEqual(events.map(({ type }) => type), ['form:rendered', 'form:ready']);
+    assert.equal(events[0].detail.source, 'sheet');
+
+    events = [];
+    setValue(form, 'input[name="f1"]', 'a');
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.deepEqual(events.map(({ type }) => type), ['form:field-change', 'form:submit-start', 'form:submit-error']);
+    assert.deepEqual(events[1].detail, { data: { f1: 'a' } });
+    assert.equal(events[2].detail.error, 'failed');
+
+    events = [];
+    getFormController(form).reset();
+    assert.deepEqual(events.map(({ type }) => type), ['form:field-change', 'form:reset']);
+  });
+});
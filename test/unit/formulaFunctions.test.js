@@ -0,0 +1,245 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import Formula from '../../blocks/form/rules-doc/parser/Formula.js';
+import functions from '../../blocks/form/rules-doc/parser/functions.js';
+import transformRule from '../../blocks/form/rules-doc/RuleCompiler.js';
+import { FormulaError } from '../../blocks/form/rules-doc/parser/utils.js';
+import generateReference from '../../tools/formula-docs.js';
+
+// row number of the spreadsheet to field, as created by the transform of a document based form
+const fieldIdMap = {
+  2: { name: 'name', id: 'name' },
+  3: { name: 'amount', id: 'amount' },
+  4: { name: 'start', id: 'start' },
+  5: { name: 'end', id: 'end' },
+  6: { name: 'items', id: 'items' },
+  7: { name: 'country', id: 'country' },
+};
+
+const sheets = {
+  countries: {
+    columns: ['Code', 'Name', 'Currency'],
+    rows: [['DE', 'Germany', 'EUR'], ['FR', 'France', 'EUR'], ['GB', 'United Kingdom', 'GBP']],
+  },
+  rates: {
+    columns: ['Income', 'Rate'],
+    rows: [['0', '0'], ['10000', '0.1'], ['50000', '0.4']],
+  },
+};
+
+function evaluate(expression, data = {}) {
+  const formula = new Formula({}, sheets);
+  const { ast } = transformRule({ prop: 'value', expression }, fieldIdMap, formula);
+  return formula.evaluate(ast, data);
+}
+
+function assertError(expression, code, data = {}) {
+  assert.throws(() => evaluate(expression, data), (e) => e instanceof FormulaError && e.code === code);
+}
+
+describe('Document based form formula functions', () => {
+  describe('text', () => {
+    it('should join texts', () => {
+      assert.equal(evaluate('=CONCAT("a", F3, TRUE)', { amount: 1.5 }), 'a1.5TRUE');
+      assert.equal(evaluate('=CONCATENATE(F2, " ", F2)', { name: 'Jo' }), 'Jo Jo');
+      assert.equal(evaluate('=CONCAT(F6)', { items: ['a', 'b'] }), 'ab');
+      assert.equal(evaluate('=TEXTJOIN(", ", TRUE, F6)', { items: ['a', '', 'b'] }), 'a, b');
+      assert.equal(evaluate('=TEXTJOIN("-", FALSE, F6)', { items: ['a', '', 'b'] }), 'a--b');
+      assert.equal(evaluate('=F2&"!"', {}), '!');
+    });
+
+    it('should extract parts of texts', () => {
+      assert.equal(evaluate('=LEFT(F2, 3)', { name: 'Johnson' }), 'Joh');
+      assert.equal(evaluate('=LEFT(F2)', { name: 'Johnson' }), 'J');
+      assert.equal(evaluate('=RIGHT(F2, 3)', { name: 'Johnson' }), 'son');
+      assert.equal(evaluate('=RIGHT(F2, 0)', { name: 'Johnson' }), '');
+      assert.equal(evaluate('=MID(F2, 2, 3)', { name: 'Johnson' }), 'ohn');
+      assert.equal(evaluate('=LEFT(F3, 2)', { amount: 12345 }), '12');
+      assertError('=LEFT(F2, -1)', '#VALUE!', { name: 'Johnson' });
+      assertError('=MID(F2, 0, 1)', '#VALUE!', { name: 'Johnson' });
+    });
+
+    it('should measure and convert texts', () => {
+      assert.equal(evaluate('=LEN(F2)', { name: 'Jane' }), 4);
+      assert.equal(evaluate('=LEN(F2)', {}), 0);
+      assert.equal(evaluate('=UPPER(F2)', { name: 'jane' }), 'JANE');
+      assert.equal(evaluate('=LOWER(F2)', { name: 'JANE' }), 'jane');
+      assert.equal(evaluate('=PROPER(F2)', { name: 'jANE o\'neil-smith' }), 'Jane O\'Neil-Smith');
+      assert.equal(evaluate('=TRIM(F2)', { name: '  Jane   van  Dyke ' }), 'Jane van Dyke');
+      assert.equal(evaluate('=REPT("*", 3)'), '***');
+      assert.equal(evaluate('=VALUE(" 12.5 ")'), 12.5);
+      assert.equal(evaluate('=EXACT("a", "A")'), false);
+      assertError('=VALUE("abc")', '#VALUE!');
+    });
+
+    it('should find and replace texts', () => {
+      assert.equal(evaluate('=SUBSTITUTE(F2, "-", "")', { name: '12-34-56' }), '123456');
+      assert.equal(evaluate('=SUBSTITUTE(F2, "-", "/", 2)', { name: '12-34-56' }), '12-34/56');
+      assert.equal(evaluate('=FIND("o", F2)', { name: 'Foo' }), 2);
+      assert.equal(evaluate('=FIND("o", F2, 3)', { name: 'Foo' }), 3);
+      assert.equal(evaluate('=SEARCH("O?", F2)', { name: 'Foo' }), 2);
+      assertError('=FIND("O", F2)', '#VALUE!', { name: 'Foo' });
+    });
+  });
+
+  describe('date', () => {
+    it('should return the parts of dates', () => {
+      assert.equal(evaluate('=YEAR(F4)', { start: '2024-02-29' }), 2024);
+      assert.equal(evaluate('=MONTH(F4)', { start: '2024-02-29' }), 2);
+      assert.equal(evaluate('=DAY(F4)', { start: '2024-02-29' }), 29);
+      assert.equal(evaluate('=DATE(2024, 14, 1)'), '2025-02-01');
+      assert.equal(evaluate('=YEAR(45351)'), 2024);
+      assertError('=YEAR(F4)', '#VALUE!', { start: 'tomorrow' });
+    });
+
+    it('should add months to dates', () => {
+      assert.equal(evaluate('=EDATE(F4, 1)', { start: '2024-01-31' }), '2024-02-29');
+      assert.equal(evaluate('=EDATE(F4, -12)', { start: '2024-02-29' }), '2023-02-28');
+      assert.equal(evaluate('=EOMONTH(F4, 0)', { start: '2024-02-10' }), '2024-02-29');
+    });
+
+    it('should return the difference of dates', () => {
+      const data = { start: '1990-05-15', end: '2024-05-14' };
+      assert.equal(evaluate('=DATEDIF(F4, F5, "Y")', data), 33);
+      assert.equal(evaluate('=DATEDIF(F4, F5, "M")', data), 407);
+      assert.equal(evaluate('=DATEDIF(F4, F5, "YM")', data), 11);
+      assert.equal(evaluate('=DATEDIF(F4, F5, "MD")', data), 29);
+      assert.equal(evaluate('=DATEDIF(F4, F5, "YD")', data), 365);
+      assert.equal(evaluate('=DATEDIF("2024-01-01", "2024-03-01", "d")'), 60);
+      assertError('=DATEDIF(F5, F4, "Y")', '#NUM!', data);
+      assertError('=DATEDIF(F4, F5, "W")', '#NUM!', data);
+    });
+
+    it('should return the date of today', () => {
+      const today = evaluate('=TODAY()');
+      const now = new Date();
+      assert.match(today, /^\d{4}-\d{2}-\d{2}$/);
+      assert.equal(evaluate('=YEAR(TODAY())'), now.getFullYear());
+      assert.equal(evaluate('=DAY(TODAY())'), now.getDate());
+    });
+  });
+
+  describe('math', () => {
+    it('should aggregate numbers like excel', () => {
+      const data = { items: ['1', '', 'abc', '4'] };
+      assert.equal(evaluate('=SUM(F6)', data), 5);
+      assert.equal(evaluate('=MAX(F6, 2)', data), 4);
+      assert.equal(evaluate('=MIN(F6)', data), 1);
+      assert.equal(evaluate('=MIN(F6)', { items: [] }), 0);
+      assert.equal(evaluate('=AVERAGE(F6)', data), 2.5);
+      assert.equal(evaluate('=COUNT(F6)', data), 2);
+      assert.equal(evaluate('=COUNTA(F6)', data), 3);
+      assert.equal(evaluate('=PRODUCT(F6, 3)', data), 12);
+      assertError('=AVERAGE(F6)', '#DIV/0!', { items: ['', 'abc'] });
+    });
+
+    it('should round numbers like excel', () => {
+      assert.equal(evaluate('=ROUND(2.5, 0)'), 3);
+      assert.equal(evaluate('=ROUND(-2.5, 0)'), -3);
+      assert.equal(evaluate('=ROUND(1.005, 2)'), 1.01);
+      assert.equal(evaluate('=ROUND(1234, -2)'), 1200);
+      assert.equal(evaluate('=ROUNDUP(1.21, 1)'), 1.3);
+      assert.equal(evaluate('=ROUNDDOWN(-1.29, 1)'), -1.2);
+      assert.equal(evaluate('=INT(-1.5)'), -2);
+      assert.equal(evaluate('=FLOOR(F3, 5)', { amount: '23' }), 20);
+      assert.equal(evaluate('=FLOOR(-2.5, 2)'), -4);
+      assert.equal(evaluate('=FLOOR(0.3, 0.1)'), 0.3);
+      assertError('=FLOOR(2.5, 0)', '#DIV/0!');
+      assertError('=FLOOR(2.5, -1)', '#NUM!');
+    });
+
+    it('should compute with numbers like excel', () => {
+      assert.equal(evaluate('=ABS(F3)', { amount: '-3' }), 3);
+      assert.equal(evaluate('=MOD(-3, 2)'), 1);
+      assert.equal(evaluate('=MOD(3, -2)'), -1);
+      assert.equal(evaluate('=SQRT(16)'), 4);
+      assert.equal(evaluate('=ABS(F3)', {}), 0);
+      assert.equal(evaluate('=ABS(TRUE)'), 1);
+      assertError('=MOD(3, 0)', '#DIV/0!');
+      assertError('=SQRT(-1)', '#NUM!');
+      assertError('=ABS(F3)', '#VALUE!', { amount: 'abc' });
+      assertError('=F3/0', '#DIV/0!', { amount: 1 });
+    });
+  });
+
+  describe('logical', () => {
+    it('should return the value of the first true condition', () => {
+      const ifs = '=IFS(F3>=90, "A", F3>=80, "B", TRUE, "C")';
+      assert.equal(evaluate(ifs, { amount: 95 }), 'A');
+      assert.equal(evaluate(ifs, { amount: 85 }), 'B');
+      assert.equal(evaluate(ifs, { amount: 10 }), 'C');
+      assertError('=IFS(F3>1, "A")', '#N/A', { amount: 0 });
+    });
+
+    it('should only evaluate the returned value', () => {
+      assert.equal(evaluate('=IF(F3=0, 0, 1/F3)', { amount: 0 }), 0);
+      assert.equal(evaluate('=IFS(F3=0, 0, TRUE, 1/F3)', { amount: 0 }), 0);
+    });
+
+    it('should switch on a value', () => {
+      const expression = '=SWITCH(F7, "de", "Euro", "gb", "Pound", "Other")';
+      assert.equal(evaluate(expression, { country: 'DE' }), 'Euro');
+      assert.equal(evaluate(expression, { country: 'US' }), 'Other');
+      assertError('=SWITCH(F7, "de", "Euro")', '#N/A', { country: 'US' });
+    });
+
+    it('should check for blank values and errors', () => {
+      assert.equal(evaluate('=ISBLANK(F2)', {}), true);
+      assert.equal(evaluate('=ISBLANK(F2)', { name: '' }), true);
+      assert.equal(evaluate('=ISBLANK(F2)', { name: 'Jane' }), false);
+      assert.equal(evaluate('=ISNUMBER(F3)', { amount: '12' }), true);
+      assert.equal(evaluate('=ISNUMBER(F3)', { amount: 'abc' }), false);
+      assert.equal(evaluate('=ISTEXT(F2)', { name: 'Jane' }), true);
+      assert.equal(evaluate('=ISERROR(1/F3)', { amount: 0 }), true);
+      assert.equal(evaluate('=IFERROR(1/F3, "none")', { amount: 0 }), 'none');
+      assert.equal(evaluate('=IFERROR(1/F3, "none")', { amount: 4 }), 0.25);
+      assert.equal(evaluate('=IFNA(VLOOKUP("XX", "countries", 2, FALSE), "")'), '');
+      assertError('=IFNA(1/F3, "none")', '#DIV/0!', { amount: 0 });
+    });
+  });
+
+  describe('lookup', () => {
+    it('should look up values in a sheet with VLOOKUP', () => {
+      assert.equal(evaluate('=VLOOKUP(F7, "countries", 2, FALSE)', { country: 'fr' }), 'France');
+      assert.equal(evaluate('=VLOOKUP("G*", "countries", 3, FALSE)'), 'GBP');
+      assert.equal(evaluate('=VLOOKUP(F3, "rates", 2)', { amount: '12000' }), '0.1');
+      assert.equal(evaluate('=VLOOKUP(F3, "rates", 2, TRUE)', { amount: 50000 }), '0.4');
+      assertError('=VLOOKUP("US", "countries", 2, FALSE)', '#N/A');
+      assertError('=VLOOKUP("DE", "countries", 4, FALSE)', '#REF!');
+      assertError('=VLOOKUP("DE", "countries", 0, FALSE)', '#VALUE!');
+      assertError('=VLOOKUP("DE", "missing", 2, FALSE)', '#REF!');
+    });
+
+    it('should look up values in columns with XLOOKUP', () => {
+      assert.equal(evaluate('=XLOOKUP(F7, "countries!Code", "countries!Name")', { country: 'gb' }), 'United Kingdom');
+      assert.equal(evaluate('=XLOOKUP("France", "countries!B", "countries!A")'), 'FR');
+      assert.equal(evaluate('=XLOOKUP("US", "countries!Code", "countries!Name", "Unknown")'), 'Unknown');
+      assert.equal(evaluate('=XLOOKUP(20000, "rates!Income", "rates!Rate", 0, -1)'), '0.1');
+      assert.equal(evaluate('=XLOOKUP(20000, "rates!Income", "rates!Rate", 0, 1)'), '0.4');
+      assert.equal(evaluate('=XLOOKUP("*King*", "countries!Name", "countries!Code", "", 2)'), 'GB');
+      assert.equal(evaluate('=XLOOKUP("b", F6, F2)', { items: ['a', 'b'], name: ['x', 'y'] }), 'y');
+      assertError('=XLOOKUP("US", "countries!Code", "countries!Name")', '#N/A');
+      assertError('=XLOOKUP("DE", "countries!Code", "countries!Population")', '#REF!');
+    });
+
+    it('should list the sheets referenced by a rule', () => {
+      const formula = new Formula({}, sheets);
+      const rule = transformRule({ prop: 'value', expression: '=XLOOKUP(F7, "countries!Code", "names!Name")' }, fieldIdMap, formula);
+      assert.deepEqual(rule.sheets, ['countries', 'names']);
+      assert.deepEqual(rule.deps, ['country']);
+    });
+  });
+
+  it('should document every function', () => {
+    Object.entries(functions([])).forEach(([name, { _doc: doc }]) => {
+      assert.ok(doc?.category && doc.syntax && doc.description, `${name} is not documented`);
+      assert.ok(doc.syntax.toLowerCase().startsWith(`${name}(`), `syntax of ${name} does not match`);
+    });
+  });
+
+  it('should have an up to date function reference', () => {
+    const reference = readFileSync('blocks/form/rules-doc/FUNCTIONS.md', 'utf-8');
+    assert.equal(reference, generateReference(functions([])), 'run npm run build:formula-docs');
+  });
+});
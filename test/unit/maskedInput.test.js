@@ -0,0 +1,136 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { applyMask, unmask } from '../../blocks/form/components/masked-input/masked-input.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const docForm = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  ':type': 'sheet',
+  data: [
+    {
+      Type: 'masked-input', Name: 'phone', Mask: '(999) 999-9999', 'Mask Value': 'raw',
+    },
+    { Type: 'masked-input', Name: 'iban', Mask: 'AA99 9999 9999 9999' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+// types text at the caret, or replaces the selection, like the browser does before the input event
+function type(input, text, start = input.value.length, end = start) {
+  input.focus();
+  input.value = `${input.value.slice(0, start)}${text}${input.value.slice(end)}`;
+  input.setSelectionRange(start + text.length, start + text.length);
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+describe('Masked input component', () => {
+  let btoaStub;
+  let hlx;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    hlx = window.hlx;
+    window.hlx = { codeBasePath: '../..' };
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    window.hlx = hlx;
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  async function render(block) {
+    document.body.append(block);
+    await decorate(block);
+    return block.querySelector('form');
+  }
+
+  it('should format values with a mask', () => {
+    const mask = '(999) 999-9999';
+    assert.equal(applyMask('5551234567', mask), '(555) 123-4567');
+    assert.equal(applyMask('555-123-4567 ext', mask), '(555) 123-4567');
+    assert.equal(applyMask('(555) 12', mask), '(555) 12');
+    assert.equal(applyMask('555', mask), '(555');
+    assert.equal(applyMask('gb82west12345698765432', 'AA99 AAAA 9999 9999'), 'gb82 west 1234 5698');
+    assert.equal(unmask('(555) 123-4567', mask), '5551234567');
+  });
+
+  it('should mask the value as the user types and keep the caret in place', async () => {
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/mask.json'));
+    const input = form.querySelector('input[name="phone"]');
+    assert.equal(input.dataset.mask, '(999) 999-9999');
+    assert.equal(input.inputMode, 'numeric');
+
+    type(input, '5551234');
+    assert.equal(input.value, '(555) 123-4');
+    assert.equal(input.selectionStart, input.value.length);
+
+    // inserted in the middle, the caret stays after the inserted digit
+    type(input, '9', 2);
+    assert.equal(input.value, '(595) 512-34');
+    assert.equal(input.selectionStart, 3);
+
+    // pasted over the value
+    type(input, '(800) 555-0199', 0, input.value.length);
+    assert.equal(input.value, '(800) 555-0199');
+    assert.equal(input.selectionStart, input.value.length);
+  });
+
+  it('should submit the raw or the masked value', async () => {
+    let payload;
+    nock('https://forms.adobe.com')
+      .post('/adobe/forms/af/submit//mask.json', ({ data }) => { payload = data; return true; })
+      .reply(200, {});
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/mask.json'));
+    const phone = form.querySelector('input[name="phone"]');
+    const iban = form.querySelector('input[name="iban"]');
+    type(phone, '555123');
+    assert.equal(phone.checkValidity(), false, 'incomplete value is valid');
+    type(phone, '4567');
+    assert.equal(phone.checkValidity(), true);
+    type(iban, 'GB82 1234 5678 9012');
+
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.equal(payload?.phone, '5551234567');
+    assert.equal(payload?.iban, 'GB82 1234 5678 9012');
+  });
+
+  it('should set the raw value of adaptive form fields', async () => {
+    const form = await render(createBlock({
+      id: 'mask-af',
+      items: [{
+        fieldType: 'text-input',
+        id: 'card',
+        name: 'card',
+        ':type': 'masked-input',
+        default: '4111111111111111',
+        properties: { mask: '9999 9999 9999 9999', maskValue: 'raw' },
+      }],
+    }));
+    const controller = await getFormController(form).ready;
+    const input = form.querySelector('input[name="card"]');
+    assert.equal(input.value, '4111 1111 1111 1111');
+
+    type(input, '5500000000000004', 0, input.value.length);
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    await wait(50);
+    assert.equal(controller.getField('card').value, '5500000000000004');
+    assert.equal(input.value, '5500 0000 0000 0004');
+
+    controller.getField('card').value = '4000056655665556';
+    await wait(50);
+    assert.equal(input.value, '4000 0566 5566 5556');
+  });
+});
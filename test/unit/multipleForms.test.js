@@ -0,0 +1,218 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { createForm, getFormController } from '../../blocks/form/form.js';
+import { resetIds, scopeFieldIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+function afForm(action) {
+  return {
+    action,
+    items: [{
+      fieldType: 'text-input',
+      id: 'text-input',
+      name: 'f2',
+      rules: {
+        value: "f1 & '2'",
+      },
+    }, {
+      fieldType: 'text-input',
+      id: 'text-input-2',
+      name: 'f1',
+    }, {
+      fieldType: 'button',
+      id: 'button',
+      events: {
+        click: 'submitForm()',
+      },
+    }],
+  };
+}
+
+const docForm = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'f1' },
+    { Type: 'text', Name: 'f2' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+async function render(...blocks) {
+  blocks.forEach((block) => document.body.append(block));
+  await Promise.all(blocks.map((block) => decorate(block)));
+  return blocks.map((block) => block.querySelector('form'));
+}
+
+describe('Multiple forms on a page', () => {
+  let btoaStub;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  it('should apply rules only to the form the field belongs to', async () => {
+    const [formA, formB] = await render(
+      createBlock(afForm('http://localhost:3000/submit-a')),
+      createBlock(afForm('http://localhost:3000/submit-b')),
+    );
+    await wait(100);
+    setValue(formA, 'input[name="f1"]', 'a');
+    setValue(formB, 'input[name="f1"]', 'b');
+    await wait(100);
+    assert.equal(formA.querySelector('input[name="f2"]').value, 'a2');
+    assert.equal(formB.querySelector('input[name="f2"]').value, 'b2');
+  });
+
+  it('should submit each adaptive form to its own endpoint', async () => {
+    const payloads = {};
+    const scope = nock('http://localhost:3000')
+      .post('/submit-a', (body) => { payloads.a = body; return true; })
+      .reply(200, {})
+      .post('/submit-b', (body) => { payloads.b = body; return true; })
+      .reply(200, {});
+    const [formA, formB] = await render(
+      createBlock(afForm('http://localhost:3000/submit-a')),
+      createBlock(afForm('http://localhost:3000/submit-b')),
+    );
+    await wait(100);
+    setValue(formA, 'input[name="f1"]', 'a');
+    formA.querySelector('#button').click();
+    await wait(100);
+    assert.ok(payloads.a, 'form a was not submitted');
+    assert.equal(payloads.b, undefined, 'form b submitted along with form a');
+    formB.querySelector('#button').click();
+    await wait(100);
+    assert.equal(scope.isDone(), true, 'submit calls were not made');
+  });
+
+  it('should submit each document based form with its own data', async () => {
+    const payloads = {};
+    const scope = nock('https://forms.adobe.com')
+      .post('/adobe/forms/af/submit//form-a.json', ({ data }) => { payloads.a = data; return true; })
+      .reply(200, {})
+      .post('/adobe/forms/af/submit//form-b.json', ({ data }) => { payloads.b = data; return true; })
+      .reply(200, {});
+    const blockA = createBlockWithUrl(docForm, 'http://localhost:3000/form-a.json');
+    const blockB = createBlockWithUrl(docForm, 'http://localhost:3000/form-b.json');
+    global.fetch.mockData['http://localhost:3000/form-a.json'] = docForm;
+    const [formA, formB] = await render(blockA, blockB);
+    const ids = [...document.querySelectorAll('[id]')].map((el) => el.id);
+    assert.equal(new Set(ids).size, ids.length, `duplicate ids on the page ${ids}`);
+    formA.querySelector('input[name="f1"]').value = 'a';
+    formB.querySelector('input[name="f1"]').value = 'b';
+    formA.dispatchEvent(new Event('submit'));
+    formB.dispatchEvent(new Event('submit'));
+    await wait(200);
+    assert.equal(scope.isDone(), true, 'submit calls were not made');
+    assert.equal(payloads.a.f1, 'a');
+    assert.equal(payloads.b.f1, 'b');
+  });
+
+  it('should not share the captcha between forms', async () => {
+    global.IntersectionObserver = sinon.stub().returns({
+      observe: sinon.spy(),
+      disconnect: sinon.spy(),
+    });
+    const withCaptcha = {
+      action: 'http://localhost:3000/submit-captcha',
+      items: [{
+        fieldType: 'captcha', id: 'captcha', name: 'captcha', value: 'site-key',
+      }, {
+        fieldType: 'button', id: 'submit', buttonType: 'submit',
+      }],
+    };
+    const captchaForm = await createForm(withCaptcha);
+    const plainForm = await createForm(afForm('http://localhost:3000/submit-plain'));
+    assert.ok(captchaForm.captcha, 'captcha not created');
+    assert.equal(plainForm.captcha, undefined, 'captcha leaked into another form');
+  });
+
+  it('should scope the field ids to each instance of the same form', async () => {
+    const radio = {
+      fieldType: 'radio-group', id: 'radio', name: 'choice', enum: ['a', 'b'],
+    };
+    const [formA, formB] = await render(
+      createBlock({ ...afForm('http://localhost:3000/submit/same'), items: [...afForm().items, radio] }),
+      createBlock({ ...afForm('http://localhost:3000/submit/same'), items: [...afForm().items, radio] }),
+    );
+    const [controllerA, controllerB] = await Promise.all([formA, formB]
+      .map((form) => getFormController(form).ready));
+    const docBlocks = [1, 2].map(() => createBlockWithUrl(docForm, 'http://localhost:3000/doc.json'));
+    await render(...docBlocks);
+    const ids = [...document.querySelectorAll('[id]')].map((el) => el.id);
+    assert.equal(new Set(ids).size, ids.length, `duplicate ids on the page ${ids}`);
+
+    const [idA, idB] = [controllerA, controllerB].map((controller) => controller.getField('f1').id);
+    assert.notEqual(idA, idB);
+    assert.equal(formA.querySelector(`#${idA}`)?.name, 'f1');
+    assert.equal(formB.querySelector(`#${idB}`)?.name, 'f1');
+    formB.querySelectorAll('label[for]').forEach((label) => {
+      assert.ok(formB.querySelector(`#${label.htmlFor}`), `label of ${label.htmlFor} not in its form`);
+    });
+  });
+
+  it('should scope the ids of the instances added to a repeatable panel', async () => {
+    const repeatable = {
+      action: 'http://localhost:3000/submit/repeat',
+      items: [{
+        fieldType: 'panel',
+        id: 'panel',
+        name: 'panel1',
+        type: 'array',
+        repeatable: true,
+        minOccur: 1,
+        items: [{ fieldType: 'text-input', id: 'text', name: 'f1' }],
+      }, {
+        fieldType: 'button',
+        id: 'add',
+        name: 'add',
+        events: { click: ['addInstance(panel1)'] },
+      }],
+    };
+    const [formA, formB] = await render(createBlock(repeatable), createBlock(repeatable));
+    await Promise.all([formA, formB].map((form) => getFormController(form).ready));
+    assert.equal(formA.dataset.id, 'repeat');
+    assert.equal(formB.dataset.id, 'repeat-1');
+    formA.querySelector('#add').click();
+    formB.querySelector('#repeat-1-add').click();
+    await wait(200);
+    assert.equal(formB.querySelectorAll('input[name="f1"]').length, 2);
+    const inputs = [...formB.querySelectorAll('input[name="f1"]')];
+    assert.equal(inputs.length, 2);
+    inputs.flatMap((input) => [input.id, input.closest('fieldset').id]).forEach((id) => {
+      assert.ok(id.startsWith('repeat-1-'), `${id} is not scoped to its form`);
+    });
+    const ids = [...document.querySelectorAll('[id]')].map((el) => el.id);
+    assert.equal(new Set(ids).size, ids.length, `duplicate ids on the page ${ids}`);
+  });
+
+  it('should scope the ids of the panels with :items', () => {
+    const panel = {
+      ':itemsOrder': ['text'],
+      ':items': { text: { id: 'text', name: 'f1' } },
+    };
+    assert.equal(scopeFieldIds(panel, 'form-1')[':items'].text.id, 'form-1-text');
+  });
+
+  it('should use a unique instance id when the same form is rendered twice', async () => {
+    const first = await createForm(afForm('http://localhost:3000/submit/form1'));
+    const second = await createForm(afForm('http://localhost:3000/submit/form1'));
+    assert.equal(first.formId, 'form1');
+    assert.notEqual(second.formId, first.formId);
+  });
+});
@@ -0,0 +1,360 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { getOptionsSource, loadOptions } from '../../blocks/form/options.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const countries = {
+  results: {
+    items: [
+      { code: 'fr', name: { en: 'France' }, region: 'Europe' },
+      { code: 'de', name: { en: 'Germany' }, region: 'Europe' },
+      { code: 'ca', name: { en: 'Canada' }, region: 'America' },
+    ],
+  },
+};
+
+const cities = {
+  data: [
+    { Option: 'Paris', Value: 'paris', country: 'fr' },
+    { Option: 'Lyon', Value: 'lyon', country: 'fr' },
+    { Option: 'Berlin', Value: 'berlin', country: 'de' },
+  ],
+};
+
+const geo = [{
+  code: 'us',
+  name: 'United States',
+  states: [
+    { code: 'ca', name: 'California', cities: ['Los Angeles', 'San Francisco'] },
+    { code: 'tx', name: 'Texas', cities: ['Austin'] },
+  ],
+}, {
+  code: 'ca',
+  name: 'Canada',
+  states: [{ code: 'qc', name: 'Quebec', cities: ['Montreal'] }],
+}];
+
+const geoProperties = { optionsLabelPath: 'name', optionsValuePath: 'code' };
+
+const afForm = {
+  id: 'options-af',
+  items: [{
+    fieldType: 'drop-down',
+    id: 'country',
+    name: 'country',
+    type: 'string',
+    enum: [],
+    properties: {
+      optionsUrl: '/countries.json',
+      optionsItemsPath: 'results.items',
+      optionsLabelPath: 'name.en',
+      optionsValuePath: 'code',
+      optionsGroupPath: 'region',
+    },
+  }, {
+    fieldType: 'radio-group',
+    id: 'city',
+    name: 'city',
+    type: 'string',
+    enum: [],
+    properties: {
+      optionsUrl: '/cities.json',
+      optionsFilterField: 'country',
+    },
+  }],
+};
+
+const labels = (element) => [...element.querySelectorAll('option:not([disabled]), label')]
+  .map((option) => option.textContent);
+
+describe('Options source', () => {
+  let hlx;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    hlx = window.hlx;
+    window.hlx = { codeBasePath: '../..' };
+  });
+
+  afterEach(() => {
+    window.hlx = hlx;
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  async function render(block) {
+    document.body.append(block);
+    await decorate(block);
+    return block.querySelector('form');
+  }
+
+  it('should read the options source of the supported fields', () => {
+    assert.equal(getOptionsSource({ fieldType: 'text-input', properties: { optionsUrl: '/a.json' } }), null);
+    assert.equal(getOptionsSource({ fieldType: 'drop-down', enum: ['https://example.com/a.json'] }), null);
+    assert.deepEqual(getOptionsSource({
+      fieldType: 'drop-down',
+      enum: ['https://main--site--org.aem.page/options.json?sheet=states'],
+    }), {
+      url: 'https://main--site--org.aem.page/options.json?sheet=states',
+      itemsPath: undefined,
+      labelPath: 'Option',
+      valuePath: 'Value',
+      groupPath: 'Group',
+      filterField: undefined,
+      filterPath: undefined,
+    });
+  });
+
+  it('should not load the options of a host that is not allowed', async () => {
+    await assert.rejects(loadOptions({ url: 'https://example.com/options.json' }), /can not be loaded/);
+  });
+
+  it('should not load the options of a response that is not ok', async () => {
+    nock('http://localhost:3000').get('/missing.json').reply(404, { error: 'not found' });
+    await assert.rejects(loadOptions({ url: '/missing.json' }), /can not be loaded from \/missing.json: 404/);
+  });
+
+  it('should load, group and filter the options of adaptive form fields', async () => {
+    global.fetch.mockData['http://localhost:3000/countries.json'] = countries;
+    global.fetch.mockData['http://localhost:3000/cities.json'] = cities;
+    const form = await render(createBlock(afForm));
+    const controller = await getFormController(form).ready;
+    await wait(50);
+    const select = form.querySelector('select[name="country"]');
+    const city = form.querySelector('fieldset#city');
+    assert.deepEqual(labels(select), ['France', 'Germany', 'Canada']);
+    assert.deepEqual([...select.querySelectorAll('optgroup')].map((group) => group.label), ['Europe', 'America']);
+    assert.deepEqual(labels(city), []);
+    assert.equal(select.closest('.field-wrapper').classList.contains('options-loading'), false);
+
+    controller.getField('country').value = 'fr';
+    await wait(50);
+    assert.deepEqual(labels(city), ['Paris', 'Lyon']);
+    assert.deepEqual(controller.getField('city').enum, ['paris', 'lyon']);
+
+    controller.getField('country').value = 'de';
+    await wait(50);
+    assert.deepEqual(labels(city), ['Berlin']);
+  });
+
+  it('should cascade the options of hierarchical JSON and clear the invalid selections', async () => {
+    global.fetch.mockData['http://localhost:3000/geo.json'] = geo;
+    const dropDown = (name, properties) => ({
+      fieldType: 'drop-down', id: name, name, type: 'string', enum: [], properties,
+    });
+    const form = await render(createBlock({
+      id: 'cascade-af',
+      items: [
+        dropDown('country', { ...geoProperties, optionsUrl: '/geo.json' }),
+        dropDown('state', { ...geoProperties, optionsItemsPath: 'states', optionsFilterField: 'country' }),
+        dropDown('city', { optionsItemsPath: 'cities', optionsFilterField: 'state' }),
+      ],
+    }));
+    const controller = await getFormController(form).ready;
+    await wait(50);
+    const [country, state, city] = ['country', 'state', 'city'].map((name) => controller.getField(name));
+    assert.deepEqual(labels(form.querySelector('#country')), ['United States', 'Canada']);
+    assert.deepEqual(state.enum, []);
+
+    country.value = 'us';
+    await wait(50);
+    assert.deepEqual(labels(form.querySelector('#state')), ['California', 'Texas']);
+    state.value = 'ca';
+    await wait(50);
+    assert.deepEqual(city.enum, ['Los Angeles', 'San Francisco']);
+    city.value = 'Los Angeles';
+    await wait(50);
+
+    // California is not a state of Canada, even though its code is the code of Canada
+    country.value = 'ca';
+    await wait(50);
+    assert.deepEqual(state.enum, ['qc']);
+    assert.equal(state.value ?? null, null);
+    assert.deepEqual(city.enum, []);
+    assert.equal(city.value ?? null, null);
+
+    // the rules clear the invalid selections too
+    country.value = 'us';
+    await wait(50);
+    state.value = 'tx';
+    await wait(50);
+    state.enum = ['ca'];
+    await wait(50);
+    assert.equal(state.value ?? null, null);
+  });
+
+  it('should cascade the options of document based forms', async () => {
+    const block = createBlockWithUrl({
+      total: 3,
+      offset: 0,
+      limit: 3,
+      ':type': 'sheet',
+      data: [
+        {
+          Type: 'select', Name: 'country', 'Options Source': '/geo-doc.json', 'Options Label': 'name', 'Options Value': 'code',
+        },
+        {
+          Type: 'select', Name: 'state', Placeholder: 'Select a state', 'Options Items': 'states', 'Options Label': 'name', 'Options Value': 'code', 'Options Filter': 'country',
+        },
+        {
+          Type: 'radio-group', Name: 'city', 'Options Items': 'cities', 'Options Filter': 'state',
+        },
+      ],
+    }, 'http://localhost:3000/cascade.json');
+    global.fetch.mockData['http://localhost:3000/geo-doc.json'] = geo;
+    const form = await render(block);
+    await wait(50);
+    const country = form.querySelector('select[name="country"]');
+    const state = form.querySelector('select[name="state"]');
+    const city = form.querySelector('fieldset#city');
+    const change = (element, value) => {
+      element.value = value;
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+    assert.deepEqual(labels(country), ['United States', 'Canada']);
+
+    change(country, 'us');
+    await wait(50);
+    assert.deepEqual(labels(state), ['California', 'Texas']);
+    change(state, 'ca');
+    await wait(50);
+    assert.deepEqual(labels(city), ['Los Angeles', 'San Francisco']);
+    city.querySelector('input').click();
+
+    change(country, 'ca');
+    await wait(50);
+    assert.deepEqual(labels(state), ['Quebec']);
+    assert.equal(state.value, '');
+    assert.deepEqual(labels(city), []);
+  });
+
+  it('should cascade the options in each instance of a repeatable panel', async () => {
+    global.fetch.mockData['http://localhost:3000/geo.json'] = geo;
+    const form = await render(createBlock({
+      id: 'repeatable-cascade-af',
+      items: [{
+        fieldType: 'panel',
+        id: 'addresses',
+        name: 'addresses',
+        type: 'array',
+        repeatable: true,
+        minOccur: 1,
+        items: [{
+          fieldType: 'drop-down', id: 'country', name: 'country', type: 'string', enum: [], properties: { ...geoProperties, optionsUrl: '/geo.json' },
+        }, {
+          fieldType: 'drop-down', id: 'state', name: 'state', type: 'string', enum: [], properties: { ...geoProperties, optionsItemsPath: 'states', optionsFilterField: 'country' },
+        }],
+      }, {
+        fieldType: 'button',
+        id: 'add',
+        name: 'add',
+        events: { click: ['addInstance(addresses)'] },
+      }],
+    }));
+    await getFormController(form).ready;
+    form.querySelector('#add').click();
+    await wait(100);
+    const countries = [...form.querySelectorAll('select[name="country"]')];
+    assert.equal(countries.length, 2);
+    assert.deepEqual(labels(countries[1]), ['United States', 'Canada'], 'options of the added instance');
+
+    ['us', 'ca'].forEach((value, index) => {
+      countries[index].value = value;
+      countries[index].dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    await wait(100);
+    const states = [...form.querySelectorAll('select[name="state"]')];
+    assert.deepEqual(labels(states[0]), ['California', 'Texas']);
+    assert.deepEqual(labels(states[1]), ['Quebec']);
+  });
+
+  it('should cascade the options in each instance of a repeatable fieldset of document based forms', async () => {
+    global.fetch.mockData['http://localhost:3000/geo-doc.json'] = geo;
+    const form = await render(createBlockWithUrl({
+      total: 3,
+      offset: 0,
+      limit: 3,
+      ':type': 'sheet',
+      data: [
+        {
+          Type: 'fieldset', Name: 'addresses', Label: 'Address', Repeatable: 'true',
+        },
+        {
+          Type: 'select', Name: 'country', Fieldset: 'addresses', 'Options Source': '/geo-doc.json', 'Options Label': 'name', 'Options Value': 'code',
+        },
+        {
+          Type: 'select', Name: 'state', Fieldset: 'addresses', 'Options Items': 'states', 'Options Label': 'name', 'Options Value': 'code', 'Options Filter': 'country',
+        },
+      ],
+    }, 'http://localhost:3000/repeatable-cascade.json'));
+    await getFormController(form).ready;
+    await wait(50);
+    form.querySelector('.item-add').click();
+    await wait(50);
+    const countries = [...form.querySelectorAll('select[name="country"]')];
+    assert.equal(countries.length, 2);
+    assert.deepEqual(labels(countries[1]), ['United States', 'Canada'], 'options of the added instance');
+
+    ['us', 'ca'].forEach((value, index) => {
+      countries[index].value = value;
+      countries[index].dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    await wait(50);
+    const states = [...form.querySelectorAll('select[name="state"]')];
+    assert.deepEqual(labels(states[0]), ['California', 'Texas']);
+    assert.deepEqual(labels(states[1]), ['Quebec']);
+  });
+
+  it('should load the options of a sheet once and show an error when they can not be loaded', async () => {
+    const sheet = 'https://main--site--org.aem.page/states.json?sheet=states';
+    const fetchSpy = sinon.spy(global, 'fetch');
+    try {
+      const block = createBlockWithUrl({
+        total: 3,
+        offset: 0,
+        limit: 3,
+        ':type': 'sheet',
+        data: [
+          {
+            Type: 'select', Name: 'state', Options: sheet, Value: 'TX',
+          },
+          {
+            Type: 'select', Name: 'mailing', Options: sheet,
+          },
+          {
+            Type: 'checkbox-group', Name: 'topics', 'Options Source': 'https://example.com/topics.json',
+          },
+        ],
+      }, 'http://localhost:3000/options.json');
+      // the mocked fetch reads the data of global.fetch, which is the spy
+      fetchSpy.mockData = {
+        ...global.fetch.mockData,
+        'http://localhost:3000/states.json?sheet=states': {
+          data: [{ Option: 'Alaska', Value: 'AK' }, { Option: 'Texas', Value: 'TX' }],
+        },
+      };
+      const form = await render(block);
+      await wait(50);
+      const state = form.querySelector('select[name="state"]');
+      assert.deepEqual(labels(state), ['Alaska', 'Texas']);
+      assert.equal(state.value, 'TX');
+      assert.deepEqual(labels(form.querySelector('select[name="mailing"]')), ['Alaska', 'Texas']);
+      assert.equal(fetchSpy.getCalls()
+        .filter(({ args }) => args[0] === '/states.json?sheet=states').length, 1);
+
+      const topics = form.querySelector('.field-topics');
+      assert.equal(topics.classList.contains('options-error'), true);
+      assert.equal(topics.querySelector('.options-error-message[role="alert"]').textContent,
+        'The options could not be loaded. Please try again later.');
+    } finally {
+      fetchSpy.restore();
+    }
+  });
+});
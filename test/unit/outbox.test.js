@@ -0,0 +1,283 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate from '../../blocks/form/form.js';
+import {
+  flushOutbox, getRetryDelay, onSubmissionDropped, queueSubmission, setOutboxStore,
+} from '../../blocks/form/outbox.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+class MemoryStore {
+  records = new Map();
+
+  nextId = 1;
+
+  async getAll() {
+    return [...this.records.values()];
+  }
+
+  async put(record) {
+    const id = record.id ?? this.nextId;
+    this.nextId = Math.max(this.nextId, id + 1);
+    this.records.set(id, { ...record, id });
+    return id;
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+
+  async claim(id, until) {
+    const record = this.records.get(id);
+    if (!record || record.claimedUntil > Date.now()) {
+      return null;
+    }
+    this.records.set(id, { ...record, claimedUntil: until });
+    return this.records.get(id);
+  }
+}
+
+const docForm = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'f1' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+const afForm = {
+  action: 'http://localhost:3000/submit/outbox-form',
+  properties: { 'fd:offline': true },
+  items: [{
+    fieldType: 'text-input',
+    id: 'text-input',
+    name: 'f1',
+  }, {
+    fieldType: 'button',
+    id: 'button',
+    events: {
+      click: 'submitForm()',
+    },
+  }],
+};
+
+const docSubmitPath = '/adobe/forms/af/submit//outbox-doc-form.json';
+
+describe('Offline submission outbox', () => {
+  let store;
+  let btoaStub;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    store = new MemoryStore();
+    setOutboxStore(store);
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(async () => {
+    btoaStub.restore();
+    store.records.clear();
+    // clears the retry timer
+    await flushOutbox();
+    setOutboxStore(undefined);
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  it('should queue a document based submission that fails with a network error', async () => {
+    nock('https://forms.adobe.com').post(docSubmitPath).replyWithError('offline');
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/outbox-doc-form.json');
+    block.classList.add('offline');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.querySelector('input[name="f1"]').value = 'queued value';
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+
+    const [record] = await store.getAll();
+    assert.ok(record, 'submission not queued');
+    assert.equal(JSON.parse(record.body.value).data.f1, 'queued value');
+    assert.ok(block.querySelector('.form-message.queued-message'), 'queued message not shown');
+    assert.equal(form.querySelector('.form-message.error-message'), null);
+
+    const scope = nock('https://forms.adobe.com')
+      .post(docSubmitPath, ({ data }) => data.f1 === 'queued value')
+      .reply(200, {});
+    const remaining = await flushOutbox({ force: true });
+    assert.equal(scope.isDone(), true, 'queued submission not sent');
+    assert.equal(remaining, 0);
+    assert.ok(block.querySelector('.form-message.success-message'), 'thank you message not shown');
+  });
+
+  it('should not queue the submissions of forms without the offline option', async () => {
+    nock('https://forms.adobe.com').post(docSubmitPath).replyWithError('offline');
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/outbox-doc-form.json');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.equal((await store.getAll()).length, 0);
+    assert.ok(form.querySelector('.form-message.error-message'), 'error message not shown');
+  });
+
+  it('should show an error if a document based submission is rejected by the server', async () => {
+    nock('https://forms.adobe.com').post(docSubmitPath).reply(500, 'error');
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/outbox-doc-form.json');
+    block.classList.add('offline');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.equal((await store.getAll()).length, 0);
+    assert.ok(form.querySelector('.form-message.error-message'), 'error message not shown');
+  });
+
+  it('should queue an adaptive form submission that fails with a network error', async () => {
+    nock('http://localhost:3000').post('/submit/outbox-form').replyWithError('offline');
+    const block = createBlock(afForm);
+    document.body.append(block);
+    await decorate(block);
+    await wait(50);
+    const form = block.querySelector('form');
+    setValue(form, 'input[name="f1"]', 'af value');
+    form.querySelector('#button').click();
+    await wait(200);
+
+    const [record] = await store.getAll();
+    assert.ok(record, 'submission not queued');
+    assert.equal(record.url, afForm.action);
+    assert.equal(record.body.type, 'form-data');
+    const data = record.body.entries.find(([name]) => name === 'data')[1];
+    assert.equal(JSON.parse(data).f1, 'af value');
+    assert.ok(block.querySelector('.form-message.queued-message'), 'queued message not shown');
+  });
+
+  it('should retry failed submissions with backoff', async () => {
+    const url = 'http://localhost:3000/submit/retry';
+    nock('http://localhost:3000').post('/submit/retry').reply(503);
+    await queueSubmission({ url, body: '{}' });
+    await flushOutbox();
+    const [record] = await store.getAll();
+    assert.equal(record.attempts, 1);
+    assert.ok(record.nextAttempt > Date.now(), 'retry not delayed');
+
+    // not due yet
+    await flushOutbox();
+    assert.equal((await store.getAll())[0].attempts, 1);
+    assert.equal(getRetryDelay(20), getRetryDelay(30), 'backoff not capped');
+  });
+
+  it('should send the same idempotency key with every attempt', async () => {
+    const keys = [];
+    nock('http://localhost:3000')
+      .post('/submit/idempotent').reply(function reply() {
+        keys.push(this.req.headers['idempotency-key']);
+        return [keys.length === 1 ? 503 : 200];
+      })
+      .persist();
+    await queueSubmission({ url: 'http://localhost:3000/submit/idempotent', body: '{}' });
+    await flushOutbox();
+    await flushOutbox({ force: true });
+    assert.equal(keys.length, 2);
+    assert.ok(keys[0], 'no idempotency key');
+    assert.equal(keys[1], keys[0]);
+    assert.equal((await store.getAll()).length, 0);
+  });
+
+  it('should not send the submissions that another context is sending', async () => {
+    const scope = nock('http://localhost:3000').post('/submit/claimed').reply(200);
+    const id = await queueSubmission({ url: 'http://localhost:3000/submit/claimed', body: '{}' });
+    // e.g. the service worker
+    await store.claim(id, Date.now() + 60 * 1000);
+    assert.equal(await flushOutbox({ force: true }), 1);
+    assert.equal(scope.isDone(), false, 'the submission was sent twice');
+
+    await store.put({ ...store.records.get(id), claimedUntil: Date.now() - 1 });
+    assert.equal(await flushOutbox({ force: true }), 0);
+    assert.equal(scope.isDone(), true);
+  });
+
+  it('should drop submissions rejected with a client error', async () => {
+    nock('http://localhost:3000').post('/submit/invalid').reply(400);
+    const dropped = sinon.spy();
+    const removeListener = onSubmissionDropped(dropped);
+    try {
+      const id = await queueSubmission({ url: 'http://localhost:3000/submit/invalid', body: '{}' });
+      const remaining = await flushOutbox();
+      assert.equal(remaining, 0);
+      assert.equal(dropped.callCount, 1);
+      assert.equal(dropped.firstCall.args[0].id, id);
+      assert.equal(dropped.firstCall.args[1].status, 400);
+    } finally {
+      removeListener();
+    }
+  });
+
+  it('should drop submissions that can not be sent after the maximum attempts or age', async () => {
+    const url = 'http://localhost:3000/submit/expired';
+    nock('http://localhost:3000').post('/submit/expired').times(2).reply(503);
+    const dropped = sinon.spy();
+    const removeListener = onSubmissionDropped(dropped);
+    try {
+      const tooManyAttempts = await queueSubmission({ url, body: '{}' });
+      await store.put({ ...store.records.get(tooManyAttempts), attempts: 19 });
+      const tooOld = await queueSubmission({ url, body: '{}' });
+      await store.put({ ...store.records.get(tooOld), createdAt: Date.now() - 25 * 60 * 60 * 1000 });
+      const remaining = await flushOutbox();
+      assert.equal(remaining, 0);
+      assert.deepEqual(dropped.getCalls().map(({ args }) => args[0].id), [tooManyAttempts, tooOld]);
+    } finally {
+      removeListener();
+    }
+  });
+
+  it('should tell the user when a queued submission is dropped', async () => {
+    nock('https://forms.adobe.com').post(docSubmitPath).replyWithError('offline');
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/outbox-doc-form.json');
+    block.classList.add('offline');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    const failure = sinon.spy();
+    block.addEventListener('form:submit-error', failure);
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.ok(block.querySelector('.form-message.queued-message'), 'queued message not shown');
+
+    nock('https://forms.adobe.com').post(docSubmitPath).reply(422, 'invalid');
+    await flushOutbox({ force: true });
+    const message = block.querySelector('.form-message.error-message[role="alert"]');
+    assert.equal(message?.textContent, 'Your saved submission could not be sent. Please submit the form again.');
+    assert.equal(failure.callCount, 1);
+    assert.equal(failure.firstCall.args[0].detail.error, 'The queued submission was rejected with status 422');
+  });
+
+  it('should not queue the submissions of forms with a captcha', async () => {
+    nock('https://forms.adobe.com').post(docSubmitPath).replyWithError('offline');
+    const block = createBlockWithUrl({
+      ...docForm,
+      total: 3,
+      limit: 3,
+      data: [...docForm.data, { Type: 'honeypot', Name: 'spam' }],
+    }, 'http://localhost:3000/outbox-doc-form.json');
+    block.classList.add('offline');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.equal((await store.getAll()).length, 0);
+    assert.ok(form.querySelector('.form-message.error-message'), 'error message not shown');
+  });
+});
@@ -0,0 +1,189 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import DocBasedFormToAF from '../../blocks/form/transform.js';
+import AFToDocBasedForm, { toCSV } from '../../blocks/form/reverse-transform.js';
+import { resetIds } from '../../blocks/form/util.js';
+
+const fixtures = './test/unit/fixtures/form/';
+
+const sheet = (data) => ({
+  total: data.length, offset: 0, limit: data.length, ':type': 'sheet', data,
+});
+
+const components = ['rating', 'range', 'password', 'accordion', 'wizard', 'modal', 'tnc', 'toggleable-link'];
+
+const text = (value) => (Array.isArray(value) ? value.map(text) : `${value ?? ''}`);
+
+function getItems(panel) {
+  if (Array.isArray(panel.items)) {
+    return panel.items;
+  }
+  return (panel[':itemsOrder'] || Object.keys(panel[':items'] || {})).map((key) => panel[':items'][key]);
+}
+
+const isDefaultEvent = ([event, handlers]) => event === 'custom:setProperty'
+  && text(handlers).join() === '$event.payload';
+
+// the properties of the fields that the spreadsheet represents. The rules and events of AF
+// forms can not be represented, those reported as dropped by the export are left out.
+function normalize(panel, dropped = []) {
+  const isDropped = (code, { name }) => dropped.some((error) => error.code === code
+    && error.name === name);
+  return getItems(panel).map((field) => {
+    const component = (field.properties?.['fd:viewType'] || field[':type'] || '').split('/').pop();
+    const isCheckable = field.fieldType === 'checkbox' || field.fieldType === 'radio';
+    return {
+      name: field.name,
+      fieldType: field.fieldType,
+      component: components.includes(component) ? component : undefined,
+      // plain text without a value shows its label
+      label: (field.fieldType === 'plain-text' ? field.value : undefined) || field.label?.value || '',
+      required: !!field.required,
+      visible: field.visible !== false,
+      readOnly: !!field.readOnly,
+      repeatable: !!field.repeatable,
+      enum: field.enum && !(field.fieldType === 'checkbox' && text(field.enum)[0] === 'on') ? text(field.enum) : undefined,
+      enumNames: field.enumNames?.map((name) => text(name?.value ?? name)),
+      value: isCheckable || field.fieldType === 'plain-text' ? undefined : text(field.value),
+      rules: isDropped('unsupported-rule', field) ? {} : field.rules || {},
+      events: isDropped('unsupported-event', field) ? {}
+        : Object.fromEntries(Object.entries(field.events || {}).filter((e) => !isDefaultEvent(e))),
+      items: normalize(field, dropped),
+    };
+  });
+}
+
+// the expressions of document based forms by field, with their cells resolved to the fields
+function normalizeRules({ properties }) {
+  const { fieldIdMap = {}, rules = [] } = properties?.rules || {};
+  const names = new Map(Object.values(fieldIdMap).map(({ id, name }) => [id, name]));
+  const fieldOfCell = (sheet, row) => (sheet && fieldIdMap[`${sheet.toLowerCase()}!${row}`])
+    || fieldIdMap[row];
+  return rules.flatMap(([id, fieldRules]) => fieldRules.map(({ prop, expression, sheet }) => [
+    names.get(id),
+    prop,
+    // cells in string literals are text
+    expression.split(/("[^"]*"|'[^']*')/).map((part, index) => (index % 2 ? part
+      : part.replace(/(?:(\w+)!)?\$?[A-Z]+\$?(\d+)/g, (cell, cellSheet, row) => fieldOfCell(cellSheet || sheet, row)?.name ?? cell)))
+      .join(''),
+  ])).sort();
+}
+
+describe('Export of AF forms to spreadsheet rows', () => {
+  beforeEach(() => {
+    resetIds();
+  });
+
+  fs.readdirSync(fixtures).filter((file) => file.endsWith('.js')).forEach((file) => {
+    it(`should round-trip the form ${file}`, async () => {
+      const { fieldDef } = await import(path.resolve(fixtures, file));
+      const original = new DocBasedFormToAF();
+      const formDef = fieldDef.data ? original.transform(fieldDef) : fieldDef;
+      const reverse = new AFToDocBasedForm();
+      const rows = reverse.transform(formDef);
+      const transform = new DocBasedFormToAF();
+      const roundTrip = transform.transform(rows);
+      // the export fixes problems like fieldsets after their fields, but adds none
+      const problems = ({ errors }) => errors.filter(({ severity }) => severity === 'error')
+        .map(({ code, name }) => `${code} ${name}`);
+      assert.deepEqual(problems(transform).filter((problem) => !problems(original).includes(problem)), []);
+      assert.deepEqual(normalize(roundTrip), normalize(formDef, reverse.errors));
+      assert.deepEqual(normalizeRules(roundTrip), normalizeRules(formDef));
+    });
+  });
+
+  it('should round-trip the expressions of the fields', () => {
+    const formDef = new DocBasedFormToAF().transform(sheet([
+      { Type: 'text', Name: 'street', Fieldset: 'address' },
+      { Type: 'fieldset', Name: 'address', 'Visible Expression': '=F4="yes"' },
+      { Type: 'select', Name: 'hasAddress', Options: 'yes,no' },
+      {
+        Type: 'number', Name: 'total', 'Value Expression': '=F2 & "F2"', 'Required Expression': '=F4="yes"',
+      },
+    ]));
+    const rules = normalizeRules(formDef);
+    assert.deepEqual(rules, [
+      ['address', 'visible', '=hasAddress="yes"'],
+      ['total', 'required', '=hasAddress="yes"'],
+      ['total', 'value', '=street & "F2"'],
+    ]);
+    const roundTrip = new DocBasedFormToAF().transform(new AFToDocBasedForm().transform(formDef));
+    assert.deepEqual(normalizeRules(roundTrip), rules);
+  });
+
+  it('should update the cells of the expressions to the rows of the fields', () => {
+    const formDef = new DocBasedFormToAF().transform(sheet([
+      { Type: 'fieldset', Name: 'address' },
+      { Type: 'number', Name: 'price' },
+      { Type: 'text', Name: 'street', Fieldset: 'address' },
+      { Type: 'number', Name: 'total', 'Value Expression': '=F3*2 & "F3" & LOG10($F$3)' },
+    ]));
+    const { data } = new AFToDocBasedForm().transform(formDef);
+    assert.deepEqual(data.map(({ Name, Fieldset }) => [Name, Fieldset]), [
+      ['address', ''], ['street', 'address'], ['price', ''], ['total', ''],
+    ]);
+    assert.equal(data[3]['Value Expression'], '=F4*2 & "F3" & LOG10($F$4)');
+  });
+
+  it('should flatten multi-sheet forms and refer to the rows of the new sheet', () => {
+    const formDef = new DocBasedFormToAF().transform({
+      ':names': ['personal', 'contact'],
+      ':type': 'multi-sheet',
+      personal: sheet([{ Type: 'text', Name: 'name' }]),
+      contact: sheet([
+        { Type: 'email', Name: 'email' },
+        { Type: 'text', Name: 'copy', 'Value Expression': '=personal!F2 & F2' },
+      ]),
+    });
+    const { data } = new AFToDocBasedForm().transform(formDef);
+    assert.deepEqual(data.map(({ Name, Type, Fieldset }) => [Name, Type, Fieldset]), [
+      ['form-steps', 'wizard', ''],
+      ['personal', 'fieldset', 'form-steps'],
+      ['name', 'text', 'personal'],
+      ['contact', 'fieldset', 'form-steps'],
+      ['email', 'email', 'contact'],
+      ['copy', 'text', 'contact'],
+    ]);
+    assert.equal(data[5]['Value Expression'], '=F4 & F6');
+  });
+
+  it('should report the constructs that the spreadsheet can not represent', () => {
+    const reverse = new AFToDocBasedForm();
+    const { data } = reverse.transform({
+      ':itemsOrder': ['country', 'panel'],
+      ':items': {
+        country: {
+          name: 'country',
+          fieldType: 'drop-down',
+          type: 'string[]',
+          enum: ['DE', 'US'],
+          enumNames: ['Germany', 'United States, the'],
+          rules: { visible: '$form.age > 18' },
+          events: { 'custom:setProperty': ['$event.payload'], change: ['dispatchEvent(\'x\')'] },
+        },
+        panel: { name: 'panel', fieldType: 'custom-panel', ':items': {} },
+      },
+    });
+    assert.deepEqual(data.map(({ Name, Type, Options }) => [Name, Type, Options]), [
+      ['country', 'select', 'DE,US'],
+      ['panel', 'custom-panel', ''],
+    ]);
+    assert.deepEqual(reverse.errors.map(({ code, name }) => [code, name]), [
+      ['unsupported-property', 'country'],
+      ['unsupported-property', 'country'],
+      ['unsupported-rule', 'country'],
+      ['unsupported-event', 'country'],
+      ['unsupported-type', 'panel'],
+    ]);
+  });
+
+  it('should write the rows as CSV', () => {
+    const csv = toCSV({
+      columns: ['Name', 'Label'],
+      data: [{ Name: 'name', Label: 'Name, "full"' }, { Name: 'age', Label: '' }],
+    });
+    assert.equal(csv, 'Name,Label\r\nname,"Name, ""full"""\r\nage,');
+  });
+});
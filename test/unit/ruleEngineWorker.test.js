@@ -0,0 +1,235 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { flushOutbox, setOutboxStore } from '../../blocks/form/outbox.js';
+import RemoteForm from '../../blocks/form/rules/RemoteForm.js';
+import { createMessageHandler, runOnMainThreadIfNeeded } from '../../blocks/form/rules/RuleEngineWorker.js';
+import registerCustomFunctions from '../../blocks/form/rules/functionRegistration.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Runs the rule engine worker in the same thread, with asynchronous messages like a worker.
+ */
+class InProcessWorker extends EventTarget {
+  static messages = [];
+
+  constructor() {
+    super();
+    this.handleMessage = createMessageHandler((data) => {
+      setTimeout(() => this.dispatchEvent(new MessageEvent('message', { data })));
+    });
+  }
+
+  postMessage(data) {
+    InProcessWorker.messages.push(data);
+    setTimeout(async () => {
+      globalThis.inRuleEngineWorker = true;
+      try {
+        await this.handleMessage(data);
+      } finally {
+        globalThis.inRuleEngineWorker = false;
+      }
+    });
+  }
+}
+
+const formDef = {
+  action: 'http://localhost:3000/submit-worker',
+  properties: { customFunctionsPath: '/test/unit/fixtures/worker/functions.js' },
+  items: [{
+    fieldType: 'text-input',
+    id: 'text-input',
+    name: 'f2',
+    rules: {
+      value: "f1 & '2'",
+    },
+  }, {
+    fieldType: 'text-input',
+    id: 'text-input-2',
+    name: 'f1',
+  }, {
+    fieldType: 'button',
+    id: 'copy',
+    name: 'copy',
+    events: {
+      click: 'copyTitle()',
+    },
+  }, {
+    fieldType: 'button',
+    id: 'button',
+    name: 'submit',
+    events: {
+      click: 'submitForm()',
+    },
+  }],
+};
+
+describe('Rule engine worker', () => {
+  let btoaStub;
+  let hlx;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    InProcessWorker.messages = [];
+    global.Worker = InProcessWorker;
+    hlx = window.hlx;
+    // the custom functions are imported relative to rules/functionRegistration.js
+    window.hlx = { codeBasePath: '../../..' };
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    delete global.Worker;
+    window.hlx = hlx;
+    btoaStub.restore();
+    nock.cleanAll();
+  });
+
+  async function render(def = formDef) {
+    const block = createBlock(def);
+    document.body.append(block);
+    await decorate(block);
+    await wait(100);
+    return block.querySelector('form');
+  }
+
+  it('should run the rules in the worker and render the field changes', async () => {
+    const form = await render();
+    assert.ok(window.myForm instanceof RemoteForm, 'form model created on the main thread');
+    assert.equal(form.classList.contains('loading'), false);
+
+    setValue(form, 'input[name="f1"]', 'a');
+    await wait(50);
+    assert.equal(form.querySelector('input[name="f2"]').value, 'a2');
+    assert.deepEqual(InProcessWorker.messages.filter(({ name }) => name === 'change'), [{
+      name: 'change', payload: { id: 'text-input-2', property: 'value', value: 'a' },
+    }]);
+    const { f1, f2 } = window.myForm.exportData();
+    assert.deepEqual({ f1, f2 }, { f1: 'a', f2: 'a2' }, 'data of the form not sent by the worker');
+    assert.equal(window.myForm.getElement('text-input').value, 'a2');
+  });
+
+  it('should read the data of the worker before any interaction', async () => {
+    const form = await render({
+      ...formDef,
+      items: formDef.items.map((item) => (item.name === 'f1' ? { ...item, default: 'init' } : item)),
+    });
+    const controller = await getFormController(form).ready;
+    const { f1, f2 } = controller.getData();
+    assert.deepEqual({ f1, f2 }, { f1: 'init', f2: 'init2' });
+    assert.equal(InProcessWorker.messages.some(({ name }) => ['change', 'click', 'focus', 'dispatch', 'importData'].includes(name)), false);
+  });
+
+  it('should submit the form from the worker', async () => {
+    let payload;
+    const scope = nock('http://localhost:3000')
+      .post('/submit-worker', (body) => { payload = body; return true; })
+      .reply(200, {});
+    const form = await render();
+    setValue(form, 'input[name="f1"]', 'b');
+    await wait(50);
+    form.querySelector('#button').click();
+    await wait(100);
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.ok(JSON.stringify(payload).includes('b2'));
+    assert.ok(InProcessWorker.messages.some(({ name, payload: { id } = {} }) => name === 'click' && id === 'button'));
+  });
+
+  it('should queue the request of the worker when the submission fails with a network error', async () => {
+    const records = [];
+    setOutboxStore({
+      getAll: async () => records,
+      put: async (record) => { records.push(record); return records.length; },
+      delete: async () => {},
+      claim: async () => null,
+    });
+    const { fetch } = global;
+    try {
+      nock('http://localhost:3000').post('/submit-worker').replyWithError('offline');
+      const form = await render({
+        ...formDef,
+        properties: { ...formDef.properties, 'fd:offline': true },
+      });
+      setValue(form, 'input[name="f1"]', 'd');
+      await wait(50);
+      form.querySelector('#button').click();
+      await wait(200);
+      const [record] = records;
+      assert.ok(record, 'submission not queued');
+      assert.equal(record.url, formDef.action);
+      const data = record.body.entries.find(([name]) => name === 'data')[1];
+      assert.equal(JSON.parse(data).f2, 'd2');
+      assert.ok(record.body.entries.some(([name]) => name === 'submitMetadata'));
+      assert.equal(global.fetch, fetch, 'the fetch of the page was replaced');
+    } finally {
+      records.length = 0;
+      await flushOutbox();
+      setOutboxStore(undefined);
+    }
+  });
+
+  it('should run functions that need the window on the main thread', async () => {
+    document.title = 'Worker';
+    const form = await render();
+    form.querySelector('#copy').click();
+    await wait(100);
+    assert.equal(form.querySelector('input[name="f2"]').value, 'Worker (copy)');
+    const result = InProcessWorker.messages.find(({ name }) => name === 'invoke-result');
+    assert.equal(result.payload.error, undefined);
+  });
+
+  it('should control the form of the worker from the page', async () => {
+    const form = await render();
+    const controller = await getFormController(form).ready;
+    controller.setData({ f1: 'c' });
+    await wait(50);
+    assert.equal(form.querySelector('input[name="f2"]').value, 'c2');
+    assert.equal(controller.getData().f2, 'c2');
+    assert.equal(controller.getField('f2').value, 'c2');
+    assert.deepEqual(await controller.validate(), []);
+  });
+
+  it('should run the functions declared for the main thread on the main thread only', async () => {
+    const invoke = sinon.stub().resolves('main');
+    const title = () => document.title;
+    title.mainThread = true;
+    assert.equal(await runOnMainThreadIfNeeded('title', title, invoke)('a', {}), 'main');
+    assert.deepEqual(invoke.firstCall.args, ['title', ['a', {}]]);
+
+    const navigateTo = () => window.open();
+    await runOnMainThreadIfNeeded('navigateTo', navigateTo, invoke)('/a', '_blank');
+    assert.deepEqual(invoke.secondCall.args, ['navigateTo', ['/a', '_blank']]);
+
+    const sum = (a, b) => a + b;
+    assert.equal(runOnMainThreadIfNeeded('sum', sum, invoke), sum);
+    // errors of the functions of the worker are not retried on the main thread
+    const needsWindow = runOnMainThreadIfNeeded('location', () => { throw new ReferenceError('window is not defined'); }, invoke);
+    assert.throws(() => needsWindow(), ReferenceError);
+    assert.equal(invoke.callCount, 2);
+  });
+
+  it('should validate the URLs synchronously in the worker', async () => {
+    const invoke = sinon.stub().resolves(true);
+    const { validateURL } = await registerCustomFunctions();
+    const validate = runOnMainThreadIfNeeded('validateURL', validateURL, invoke);
+    // the worker has a location but no window
+    const { window: page, location } = global;
+    global.window = undefined;
+    global.location = new URL('https://example.com/blocks/form/rules/RuleEngineWorker.js');
+    try {
+      assert.equal(validate('/path'), true);
+      assert.equal(validate('https://example.com'), true);
+      assert.equal(validate('javascript:alert(1)'), false);
+    } finally {
+      global.window = page;
+      global.location = location;
+    }
+    assert.equal(invoke.callCount, 0);
+  });
+});
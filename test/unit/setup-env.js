@@ -35,6 +35,8 @@ global.fetch = (url, opts) => {
   headers.set('Content-Type', 'application/json');
   if (global.fetch?.mockData?.[finalUrl]) {
     return {
+      ok: true,
+      status: 200,
       headers,
       json: () => (global.fetch?.mockData?.[finalUrl] || {}),
     };
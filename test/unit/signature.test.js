@@ -0,0 +1,122 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import { getAttachedFiles } from '../../blocks/form/components/file/file.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const readText = (file) => new Promise((resolve) => {
+  const reader = new window.FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(file);
+});
+
+const docForm = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  ':type': 'sheet',
+  data: [
+    { Type: 'signature', Name: 'sign', Label: 'Signature', Mandatory: 'true' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+function drawStroke(canvas, points) {
+  const [first, ...rest] = points;
+  const pointer = (type, [clientX, clientY]) => canvas.dispatchEvent(new window.MouseEvent(type, {
+    clientX, clientY, bubbles: true, cancelable: true,
+  }));
+  pointer('pointerdown', first);
+  rest.forEach((point) => pointer('pointermove', point));
+  pointer('pointerup', rest[rest.length - 1] || first);
+}
+
+describe('Signature component', () => {
+  let btoaStub;
+  let contextStub;
+  let hlx;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    hlx = window.hlx;
+    window.hlx = { codeBasePath: '../..' };
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+    // jsdom does not implement the canvas
+    contextStub = sinon.stub(window.HTMLCanvasElement.prototype, 'getContext').returns(null);
+  });
+
+  afterEach(() => {
+    window.hlx = hlx;
+    btoaStub.restore();
+    contextStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  async function render(block) {
+    document.body.append(block);
+    await decorate(block);
+    return block.querySelector('form');
+  }
+
+  it('should attach the drawn signature as an SVG file', async () => {
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/sign.json'));
+    const wrapper = form.querySelector('.signature');
+    const input = wrapper.querySelector('input[type="file"]');
+    const canvas = wrapper.querySelector('canvas.signature-pad');
+    assert.ok(canvas, 'signature pad not rendered');
+    assert.equal(input.checkValidity(), false, 'required signature is missing');
+
+    drawStroke(canvas, [[10, 10], [20, 30], [40, 30]]);
+    drawStroke(canvas, [[50, 50], [60, 60]]);
+    let [file] = getAttachedFiles(input);
+    assert.equal(file.name, 'sign.svg');
+    assert.equal(file.type, 'image/svg+xml');
+    assert.match(await readText(file), /<path d="M10 10 L20 30 L40 30"\/><path d="M50 50 L60 60"\/>/);
+    assert.equal(input.checkValidity(), true);
+
+    wrapper.querySelector('.signature-undo').click();
+    [file] = getAttachedFiles(input);
+    assert.doesNotMatch(await readText(file), /M50 50/, 'undo did not remove the last stroke');
+
+    wrapper.querySelector('.signature-clear').click();
+    assert.deepEqual(getAttachedFiles(input), []);
+    assert.equal(input.checkValidity(), false);
+  });
+
+  it('should accept a typed name and submit it as an attachment', async () => {
+    let payload;
+    nock('https://forms.adobe.com')
+      .post('/adobe/forms/af/submit//sign.json', ({ data }) => { payload = data; return true; })
+      .reply(200, {});
+    const form = await render(createBlockWithUrl(docForm, 'http://localhost:3000/sign.json'));
+    const typed = form.querySelector('.signature-typed');
+    typed.value = 'Jane Doe';
+    typed.dispatchEvent(new Event('input', { bubbles: true }));
+    const [file] = getAttachedFiles(form.querySelector('input[type="file"]'));
+    assert.match(await readText(file), /<text [^>]+>Jane Doe<\/text>/);
+
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.ok(payload?.sign?.startsWith('data:image/svg+xml;name=sign.svg;base64,'), 'signature not submitted');
+  });
+
+  it('should set the value of the field of adaptive forms', async () => {
+    const form = await render(createBlock({
+      id: 'sign-af',
+      items: [{
+        fieldType: 'file-input', id: 'sign', name: 'sign', type: 'file', ':type': 'signature',
+      }],
+    }));
+    const controller = await getFormController(form).ready;
+    drawStroke(form.querySelector('canvas'), [[10, 10], [20, 20]]);
+    await wait(50);
+    assert.equal(controller.getField('sign').value?.name, 'sign.svg');
+  });
+});
@@ -0,0 +1,146 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import sinon from 'sinon';
+import decorate, { getFormController } from '../../blocks/form/form.js';
+import Honeypot from '../../blocks/form/integrations/honeypot.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const docForm = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'name' },
+    { Type: 'honeypot', Name: 'spam' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+const afForm = {
+  id: 'spam-af',
+  action: 'http://localhost:3000/submit-spam',
+  items: [{
+    fieldType: 'text-input', id: 'name', name: 'name',
+  }, {
+    fieldType: 'captcha',
+    id: 'spam',
+    name: 'spam',
+    properties: { 'fd:captcha': { provider: 'honeypot', config: { minTime: 0, difficulty: 1 } } },
+  }, {
+    fieldType: 'button', id: 'button', events: { click: 'submitForm()' },
+  }],
+};
+
+describe('Spam protection', () => {
+  let btoaStub;
+  let clock;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+    clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    clock.restore();
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  async function renderDocForm() {
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/spam.json');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.querySelector('input[name="name"]').value = 'Jane';
+    return form;
+  }
+
+  it('should send the signals in the submit metadata of document based forms', async () => {
+    let body;
+    const scope = nock('https://forms.adobe.com')
+      .post('/adobe/forms/af/submit//spam.json', (json) => { body = json; return true; })
+      .reply(200, {});
+    const form = await renderDocForm();
+    assert.ok(form.querySelector('.captcha-wrapper input[name="website"]'), 'honeypot not rendered');
+    form.querySelector('input[name="name"]').dispatchEvent(new Event('keydown', { bubbles: true }));
+    clock.tick(5000);
+    form.dispatchEvent(new Event('submit'));
+    await wait(200);
+
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.deepEqual(Object.keys(body.data).filter((key) => key !== '__id__'), ['name']);
+    const signals = JSON.parse(body.submitMetadata.captchaInfo.spam);
+    assert.equal(signals.honeypot, false);
+    assert.equal(signals.elapsed, 5000);
+    assert.deepEqual(signals.interactions, { pointer: 0, keys: 1, focus: 0 });
+    assert.equal(signals.difficulty, 3);
+    const { createHash } = await import('crypto');
+    const hash = createHash('sha256').update(`${signals.challenge}:${signals.nonce}`).digest('hex');
+    assert.ok(hash.startsWith('000'), 'invalid proof of work');
+  });
+
+  it('should block automated submissions', async () => {
+    const scope = nock('https://forms.adobe.com').post('/adobe/forms/af/submit//spam.json').reply(200, {});
+    const form = await renderDocForm();
+    // submitted right after the rendering, without interaction
+    form.dispatchEvent(new Event('submit'));
+    await wait(50);
+    assert.ok(form.querySelector('.form-message.error-message'), 'error not shown');
+
+    // the honeypot is filled
+    form.querySelector('input[name="name"]').dispatchEvent(new Event('keydown', { bubbles: true }));
+    form.querySelector('input[name="website"]').value = 'https://spam.example.com';
+    clock.tick(5000);
+    form.dispatchEvent(new Event('submit'));
+    await wait(50);
+    assert.equal(scope.isDone(), false, 'automated submission was sent');
+  });
+
+  it('should not replace the fields of the form without the wrapper of the honeypot', async () => {
+    const form = document.createElement('form');
+    form.innerHTML = '<div class="field-wrapper" data-id="name"><input name="name"></div>';
+    const warn = sinon.stub(console, 'warn');
+    try {
+      const honeypot = new Honeypot({ minTime: 0, difficulty: 1 }, 'missing', 'spam');
+      honeypot.loadCaptcha(form);
+      assert.ok(form.querySelector('input[name="name"]'), 'fields of the form replaced');
+      assert.equal(form.querySelector('input[name="website"]'), null);
+      assert.equal(warn.callCount, 1);
+      form.dispatchEvent(new Event('keydown'));
+      const signals = JSON.parse(await honeypot.getToken());
+      assert.equal(signals.honeypot, false);
+      assert.equal(signals.interactions.keys, 1);
+    } finally {
+      warn.restore();
+    }
+  });
+
+  it('should send the signals in the submit metadata of adaptive forms', async () => {
+    let body;
+    nock('http://localhost:3000')
+      .post('/submit-spam', (data) => { body = JSON.stringify(data); return true; })
+      .reply(200, {});
+    const block = createBlock(afForm);
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    const controller = await getFormController(form).ready;
+    await controller.submit();
+    await wait(50);
+    assert.equal(body, undefined, 'submission without interaction was sent');
+
+    form.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    await controller.submit();
+    await wait(100);
+    assert.ok(body?.includes('captchaInfo'), 'submit metadata not sent');
+    assert.match(body, /pointer\\*":1/, 'interactions not sent');
+  });
+});
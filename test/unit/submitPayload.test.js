@@ -0,0 +1,208 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import nock from 'nock';
+import { File as FetchFile, FormData as FetchFormData } from 'node-fetch';
+import multipart from 'parse-multipart-data';
+import sinon from 'sinon';
+import decorate from '../../blocks/form/form.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlockWithUrl } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const formPath = 'http://localhost:3000/submit-payload.json';
+const submitPath = '/adobe/forms/af/submit//submit-payload.json';
+
+const sample = {
+  total: 7,
+  offset: 0,
+  limit: 7,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'name' },
+    { Type: 'fieldset', Name: 'orders', Repeatable: 'true' },
+    { Type: 'text', Name: 'order', Fieldset: 'orders' },
+    { Type: 'fieldset', Name: 'items', Repeatable: 'true', Fieldset: 'orders' },
+    { Type: 'text', Name: 'item', Fieldset: 'items' },
+    { Type: 'number', Name: 'quantity', Fieldset: 'items' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+function setValues(form, name, values) {
+  form.querySelectorAll(`input[name="${name}"]`).forEach((input, index) => {
+    input.value = values[index];
+  });
+}
+
+async function fillAndSubmit(block) {
+  const form = block.querySelector('form');
+  const orders = form.querySelector('.repeat-wrapper');
+  orders.querySelector(':scope > .repeat-actions > .item-add').click();
+  // add an item to the first order
+  orders.querySelector('fieldset[name="orders"] .repeat-actions > .item-add').click();
+  form.querySelector('input[name="name"]').value = 'Jane';
+  setValues(form, 'order', ['first, with comma', 'second']);
+  setValues(form, 'item', ['apple', 'pear', 'plum']);
+  setValues(form, 'quantity', ['1', '2', '3']);
+  form.dispatchEvent(new Event('submit'));
+  await wait(100);
+}
+
+describe('Document based form submission payload', () => {
+  let btoaStub;
+
+  beforeEach(() => {
+    resetIds();
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  it('should send repeatable panels as arrays of objects', async () => {
+    let payload;
+    const scope = nock('https://forms.adobe.com')
+      .post(submitPath, ({ data }) => { payload = data; return true; })
+      .reply(200, {});
+    const block = createBlockWithUrl(sample, formPath);
+    await decorate(block);
+    await fillAndSubmit(block);
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.equal(payload.name, 'Jane');
+    assert.deepEqual(payload.orders, [
+      {
+        order: 'first, with comma',
+        items: [{ item: 'apple', quantity: '1' }, { item: 'pear', quantity: '2' }],
+      },
+      { order: 'second', items: [{ item: 'plum', quantity: '3' }] },
+    ]);
+  });
+
+  it('should keep the legacy flat format when configured on the form', async () => {
+    let payload;
+    const scope = nock('https://forms.adobe.com')
+      .post(submitPath, ({ data }) => { payload = data; return true; })
+      .reply(200, {});
+    const block = createBlockWithUrl(sample, formPath);
+    block.classList.add('flat-payload');
+    await decorate(block);
+    await fillAndSubmit(block);
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.equal(payload.order, 'first, with comma,second');
+    assert.equal(payload.item, 'apple,pear,plum');
+    assert.equal(payload.orders, undefined);
+  });
+});
+
+describe('Document based form attachments', () => {
+  const attachmentForm = {
+    total: 3,
+    offset: 0,
+    limit: 3,
+    ':type': 'sheet',
+    data: [
+      { Type: 'text', Name: 'name' },
+      {
+        Type: 'file', Name: 'resume', Accept: 'text/plain', 'Max File Size': '1kb',
+      },
+      { Type: 'submit', Name: 'submit', Label: 'Submit' },
+    ],
+  };
+  const attachmentPath = '/adobe/forms/af/submit//submit-attachments.json';
+  let btoaStub;
+
+  async function submitWithFile(block, file) {
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.querySelector('input[name="name"]').value = 'Jane';
+    form.querySelector('input[name="resume"]').files = [file];
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    return form;
+  }
+
+  beforeEach(() => {
+    resetIds();
+    btoaStub = sinon.stub(global, 'btoa').callsFake((str) => str);
+  });
+
+  afterEach(() => {
+    btoaStub.restore();
+    global.fetch.mockData = {};
+    nock.cleanAll();
+  });
+
+  it('should send files as data urls by default', async () => {
+    let payload;
+    const scope = nock('https://forms.adobe.com')
+      .post(attachmentPath, ({ data }) => { payload = data; return true; })
+      .reply(200, {});
+    const block = createBlockWithUrl(attachmentForm, 'http://localhost:3000/submit-attachments.json');
+    await submitWithFile(block, new File(['hello'], 'cv.txt', { type: 'text/plain' }));
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    assert.equal(payload.resume, 'data:text/plain;name=cv.txt;base64,aGVsbG8=');
+  });
+
+  it('should send files as multipart when configured on the form', async () => {
+    let parts;
+    const scope = nock('https://forms.adobe.com')
+      .post(attachmentPath, function test(body) {
+        const boundary = this.headers['content-type'].match('multipart/form-data; boundary=(.+)')?.[1];
+        parts = multipart.parse(Buffer.from(body), boundary);
+        return true;
+      })
+      .reply(200, {});
+    const block = createBlockWithUrl(attachmentForm, 'http://localhost:3000/submit-attachments.json');
+    block.classList.add('multipart');
+    // the File and FormData of jsdom can not be serialized by fetch
+    const { File, FormData } = global;
+    global.File = FetchFile;
+    global.FormData = FetchFormData;
+    try {
+      await submitWithFile(block, new FetchFile(['hello'], 'cv.txt', { type: 'text/plain' }));
+    } finally {
+      global.File = File;
+      global.FormData = FormData;
+    }
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+    const data = JSON.parse(parts.find((part) => part.name === 'data').data.toString());
+    assert.equal(data.name, 'Jane');
+    assert.equal(data.resume, 'cv.txt');
+    const file = parts.find((part) => part.name === 'resume');
+    assert.equal(file.filename, 'cv.txt');
+    assert.equal(file.data.toString(), 'hello');
+  });
+
+  it('should not send files larger than the max file size', async () => {
+    const scope = nock('https://forms.adobe.com').post(attachmentPath).reply(200, {});
+    const block = createBlockWithUrl(attachmentForm, 'http://localhost:3000/submit-attachments.json');
+    const form = await submitWithFile(block, new File(['x'.repeat(2048)], 'cv.txt', { type: 'text/plain' }));
+    assert.equal(scope.isDone(), false, 'file larger than the limit was sent');
+    const input = form.querySelector('input[name="resume"]');
+    assert.equal(input.validationMessage, 'File too large. Reduce size and try again.');
+  });
+
+  it('should show the message of the field and submit once the file is replaced', async () => {
+    const scope = nock('https://forms.adobe.com').post(attachmentPath).reply(200, {});
+    const block = createBlockWithUrl(attachmentForm, 'http://localhost:3000/submit-attachments.json');
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.querySelector('.field-resume').dataset.acceptErrorMessage = 'Attach a text file';
+    const input = form.querySelector('input[name="resume"]');
+    input.files = [new File(['{}'], 'cv.json', { type: 'application/json' })];
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.equal(input.validationMessage, 'Attach a text file');
+    assert.equal(scope.isDone(), false, 'file of the wrong type was sent');
+
+    input.files = [new File(['hello'], 'cv.txt', { type: 'text/plain' })];
+    form.dispatchEvent(new Event('submit'));
+    await wait(100);
+    assert.equal(input.validity.valid, true);
+    assert.equal(scope.isDone(), true, 'submit call was not made');
+  });
+});
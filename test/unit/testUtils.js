@@ -7,7 +7,7 @@ import path from 'path';
 import Sinon from 'sinon';
 import decorate, { DELAY_MS, generateFormRendition } from '../../blocks/form/form.js';
 import { getCustomComponents, setCustomComponents } from '../../blocks/form/mappings.js';
-import { resetIds } from '../../blocks/form/util.js';
+import { extractIdFromUrl, resetIds } from '../../blocks/form/util.js';
 import { annotateFormForEditing, getItems } from '../../scripts/form-editor-support.js';
 
 function escapeHTML(str) {
@@ -49,7 +49,7 @@ function createElementFromHTML(htmlString, fieldDef) {
   form.dataset.rules = source === 'aem';
   form.dataset.redirectUrl = fieldDef.redirectUrl || '';
   form.dataset.thankYouMsg = fieldDef.thankYouMsg || '';
-  form.dataset.id = fieldDef.id;
+  form.dataset.id = fieldDef.id || extractIdFromUrl(action || '');
   form.noValidate = true;
   // Change this to div.childNodes to support multiple top-level nodes.
   return form;
@@ -61,6 +61,7 @@ export function testBasicMarkup(filePath, bUrlMode = false, customComponents = [
     const module = await import(filePath);
     const {
       fieldDef, expectedDiffs = 0, extraChecks, formPath, ignore = false,
+      before = () => {}, after = () => {}, opDelay = 0,
     } = module;
     if (ignore) {
       return;
@@ -80,7 +81,11 @@ export function testBasicMarkup(filePath, bUrlMode = false, customComponents = [
     setCustomComponents(customComponents);
     const block = bUrlMode ? createBlockWithUrl(fieldDef, `${formPath}`) : createBlock(fieldDef);
     if (fieldDef && markUp) {
+      before();
       await decorate(block);
+      if (opDelay) {
+        await new Promise((resolve) => { setTimeout(resolve, opDelay); });
+      }
       const form = block.querySelector('form');
       console.log('----------Actual----------');
       console.log(form.outerHTML);
@@ -112,6 +117,7 @@ export function testBasicMarkup(filePath, bUrlMode = false, customComponents = [
       if (extraChecks) {
         extraChecks.forEach((check) => check(form));
       }
+      after(block);
     }
     setCustomComponents(oldCustomComponents);
   });
@@ -148,6 +154,8 @@ async function test(
   }, opDelay);
   // console.log('op');
   if (refresh) {
+    // a reload of the page, which renders the first instance of the form again
+    resetIds();
     block = bUrlMode ? createBlockWithUrl(sample, formPath) : createBlock(sample);
     await decorate(block);
   }
@@ -0,0 +1,141 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import decorate from '../../blocks/form/form.js';
+import { resetIds } from '../../blocks/form/util.js';
+import { createBlock, createBlockWithUrl, setValue } from './testUtils.js';
+
+const wait = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+const docForm = {
+  total: 3,
+  offset: 0,
+  limit: 3,
+  ':type': 'sheet',
+  data: [
+    { Type: 'text', Name: 'firstName', Label: 'First name', Mandatory: 'true' },
+    { Type: 'email', Name: 'email', Label: 'Email', Mandatory: 'true' },
+    { Type: 'submit', Name: 'submit', Label: 'Submit' },
+  ],
+};
+
+const requiredField = (id, label) => ({
+  id,
+  fieldType: 'text-input',
+  name: id,
+  required: true,
+  label: { value: label },
+});
+
+const panel = (id, items) => ({
+  id, fieldType: 'panel', name: id, label: { value: id }, items,
+});
+
+const afForm = {
+  action: 'http://localhost:3000/submit/summary-form',
+  items: [{
+    ...panel('wizard', [
+      panel('step1', [requiredField('name', 'Name')]),
+      panel('step2', [requiredField('city', 'City')]),
+    ]),
+    ':type': 'wizard',
+  }, {
+    ...panel('accordion', [
+      panel('tab1', [requiredField('phone', 'Phone')]),
+      panel('tab2', [requiredField('country', 'Country')]),
+    ]),
+    ':type': 'accordion',
+  }, {
+    fieldType: 'button',
+    id: 'button',
+    events: {
+      click: 'submitForm()',
+    },
+  }],
+};
+
+function getSummaryLinks(form) {
+  return [...form.querySelectorAll('.error-summary a')];
+}
+
+describe('Validation summary', () => {
+  let hlx;
+
+  beforeEach(() => {
+    resetIds();
+    document.body.innerHTML = '';
+    hlx = window.hlx;
+    // the wizard and accordion components are loaded relative to the form block
+    window.hlx = { ...hlx, codeBasePath: '../..' };
+  });
+
+  afterEach(() => {
+    window.hlx = hlx;
+    global.fetch.mockData = {};
+  });
+
+  it('should list the invalid fields of a document based form and update live', async () => {
+    const block = createBlockWithUrl(docForm, 'http://localhost:3000/summary-doc-form.json');
+    document.body.append(block);
+    await decorate(block);
+    const form = block.querySelector('form');
+    form.dispatchEvent(new Event('submit'));
+    await wait(10);
+
+    const summary = form.querySelector(':scope > .error-summary');
+    assert.ok(summary, 'error summary not shown');
+    assert.equal(document.activeElement, summary, 'error summary not focused');
+    assert.equal(summary.getAttribute('role'), 'region');
+    assert.deepEqual(getSummaryLinks(form).map((link) => link.getAttribute('href')), ['#firstname', '#email']);
+    assert.ok(getSummaryLinks(form)[0].textContent.startsWith('First name'));
+
+    setValue(form, 'input[name="firstName"]', 'Jane');
+    await wait(10);
+    assert.deepEqual(getSummaryLinks(form).map((link) => link.getAttribute('href')), ['#email']);
+
+    setValue(form, 'input[name="email"]', 'jane@example.com');
+    await wait(10);
+    assert.equal(form.querySelector('.error-summary'), null, 'error summary not removed');
+  });
+
+  it('should link to fields in collapsed accordion tabs and other wizard steps', async () => {
+    const block = createBlock(afForm);
+    document.body.append(block);
+    await decorate(block);
+    await wait(50);
+    const form = block.querySelector('form');
+    form.querySelector('#button').click();
+    await wait(50);
+
+    const links = getSummaryLinks(form);
+    assert.deepEqual(links.map((link) => link.getAttribute('href')), ['#name', '#city', '#phone', '#country']);
+
+    const step2 = form.querySelector('#step2');
+    assert.equal(step2.classList.contains('current-wizard-step'), false);
+    links[1].click();
+    await wait(10);
+    assert.equal(step2.classList.contains('current-wizard-step'), true, 'wizard step not shown');
+    assert.equal(document.activeElement, form.querySelector('#city'));
+
+    const tab2 = form.querySelector('#tab2');
+    assert.equal(tab2.classList.contains('accordion-collapse'), true);
+    links[3].click();
+    await wait(10);
+    assert.equal(tab2.classList.contains('accordion-collapse'), false, 'accordion tab not expanded');
+    assert.equal(document.activeElement, form.querySelector('#country'));
+  });
+
+  it('should show the errors of an invalid wizard step', async () => {
+    const block = createBlock(afForm);
+    document.body.append(block);
+    await decorate(block);
+    await wait(50);
+    const form = block.querySelector('form');
+    form.querySelector('.wizard-button-next').click();
+    await wait(10);
+
+    const summary = form.querySelector(':scope > .error-summary');
+    assert.ok(summary, 'error summary not shown');
+    assert.deepEqual(getSummaryLinks(form).map((link) => link.getAttribute('href')), ['#name']);
+    assert.ok(form.querySelector('#step1').classList.contains('current-wizard-step'));
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Benchmarks the work of the rule engine for a large form, by default the claim form of the unit
+ * tests. The rule engine runs in a worker; the main thread only renders the field changes it
+ * receives, which were cloned to be posted by the worker.
+ *
+ * Usage: npm run benchmark:rules -- [form.js|form.json] [--runs <n>]
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createFormInstance, restoreFormInstance } from '../blocks/form/rules/model/afb-runtime.js';
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FORM = path.join(dirname, '../test/unit/fixtures/form/claim.js');
+
+async function readForm(file) {
+  if (file.endsWith('.json')) {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  }
+  const { fieldDef } = await import(pathToFileURL(path.resolve(file)));
+  return fieldDef;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return [performance.now() - start, result];
+}
+
+function getInputs(state) {
+  return (state.items || []).flatMap((item) => [
+    ...(['text-input', 'number-input', 'email', 'multiline-input'].includes(item.fieldType) ? [item] : []),
+    ...getInputs(item),
+  ]);
+}
+
+/**
+ * Returns the median durations in ms of a run of the rule engine with the form.
+ * @param {Object} formDef
+ * @param {number} runs
+ */
+export default function benchmark(formDef, runs = 5) {
+  const results = Array.from({ length: runs }, () => {
+    const [init, form] = time(() => createFormInstance(structuredClone(formDef), undefined, 'off'));
+    const state = form.getState(true);
+    const [restore] = time(() => restoreFormInstance(structuredClone(state), undefined));
+    const payloads = [];
+    form.subscribe(({ payload }) => payloads.push(payload), 'fieldChanged');
+    const inputs = getInputs(state);
+    const [changes] = time(() => inputs.forEach(({ id, fieldType }) => {
+      form.getElement(id).value = fieldType === 'number-input' ? 42 : 'benchmark';
+    }));
+    const [messages] = time(() => payloads.forEach((payload) => structuredClone(payload)));
+    return {
+      init, restore, changes, messages, fields: inputs.length, fieldChanges: payloads.length,
+    };
+  });
+  return Object.fromEntries(Object.keys(results[0])
+    .map((key) => [key, median(results.map((result) => result[key]))]));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const runsIndex = args.indexOf('--runs');
+  const runs = runsIndex >= 0 ? Number(args.splice(runsIndex, 2)[1]) : 5;
+  const file = args[0] || DEFAULT_FORM;
+  const result = benchmark(await readForm(file), runs);
+  const ms = (value) => `${value.toFixed(1)} ms`;
+  // eslint-disable-next-line no-console
+  console.table({
+    'create the form model (worker)': ms(result.init),
+    'restore a second form model (main thread, before)': ms(result.restore),
+    [`change ${result.fields} fields (worker)`]: ms(result.changes),
+    [`clone ${result.fieldChanges} field changes (messages)`]: ms(result.messages),
+  });
+}
@@ -0,0 +1,67 @@
+/**
+ * Exports an adaptive form definition to the rows of a document based form, e.g. to move a form
+ * authored in the Universal Editor to a spreadsheet.
+ *
+ * Usage: npm run export:form -- <form.json|url> [--format csv|json] [--output <file>]
+ */
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import AFToDocBasedForm, { toCSV } from '../blocks/form/reverse-transform.js';
+import { logger } from './utils.js';
+
+function parseArgs(args) {
+  const options = { format: 'csv' };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--format' || args[i] === '--output') {
+      options[args[i].slice(2)] = args[i + 1];
+      i += 1;
+    } else {
+      options.input = args[i];
+    }
+  }
+  return options;
+}
+
+async function readForm(input) {
+  if (/^https?:\/\//.test(input)) {
+    const response = await fetch(input);
+    if (!response.ok) {
+      throw new Error(`Unable to fetch ${input}: ${response.status}`);
+    }
+    return response.json();
+  }
+  return JSON.parse(readFileSync(input, 'utf-8'));
+}
+
+/**
+ * Returns the rows of the form as CSV or JSON, and the constructs that are left out.
+ * @param {Object} formDef adaptive form definition
+ * @param {'csv'|'json'} format
+ */
+export default function exportForm(formDef, format = 'csv') {
+  const transform = new AFToDocBasedForm();
+  const sheet = transform.transform(formDef);
+  const output = format === 'json' ? JSON.stringify(sheet, null, 2) : toCSV(sheet);
+  return { output, errors: transform.errors };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { input, format, output: file } = parseArgs(process.argv.slice(2));
+  if (!input || !['csv', 'json'].includes(format)) {
+    logger.error('Usage: npm run export:form -- <form.json|url> [--format csv|json] [--output <file>]');
+    process.exit(1);
+  }
+  try {
+    const { output, errors } = exportForm(await readForm(input), format);
+    errors.forEach(({ message }) => logger.warning(`Not exported: ${message}`));
+    if (file) {
+      writeFileSync(file, output);
+      logger.success(`Form exported to ${file}`);
+    } else {
+      process.stdout.write(`${output}\n`);
+    }
+  } catch (e) {
+    logger.error(e.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Generates the reference of the formula functions of document based forms, from the _doc of
+ * the functions in blocks/form/rules-doc/parser/functions.js.
+ *
+ * Usage: npm run build:formula-docs
+ */
+import { writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import functions from '../blocks/form/rules-doc/parser/functions.js';
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const output = path.join(dirname, '../blocks/form/rules-doc/FUNCTIONS.md');
+
+const CATEGORIES = ['Logical', 'Information', 'Math', 'Text', 'Date', 'Lookup'];
+
+const escapeCell = (text) => text.replaceAll('|', '\\|');
+
+export default function generateReference(functionTable) {
+  const entries = Object.entries(functionTable)
+    // eslint-disable-next-line no-underscore-dangle
+    .map(([name, { _doc: doc }]) => ({ name: name.toUpperCase(), ...doc }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const categories = [...new Set([...CATEGORIES, ...entries.map(({ category }) => category)])];
+  const sections = categories
+    .map((category) => [category, entries.filter((entry) => entry.category === category)])
+    .filter(([, list]) => list.length)
+    .map(([category, list]) => [
+      `## ${category}`,
+      '',
+      '| Function | Description |',
+      '| --- | --- |',
+      ...list.map(({ syntax, description }) => `| \`${escapeCell(syntax)}\` | ${escapeCell(description)} |`),
+      '',
+    ].join('\n'));
+  return [
+    '# Formula functions of document based forms',
+    '',
+    '<!-- generated by npm run build:formula-docs, do not edit -->',
+    '',
+    'Expressions of document based forms, e.g. the `Value Expression` column, are Excel formulas that start with `=` and refer to the fields by the cell of their row, e.g. `=UPPER(F2)`. Function names are not case-sensitive.',
+    '',
+    'Like empty cells in Excel, empty fields are 0 in calculations and an empty text in text functions. The values of the fields are texts, so texts that are numbers are numbers. Functions that aggregate numbers, like `SUM`, ignore empty values and texts that are not numbers. Dates are texts in the format `YYYY-MM-DD`, the value of date fields, or Excel date serial numbers.',
+    '',
+    'Errors like `#N/A`, `#VALUE!` or `#DIV/0!` can be handled with `IFERROR`, otherwise the expression results in an empty value.',
+    '',
+    'The lookup functions look up values in other sheets of the form spreadsheet, e.g. `=VLOOKUP(F2, "countries", 2, FALSE)` looks up the value of the field in row 2 in the `countries` sheet.',
+    '',
+    ...sections,
+  ].join('\n');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeFileSync(output, generateReference(functions([])));
+  // eslint-disable-next-line no-console
+  console.log(`Formula function reference written to ${path.relative(process.cwd(), output)}`);
+}